@@ -0,0 +1,155 @@
+// Accessibility for The Prey That Runs
+// The board is a canvas, so a screen reader learns what happens on it from short announcements, which the page
+// puts in an ARIA live region: catches, the walls closing in, deaths and, if asked for, where the nearest prey is.
+// Reduced motion draws pieces where they are instead of sliding them between cells and holds warnings steady
+// instead of blinking them; by default it follows the system's prefers-reduced-motion setting.
+(function (root) {
+    'use strict';
+
+    const SnakeEvents = (typeof module !== 'undefined' && module.exports) ? require('./events.js') : root.SnakeEvents;
+    const PreySpecies = (typeof module !== 'undefined' && module.exports) ? require('./prey-species.js') : root.PreySpecies;
+    const SnakePickups = (typeof module !== 'undefined' && module.exports) ? require('./pickups.js') : root.SnakePickups;
+    const SnakeStorage = (typeof module !== 'undefined' && module.exports) ? require('./storage.js') : root.SnakeStorage;
+
+    const storageKey = 'preyThatRuns.access'; // Where the accessibility settings are saved
+    const preyAnnouncementMs = 3000; // Game time between announcements of where the prey is
+
+    // When to reduce motion
+    const motionModes = {
+        auto: { name: 'auto', label: 'System setting', description: 'Reduced if the system asks for less motion' },
+        reduced: { name: 'reduced', label: 'Reduced', description: 'No sliding between cells and no blinking' },
+        full: { name: 'full', label: 'Full', description: 'Smooth movement and blinking warnings' }
+    };
+
+    const defaultSettings = { motion: 'auto', announcePrey: false };
+
+    // Whether to reduce motion in a motion mode, given whether the system prefers reduced motion
+    function isReducedMotion(mode, systemPrefersReduced) {
+        return mode === 'reduced' || (mode === 'auto' && systemPrefersReduced);
+    }
+
+    // What events say, as functions of the event and the announcer (for the game state and player names)
+    // Events without an entry are not announced
+    const eventAnnouncements = {
+        ate: (event, announcer) => {
+            const who = playerPrefix(announcer, event.player);
+            const species = PreySpecies.getSpecies(event.species);
+            if (species.isDecoy) return `${who}Bit a decoy, ${event.points} points. Score ${event.score}`;
+            return `${who}Caught a ${species.label.toLowerCase()} ball, ${event.points} points. Score ${event.score}`;
+        },
+        pickup: (event, announcer) => `${playerPrefix(announcer, event.player)}Picked up ${SnakePickups.getKind(event.kind).label.toLowerCase()}`,
+        'shrink-warning': () => 'Walls closing in',
+        // Only once the walls have stopped, not at every step they take
+        shrank: (event, announcer) => (announcer.getState().shrink ? null : `Arena now ${describeArena(announcer.getState(), event.arena)}`),
+        died: (event, announcer) => {
+            const who = announcer.getState().players.length > 1 ? announcer.playerNames[event.player] : 'Your snake';
+            return `${who} ${announcer.deathCauses[event.cause]}`;
+        },
+        'level-complete': event => `Level complete with ${event.score} points`,
+        'game-over': event => (event.scores.length > 1 ? `Round over. Scores ${event.scores.join(' to ')}` : `Game over. Score ${event.scores[0]}`)
+    };
+
+    // "Player 2: " before what happened to a player in versus, nothing in single player
+    function playerPrefix(announcer, player) {
+        return announcer.getState().players.length > 1 ? `${announcer.playerNames[player]}: ` : '';
+    }
+
+    // Size of an arena in cells, e.g. "16 by 16 cells"
+    function describeArena(state, arena) {
+        const gridSize = state.config.gridSize;
+        return `${arena.width / gridSize} by ${arena.height / gridSize} cells`;
+    }
+
+    // Where the nearest ball worth catching is from a player's head, e.g. "Runner 3 up, 5 left"
+    // Distances are in cells, the short way round when the walls wrap around; null if there is nothing to say
+    function describePrey(state, playerIndex) {
+        const player = state.players[playerIndex];
+        if (!player || !player.isAlive) return null;
+        const head = player.snake[0];
+        const gridSize = state.config.gridSize;
+        const isWrapping = state.config.wallMode === 'wrap';
+        const shortWay = (delta, size) => (isWrapping && Math.abs(delta) > size / 2 ? delta - Math.sign(delta) * size : delta);
+
+        let nearest = null;
+        for (const prey of state.prey) {
+            if (PreySpecies.getSpecies(prey.species).isDecoy) continue; // Not worth pointing at decoys
+            const dx = Math.round(shortWay(prey.x - head.x, state.arena.width) / gridSize);
+            const dy = Math.round(shortWay(prey.y - head.y, state.arena.height) / gridSize);
+            const cells = Math.abs(dx) + Math.abs(dy);
+            if (!nearest || cells < nearest.cells) nearest = { prey, dx, dy, cells };
+        }
+        if (!nearest) return null;
+
+        const parts = [];
+        if (nearest.dy !== 0) parts.push(`${Math.abs(nearest.dy)} ${nearest.dy < 0 ? 'up' : 'down'}`);
+        if (nearest.dx !== 0) parts.push(`${Math.abs(nearest.dx)} ${nearest.dx < 0 ? 'left' : 'right'}`);
+        const label = PreySpecies.getSpecies(nearest.prey.species).label;
+        return `${label} ${parts.length > 0 ? parts.join(', ') : 'right here'}`;
+    }
+
+    // Something that turns game events into announcements for speak(text)
+    // options: { getState (current game state), playerNames, deathCauses (phrases after a name, by death cause) }
+    function createAnnouncer(speak, options) {
+        return {
+            speak,
+            getState: options.getState,
+            playerNames: options.playerNames,
+            deathCauses: options.deathCauses,
+            lastPreyTime: null, // Game time of the last prey announcement
+            lastPrey: null // What it said
+        };
+    }
+
+    // Announce the events on a bus (see events.js); returns a function that stops listening
+    function listen(bus, announcer) {
+        return SnakeEvents.on(bus, SnakeEvents.anyType, event => {
+            const describe = eventAnnouncements[event.type];
+            const text = describe ? describe(event, announcer) : null;
+            if (text) announcer.speak(text);
+        });
+    }
+
+    // Announce where the prey is every preyAnnouncementMs of game time, if it has changed
+    // Call it every frame the game runs
+    function updatePrey(announcer, state, playerIndex = 0) {
+        if (announcer.lastPreyTime !== null && state.time >= announcer.lastPreyTime &&
+            state.time - announcer.lastPreyTime < preyAnnouncementMs) return;
+        announcer.lastPreyTime = state.time; // Also starts over when a new game's clock is behind the last one
+        const text = describePrey(state, playerIndex);
+        if (text && text !== announcer.lastPrey) announcer.speak(text);
+        announcer.lastPrey = text;
+    }
+
+    // Saved accessibility settings: { motion, announcePrey }, the defaults for anything not (readably) saved
+    function loadSettings(storage) {
+        const saved = SnakeStorage.loadJson(storage, storageKey) || {};
+        return {
+            motion: Object.prototype.hasOwnProperty.call(motionModes, saved.motion) ? saved.motion : defaultSettings.motion,
+            announcePrey: saved.announcePrey === true
+        };
+    }
+
+    // Remember the accessibility settings for the next visit
+    function saveSettings(storage, settings) {
+        SnakeStorage.saveJson(storage, storageKey, { motion: settings.motion, announcePrey: settings.announcePrey });
+    }
+
+    const SnakeAccess = {
+        motionModes,
+        preyAnnouncementMs,
+        eventAnnouncements,
+        isReducedMotion,
+        describePrey,
+        createAnnouncer,
+        listen,
+        updatePrey,
+        loadSettings,
+        saveSettings
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeAccess;
+    } else {
+        root.SnakeAccess = SnakeAccess;
+    }
+})(this);
@@ -0,0 +1,284 @@
+// Snake bots for The Prey That Runs
+// A bot steers one snake through the same input the keyboard gives, so it can play any game the engine runs:
+// in the batch simulator (simulate.js) and as the page's autopilot, against the prey AI it is meant to help balance.
+// Each strategy picks the cell the snake should head for ("goal") from a read-only view of the game:
+// { gridSize, arena: { x, y, width, height }, snake, direction, gameSpeed, foodSpeed, targets, isWrapping, wrap(cell), isFree(x, y), isDoomed(x, y) }
+// where targets are the balls worth catching (decoys are treated as taken cells) with their last step (dx, dy)
+// and wrap brings a cell past the edge back in on the far side when the arena wraps around.
+(function (root) {
+    'use strict';
+
+    const SnakeEngine = (typeof module !== 'undefined' && module.exports) ? require('./engine.js') : root.SnakeEngine;
+    const PreySpecies = (typeof module !== 'undefined' && module.exports) ? require('./prey-species.js') : root.PreySpecies;
+
+    // Parameters every strategy understands
+    const commonParams = {
+        sprintDistance: 3, // Sprint when the goal is this many steps away or closer (0 never sprints)
+        doomedPenalty: 20 // Extra steps a move into cells the walls are about to take counts as
+    };
+
+    const unreachableCost = 1000; // Steps a move that can't reach the goal counts as, so other costs still tell moves apart
+    const directions = ['up', 'down', 'left', 'right'];
+    const opposites = { up: 'down', down: 'up', left: 'right', right: 'left' };
+    const directionSteps = { up: { x: 0, y: -1 }, down: { x: 0, y: 1 }, left: { x: -1, y: 0 }, right: { x: 1, y: 0 } };
+
+    // Helper to build a lookup key for a grid cell
+    function cellKey(x, y) {
+        return `${x},${y}`;
+    }
+
+    // Cell one step from a cell in a direction (coming back in on the far side when the arena wraps around)
+    function stepFrom(view, cell, direction) {
+        const step = directionSteps[direction];
+        return view.wrap({ x: cell.x + step.x * view.gridSize, y: cell.y + step.y * view.gridSize });
+    }
+
+    // Manhattan distance between two cells, in steps, the short way round when the arena wraps around
+    function gridDistance(view, a, b) {
+        let dx = Math.abs(a.x - b.x);
+        let dy = Math.abs(a.y - b.y);
+        if (view.isWrapping) {
+            dx = Math.min(dx, view.arena.width - dx);
+            dy = Math.min(dy, view.arena.height - dy);
+        }
+        return (dx + dy) / view.gridSize;
+    }
+
+    // Breadth-first step counts from a cell to every free cell reachable from it
+    function bfsDistances(view, start) {
+        const distances = new Map([[cellKey(start.x, start.y), 0]]);
+        const queue = [start];
+        for (let i = 0; i < queue.length; i++) {
+            const cell = queue[i];
+            const nextDistance = distances.get(cellKey(cell.x, cell.y)) + 1;
+            for (const direction of directions) {
+                const next = stepFrom(view, cell, direction);
+                const key = cellKey(next.x, next.y);
+                if (distances.has(key) || !view.isFree(next.x, next.y)) continue;
+                distances.set(key, nextDistance);
+                queue.push(next);
+            }
+        }
+        return distances;
+    }
+
+    // Count the free cells reachable from a cell (flood fill), stopping early at limit
+    function floodFillSize(view, start, limit) {
+        const seen = new Set([cellKey(start.x, start.y)]);
+        const queue = [start];
+        for (let i = 0; i < queue.length && seen.size < limit; i++) {
+            for (const direction of directions) {
+                const next = stepFrom(view, queue[i], direction);
+                const key = cellKey(next.x, next.y);
+                if (seen.has(key) || !view.isFree(next.x, next.y)) continue;
+                seen.add(key);
+                queue.push(next);
+            }
+        }
+        return Math.min(seen.size, limit);
+    }
+
+    // Target nearest to the head as the crow flies
+    function nearestTarget(view) {
+        let nearest = null;
+        for (const target of view.targets) {
+            if (!nearest || gridDistance(view, view.snake[0], target) < gridDistance(view, view.snake[0], nearest)) {
+                nearest = target;
+            }
+        }
+        return nearest;
+    }
+
+    // Greedy: heads for the nearest ball in a straight line and ignores whatever is in between
+    const greedy = {
+        name: 'greedy',
+        label: 'Greedy',
+        usesPaths: false,
+        params: Object.assign({}, commonParams),
+        goal(view) {
+            return nearestTarget(view);
+        }
+    };
+
+    // BFS: heads for the ball with the shortest path around walls, obstacles and snakes
+    const bfs = {
+        name: 'bfs',
+        label: 'BFS to prey',
+        usesPaths: true,
+        params: Object.assign({}, commonParams),
+        goal(view) {
+            const distances = bfsDistances(view, view.snake[0]);
+            let best = null;
+            let bestSteps = Infinity;
+            for (const target of view.targets) {
+                const steps = distances.get(cellKey(target.x, target.y));
+                if (steps !== undefined && steps < bestSteps) {
+                    best = target;
+                    bestSteps = steps;
+                }
+            }
+            return best || nearestTarget(view); // Nothing reachable: close in anyway and wait for a way through
+        }
+    };
+
+    // Intercept: heads for where the nearest reachable ball will be by the time the snake gets there,
+    // assuming it keeps running the way it last moved
+    const intercept = {
+        name: 'intercept',
+        label: 'Intercept',
+        usesPaths: true,
+        params: Object.assign({}, commonParams, {
+            maxLeadSteps: 6 // Furthest ahead of a ball (in its own moves) the snake aims
+        }),
+        goal(view, params) {
+            const target = bfs.goal(view);
+            if (!target) return null;
+            const distances = bfsDistances(view, view.snake[0]);
+            const steps = distances.has(cellKey(target.x, target.y)) ? distances.get(cellKey(target.x, target.y)) : gridDistance(view, view.snake[0], target);
+            const leadSteps = Math.min(params.maxLeadSteps, Math.floor(steps * view.gameSpeed / view.foodSpeed));
+
+            // Follow the ball's heading for as long as it stays on free cells
+            let lead = target;
+            for (let i = 0; i < leadSteps && (target.dx !== 0 || target.dy !== 0); i++) {
+                const next = view.wrap({ x: lead.x + target.dx, y: lead.y + target.dy });
+                if (!view.isFree(next.x, next.y)) break;
+                lead = next;
+            }
+            return lead;
+        }
+    };
+
+    const strategies = { greedy, bfs, intercept };
+    const defaultStrategy = 'bfs';
+
+    // Look up a strategy by name, throwing for unknown names
+    function getStrategy(name) {
+        if (!Object.prototype.hasOwnProperty.call(strategies, name)) {
+            throw new Error(`Unknown bot strategy: ${name}`);
+        }
+        return strategies[name];
+    }
+
+    // Create a bot that plays one player of a game
+    // overrides: parameter values to use instead of the strategy's defaults
+    function createBot(name = defaultStrategy, playerIndex = 0, overrides = {}) {
+        const strategy = getStrategy(name);
+        const params = Object.assign({}, strategy.params);
+        for (const key of Object.keys(params)) {
+            if (typeof overrides[key] === 'number' && Number.isFinite(overrides[key])) {
+                params[key] = overrides[key];
+            }
+        }
+        return {
+            strategy,
+            params,
+            player: playerIndex,
+            lastMoveTime: null, // Game time of the snake move the bot last decided after
+            isSprinting: false
+        };
+    }
+
+    // Read-only view of the game from one player's side
+    function createView(state, playerIndex) {
+        const player = state.players[playerIndex];
+        const decoyKeys = new Set();
+        const targets = [];
+        for (const prey of state.prey) {
+            if (PreySpecies.getSpecies(prey.species).isDecoy) {
+                decoyKeys.add(cellKey(prey.x, prey.y));
+            } else {
+                targets.push({ id: prey.id, species: prey.species, x: prey.x, y: prey.y, dx: prey.x - prey.prevX, dy: prey.y - prey.prevY });
+            }
+        }
+        const shrinkTarget = state.shrink ? state.shrink.target : null;
+
+        return {
+            gridSize: state.config.gridSize,
+            arena: Object.assign({}, state.arena),
+            snake: player.snake.map(segment => Object.assign({}, segment)),
+            direction: player.direction,
+            gameSpeed: player.gameSpeed,
+            foodSpeed: state.config.foodSpeed,
+            targets,
+            isWrapping: state.config.wallMode === 'wrap',
+            wrap: cell => SnakeEngine.wrapCell(state, cell),
+            isFree: (x, y) => SnakeEngine.isValidPosition(state, x, y) && !decoyKeys.has(cellKey(x, y)),
+            isDoomed: (x, y) => shrinkTarget !== null && (x < shrinkTarget.x || x >= shrinkTarget.x + shrinkTarget.width ||
+                y < shrinkTarget.y || y >= shrinkTarget.y + shrinkTarget.height)
+        };
+    }
+
+    // Pick the heading that brings the snake closest to goal without boxing itself in
+    // Returns { direction, steps } where steps is how far the goal is after that move (Infinity if out of reach)
+    function chooseMove(view, params, goal, usesPaths) {
+        const head = view.snake[0];
+        const goalDistances = goal && usesPaths ? bfsDistances(view, goal) : null;
+        const moves = [];
+        for (const direction of directions) {
+            if (direction === opposites[view.direction]) continue;
+            const cell = stepFrom(view, head, direction);
+            const isGoal = goal && cell.x === goal.x && cell.y === goal.y;
+            if (!view.isFree(cell.x, cell.y) && !isGoal) continue;
+
+            let steps = Infinity;
+            if (isGoal) {
+                steps = 0;
+            } else if (goalDistances) {
+                const key = cellKey(cell.x, cell.y);
+                if (goalDistances.has(key)) steps = goalDistances.get(key);
+            } else if (goal) {
+                steps = gridDistance(view, cell, goal);
+            }
+            const space = floodFillSize(view, cell, view.snake.length + 1);
+            const cost = Math.min(steps, unreachableCost) + (view.isDoomed(cell.x, cell.y) ? params.doomedPenalty : 0);
+            moves.push({ direction, steps, cost, isRoomy: space > view.snake.length });
+        }
+        if (moves.length === 0) return { direction: view.direction, steps: Infinity }; // Nowhere to go
+
+        // Never walk into a pocket smaller than the snake if there is another way; then get closest, keeping straight on ties
+        const roomy = moves.filter(move => move.isRoomy);
+        const candidates = roomy.length > 0 ? roomy : moves;
+        let best = null;
+        for (const move of candidates) {
+            if (!best || move.cost < best.cost || (move.cost === best.cost && move.direction === view.direction)) {
+                best = move;
+            }
+        }
+        return best;
+    }
+
+    // Engine input for the bot's player, or null if it has nothing to change
+    // The bot thinks once after every move of its snake; a turn given then is applied at the next move
+    function getInput(bot, state) {
+        const player = state.players[bot.player];
+        if (!player.isAlive || state.isGameOver || player.lastUpdateTime === bot.lastMoveTime) return null;
+        bot.lastMoveTime = player.lastUpdateTime;
+
+        const view = createView(state, bot.player);
+        const goal = bot.strategy.goal(view, bot.params);
+        const move = chooseMove(view, bot.params, goal, bot.strategy.usesPaths);
+
+        const input = { turns: move.direction !== player.direction ? [move.direction] : [] };
+        const wantsSprint = move.steps < bot.params.sprintDistance;
+        if (wantsSprint !== bot.isSprinting) {
+            bot.isSprinting = wantsSprint;
+            input.sprint = wantsSprint;
+        }
+        return input.turns.length > 0 || input.sprint !== undefined ? input : null;
+    }
+
+    const SnakeBot = {
+        strategies,
+        defaultStrategy,
+        getStrategy,
+        createBot,
+        createView,
+        getInput
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeBot;
+    } else {
+        root.SnakeBot = SnakeBot;
+    }
+})(this);
@@ -0,0 +1,299 @@
+// Game configuration for The Prey That Runs
+// Every tuning value of a game lives in one config object, which createConfig fills in from the
+// defaults and validates. Presets and URL query strings are just sets of overrides on top of the defaults.
+(function (root) {
+    'use strict';
+
+    const PreyAI = (typeof module !== 'undefined' && module.exports) ? require('./prey-ai.js') : root.PreyAI;
+
+    const tickMs = 5; // Length of one engine tick; speeds are counted in whole ticks
+    const minArenaCells = 8; // The snake starts 5 cells in, so the arena needs some room around it
+
+    // Default rules (the original game)
+    const defaultConfig = {
+        gridSize: 20, // Size of each square on the grid
+        arenaWidth: 400, // Initial arena width
+        arenaHeight: 400, // Initial arena height
+        shrinkAmount: 20, // How many pixels the walls close in on every side each time the prey is caught
+        minArenaSize: 100, // Minimum size for the arena (e.g., 5x5 grid cells)
+        shrinkWarningMs: 1000, // How long the doomed edge of the arena flashes before the walls move
+        shrinkStepMs: 150, // Time for the walls to close in by one cell
+        baseGameSpeed: 150, // Milliseconds per snake move at the start
+        speedIncreaseAmount: 5, // How much to decrease the time per move after each catch (increase speed)
+        minGameSpeed: 50, // Fastest time per move the snake can earn
+        foodSpeed: 100, // Milliseconds per prey move (lower means faster prey)
+        sprintSpeedMultiplier: 0.4, // Time per move while sprinting (e.g., 0.4 means 2.5x faster)
+        maxStamina: 100, // A full sprint stamina meter
+        staminaDrainRate: 100, // Stamina used per second of sprinting
+        staminaRegenRate: 25, // Stamina regained per second while not sprinting
+        minStaminaToSprint: 20, // After running dry, the meter must refill this far before sprinting again
+        preyCount: 2, // Prey balls worth catching on the board at once (see prey-species.js)
+        decoyCount: 1, // Decoy balls on the board at once, on top of preyCount
+        pickupIntervalMs: 8000, // Time between pickups appearing on the board (0 = no pickups, see pickups.js)
+        pickupLifetimeMs: 6000, // How long a pickup stays on the board before it vanishes
+        maxPickups: 1, // Most pickups on the board at once
+        wallMode: 'solid', // What the arena's edges do, one of wallModes
+        speedCurve: 'standard', // How fast the snake moves over a game, one of speedCurves
+        prey: { strategy: PreyAI.defaultStrategy, params: PreyAI.resolveParams(PreyAI.defaultStrategy) }
+    };
+
+    // What the edges of the arena do to whatever runs into them
+    const wallModes = {
+        solid: { name: 'solid', label: 'Solid', description: 'Running into a wall ends the game' },
+        wrap: { name: 'wrap', label: 'Wrap-around', description: 'Leave on one side, come back on the other' },
+        soft: { name: 'soft', label: 'Soft', description: 'Walls turn the snake aside instead of killing it' }
+    };
+
+    // How fast the snake moves over a game
+    // moveTimeFactor stretches the start speed and top speed (the speed-up per catch stays the same, so the
+    // snake takes more catches to reach its top speed)
+    const speedCurves = {
+        standard: { name: 'standard', label: 'Standard', description: 'The speeds set above', moveTimeFactor: 1 },
+        assist: { name: 'assist', label: 'Assist', description: 'A slower snake that speeds up more gently, for more time to react', moveTimeFactor: 1.5 }
+    };
+
+    // Every numeric setting with its limits, for validation and the settings panel
+    // multipleOf: 'grid' or 'tick' when the value must be a whole number of cells or ticks
+    const fields = [
+        { key: 'gridSize', label: 'Cell size (px)', group: 'Arena', min: 10, max: 40, step: 10 },
+        { key: 'arenaWidth', label: 'Arena width (px)', group: 'Arena', min: 80, max: 800, step: 10, multipleOf: 'grid' },
+        { key: 'arenaHeight', label: 'Arena height (px)', group: 'Arena', min: 80, max: 800, step: 10, multipleOf: 'grid' },
+        { key: 'shrinkAmount', label: 'Shrink per side (px)', group: 'Arena', min: 0, max: 200, step: 10, multipleOf: 'grid' },
+        { key: 'minArenaSize', label: 'Smallest arena (px)', group: 'Arena', min: 30, max: 800, step: 10, multipleOf: 'grid' },
+        { key: 'shrinkWarningMs', label: 'Shrink warning (ms)', group: 'Arena', min: 0, max: 5000, step: 50, multipleOf: 'tick' },
+        { key: 'shrinkStepMs', label: 'Wall step time (ms)', group: 'Arena', min: 5, max: 2000, step: 5, multipleOf: 'tick' },
+        { key: 'baseGameSpeed', label: 'Start speed (ms/move)', group: 'Speed', min: 20, max: 1000, step: 5, multipleOf: 'tick' },
+        { key: 'speedIncreaseAmount', label: 'Speed-up per catch (ms)', group: 'Speed', min: 0, max: 100, step: 5, multipleOf: 'tick' },
+        { key: 'minGameSpeed', label: 'Top speed (ms/move)', group: 'Speed', min: 20, max: 1000, step: 5, multipleOf: 'tick' },
+        { key: 'foodSpeed', label: 'Prey speed (ms/move)', group: 'Speed', min: 20, max: 1000, step: 5, multipleOf: 'tick' },
+        { key: 'sprintSpeedMultiplier', label: 'Sprint time factor', group: 'Sprint', min: 0.1, max: 1, step: 0.05 },
+        { key: 'maxStamina', label: 'Stamina', group: 'Sprint', min: 10, max: 1000, step: 10 },
+        { key: 'staminaDrainRate', label: 'Drain per second', group: 'Sprint', min: 0, max: 1000, step: 5 },
+        { key: 'staminaRegenRate', label: 'Regen per second', group: 'Sprint', min: 0, max: 1000, step: 5 },
+        { key: 'minStaminaToSprint', label: 'Stamina to restart', group: 'Sprint', min: 0, max: 1000, step: 5 },
+        { key: 'preyCount', label: 'Prey balls', group: 'Prey', min: 1, max: 6, step: 1 },
+        { key: 'decoyCount', label: 'Decoys', group: 'Prey', min: 0, max: 4, step: 1 },
+        { key: 'pickupIntervalMs', label: 'Time between items (ms)', group: 'Pickups', min: 0, max: 60000, step: 500, multipleOf: 'tick' },
+        { key: 'pickupLifetimeMs', label: 'Item lifetime (ms)', group: 'Pickups', min: 500, max: 60000, step: 500, multipleOf: 'tick' },
+        { key: 'maxPickups', label: 'Items at once', group: 'Pickups', min: 1, max: 4, step: 1 }
+    ];
+
+    // Difficulty presets, as overrides of the defaults
+    const presets = {
+        easy: {
+            label: 'Easy',
+            overrides: {
+                baseGameSpeed: 180,
+                minGameSpeed: 80,
+                foodSpeed: 150,
+                minArenaSize: 160,
+                staminaRegenRate: 40,
+                preyCount: 3,
+                decoyCount: 0,
+                prey: { strategy: 'greedy', params: { randomSprintChance: 0.02 } }
+            }
+        },
+        normal: { label: 'Normal', overrides: {} },
+        insane: {
+            label: 'Insane',
+            overrides: {
+                baseGameSpeed: 100,
+                speedIncreaseAmount: 10,
+                minGameSpeed: 40,
+                foodSpeed: 60,
+                staminaRegenRate: 15,
+                preyCount: 1,
+                decoyCount: 2,
+                prey: { strategy: 'lookahead', params: { fleeDistance: 80, maxRandomSprints: 3, randomSprintChance: 0.1 } }
+            }
+        }
+    };
+
+    // Fill in a config from overrides, without validating it
+    function mergeConfig(overrides = {}) {
+        const config = Object.assign({}, defaultConfig);
+        for (const field of fields) {
+            if (overrides[field.key] !== undefined) config[field.key] = overrides[field.key];
+        }
+        if (overrides.wallMode !== undefined) config.wallMode = overrides.wallMode;
+        if (overrides.speedCurve !== undefined) config.speedCurve = overrides.speedCurve;
+
+        // Prey parameters always start from the chosen strategy's own defaults
+        const preyOverrides = overrides.prey || {};
+        const strategy = preyOverrides.strategy || defaultConfig.prey.strategy;
+        const params = Object.prototype.hasOwnProperty.call(PreyAI.strategies, strategy) ? Object.assign({}, PreyAI.strategies[strategy].params) : {};
+        for (const name of Object.keys(params)) {
+            if (preyOverrides.params && preyOverrides.params[name] !== undefined) params[name] = preyOverrides.params[name];
+        }
+        config.prey = { strategy, params };
+        return config;
+    }
+
+    // List everything wrong with a config, as readable messages (empty if it's valid)
+    function validateConfig(config) {
+        const problems = [];
+        for (const field of fields) {
+            const value = config[field.key];
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                problems.push(`${field.label} must be a number`);
+            } else if (value < field.min || value > field.max) {
+                problems.push(`${field.label} must be between ${field.min} and ${field.max}`);
+            } else if (field.multipleOf === 'grid' && value % config.gridSize !== 0) {
+                problems.push(`${field.label} must be a multiple of the cell size (${config.gridSize})`);
+            } else if (field.multipleOf === 'tick' && value % tickMs !== 0) {
+                problems.push(`${field.label} must be a multiple of ${tickMs}`);
+            }
+        }
+        if (problems.length > 0) return problems; // The checks below need valid numbers
+
+        if (config.arenaWidth < minArenaCells * config.gridSize || config.arenaHeight < minArenaCells * config.gridSize) {
+            problems.push(`The arena must be at least ${minArenaCells} cells wide and high`);
+        }
+        if (config.minArenaSize < 3 * config.gridSize) {
+            problems.push('Smallest arena must be at least 3 cells');
+        }
+        if (config.minArenaSize > Math.min(config.arenaWidth, config.arenaHeight)) {
+            problems.push('Smallest arena must not be bigger than the arena');
+        }
+        if (config.minGameSpeed > config.baseGameSpeed) {
+            problems.push('Top speed must not be slower than the start speed');
+        }
+        if (!Number.isInteger(config.preyCount) || !Number.isInteger(config.decoyCount)) {
+            problems.push('Prey balls and decoys must be whole numbers');
+        }
+        if (!Number.isInteger(config.maxPickups)) {
+            problems.push('Items at once must be a whole number');
+        }
+        if (config.minStaminaToSprint > config.maxStamina) {
+            problems.push('Stamina to restart must not be more than the stamina');
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(wallModes, config.wallMode)) {
+            problems.push(`Unknown wall mode: ${config.wallMode}`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(speedCurves, config.speedCurve)) {
+            problems.push(`Unknown speed curve: ${config.speedCurve}`);
+        }
+
+        const prey = config.prey || {};
+        if (!Object.prototype.hasOwnProperty.call(PreyAI.strategies, prey.strategy)) {
+            problems.push(`Unknown prey strategy: ${prey.strategy}`);
+            return problems;
+        }
+        for (const [name, value] of Object.entries(prey.params || {})) {
+            const info = PreyAI.paramInfo[name];
+            if (!info) {
+                problems.push(`Unknown prey parameter: ${name}`);
+            } else if (typeof value !== 'number' || !Number.isFinite(value) || value < info.min || value > info.max) {
+                problems.push(`${info.label} must be between ${info.min} and ${info.max}`);
+            }
+        }
+        if (prey.params && prey.params.minChaseTime > prey.params.maxChaseTime) {
+            problems.push('Chase window start must not be after its end');
+        }
+        return problems;
+    }
+
+    // Build a complete, validated config from overrides of the defaults
+    // Throws an Error listing every problem if the result isn't valid
+    function createConfig(overrides = {}) {
+        const config = mergeConfig(overrides);
+        const problems = validateConfig(config);
+        if (problems.length > 0) {
+            throw new Error(`Invalid config: ${problems.join('; ')}`);
+        }
+        return config;
+    }
+
+    // Config of a difficulty preset
+    function getPreset(name) {
+        if (!Object.prototype.hasOwnProperty.call(presets, name)) {
+            throw new Error(`Unknown preset: ${name}`);
+        }
+        return createConfig(presets[name].overrides);
+    }
+
+    // Name of the preset a config matches exactly, or null for custom settings
+    function findPreset(config) {
+        const query = toQueryString(config);
+        return Object.keys(presets).find(name => toQueryString(getPreset(name)) === query) || null;
+    }
+
+    // Encode a config as a URL query string (without '?'), listing only what differs from the defaults
+    // e.g. "baseGameSpeed=100&walls=wrap&speed=assist&prey=lookahead&prey.fleeDistance=80"
+    function toQueryString(config) {
+        const params = new URLSearchParams();
+        for (const field of fields) {
+            if (config[field.key] !== defaultConfig[field.key]) params.set(field.key, config[field.key]);
+        }
+        if (config.wallMode !== defaultConfig.wallMode) params.set('walls', config.wallMode);
+        if (config.speedCurve !== defaultConfig.speedCurve) params.set('speed', config.speedCurve);
+        if (config.prey.strategy !== defaultConfig.prey.strategy) params.set('prey', config.prey.strategy);
+        const strategyDefaults = PreyAI.strategies[config.prey.strategy].params;
+        for (const [name, value] of Object.entries(config.prey.params)) {
+            if (value !== strategyDefaults[name]) params.set(`prey.${name}`, value);
+        }
+        return params.toString();
+    }
+
+    // Read config overrides from a URL query string; "preset=insane" starts from a preset
+    // Returns null if the query string has no settings in it. Pass the result to createConfig.
+    function fromQueryString(search) {
+        const params = new URLSearchParams(search);
+        let found = false;
+        let overrides = {};
+
+        if (params.has('preset') && Object.prototype.hasOwnProperty.call(presets, params.get('preset'))) {
+            overrides = JSON.parse(JSON.stringify(presets[params.get('preset')].overrides));
+            found = true;
+        }
+        overrides.prey = overrides.prey || {};
+        overrides.prey.params = overrides.prey.params || {};
+
+        for (const field of fields) {
+            if (params.has(field.key)) {
+                overrides[field.key] = Number(params.get(field.key));
+                found = true;
+            }
+        }
+        if (params.has('walls')) {
+            overrides.wallMode = params.get('walls');
+            found = true;
+        }
+        if (params.has('speed')) {
+            overrides.speedCurve = params.get('speed');
+            found = true;
+        }
+        for (const [key, value] of params) {
+            if (key === 'prey') {
+                overrides.prey.strategy = value;
+                found = true;
+            } else if (key.startsWith('prey.')) {
+                overrides.prey.params[key.slice('prey.'.length)] = Number(value);
+                found = true;
+            }
+        }
+        return found ? overrides : null;
+    }
+
+    const SnakeConfig = {
+        tickMs,
+        defaultConfig,
+        wallModes,
+        speedCurves,
+        fields,
+        presets,
+        validateConfig,
+        createConfig,
+        getPreset,
+        findPreset,
+        toQueryString,
+        fromQueryString
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeConfig;
+    } else {
+        root.SnakeConfig = SnakeConfig;
+    }
+})(this);
@@ -0,0 +1,198 @@
+// Daily challenge for The Prey That Runs
+// Everyone who plays on the same day (in UTC) gets the same game: the default rules in the open arena, with a seed
+// made from the date, so the prey spawn in the same places and roll the same random sprints for the same moves.
+// Only the first attempt of a day counts. A finished run is summed up in a short result code that anyone can paste
+// to check it belongs to that day's challenge and compare it with their own, without a server; the run's replay
+// file proves the code against the game itself (verifyReplay).
+(function (root) {
+    'use strict';
+
+    const SnakeReplay = (typeof module !== 'undefined' && module.exports) ? require('./replay.js') : root.SnakeReplay;
+    const SnakeConfig = (typeof module !== 'undefined' && module.exports) ? require('./config.js') : root.SnakeConfig;
+    const SnakeStorage = (typeof module !== 'undefined' && module.exports) ? require('./storage.js') : root.SnakeStorage;
+
+    const storageKey = 'preyThatRuns.daily'; // Where the attempts of the last days are saved
+    const keptDays = 30; // Days of attempts kept in storage
+    const codePrefix = 'PTR';
+    const codeVersion = 1; // Bump when the result code format or the daily game changes
+
+    // 32-bit FNV-1a hash of a string
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    // Day of a date as "YYYY-MM-DD", in UTC so a team spread over time zones shares the same challenge
+    function getDateKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    // Seed of a day's challenge
+    function getSeed(dateKey) {
+        return hashString(`daily:${dateKey}`);
+    }
+
+    // Options for SnakeEngine.createGame that start a day's challenge
+    function getGameOptions(dateKey) {
+        return { seed: getSeed(dateKey), config: SnakeConfig.createConfig(), level: null, players: 1 };
+    }
+
+    // Fingerprint of a run's inputs (a replay's inputs), as 8 hex digits
+    function hashInputs(inputs) {
+        return hashString(JSON.stringify(inputs)).toString(16).padStart(8, '0');
+    }
+
+    // Result of a finished daily game: { date, score, catches, timeMs, seed, inputsHash }
+    function createResult(dateKey, state) {
+        const replay = SnakeReplay.createReplay(state);
+        return {
+            date: dateKey,
+            score: state.players[0].score,
+            catches: state.players[0].stats.preysCaught,
+            timeMs: state.time,
+            seed: state.seed,
+            inputsHash: hashInputs(replay.inputs)
+        };
+    }
+
+    // Checksum of the rest of a result code, as 4 hex digits, so typos and edits show up
+    function checksum(text) {
+        return (hashString(text) & 0xffff).toString(16).padStart(4, '0');
+    }
+
+    // A result as a code to copy and share, e.g. "PTR1.20261019.145.9.93400.3f2a1b9c.89ab12cd.5e0f"
+    // (version, day, score, catches, survival time in ms, seed, inputs fingerprint, checksum)
+    function createResultCode(result) {
+        const body = [
+            `${codePrefix}${codeVersion}`,
+            result.date.replace(/-/g, ''),
+            result.score,
+            result.catches,
+            result.timeMs,
+            result.seed.toString(16).padStart(8, '0'),
+            result.inputsHash
+        ].join('.');
+        return `${body}.${checksum(body)}`;
+    }
+
+    // Read a result code back into a result, throwing an Error that explains what is wrong with it
+    function parseResultCode(code) {
+        const text = String(code).trim();
+        const normalized = text.slice(0, codePrefix.length).toUpperCase() + text.slice(codePrefix.length).toLowerCase(); // Hex digits in either case
+        const match = /^PTR(\d+)\.(\d{4})(\d{2})(\d{2})\.(-?\d+)\.(\d+)\.(\d+)\.([0-9a-f]{8})\.([0-9a-f]{8})\.([0-9a-f]{4})$/.exec(normalized);
+        if (!match) {
+            throw new Error('Invalid result code: not a daily challenge result');
+        }
+        if (Number(match[1]) !== codeVersion) {
+            throw new Error('Invalid result code: made by a different version of the game');
+        }
+        const body = match[0].slice(0, match[0].lastIndexOf('.'));
+        if (checksum(body) !== match[10]) {
+            throw new Error('Invalid result code: it was mistyped or changed');
+        }
+        const result = {
+            date: `${match[2]}-${match[3]}-${match[4]}`,
+            score: Number(match[5]),
+            catches: Number(match[6]),
+            timeMs: Number(match[7]),
+            seed: parseInt(match[8], 16),
+            inputsHash: match[9]
+        };
+        if (result.seed !== getSeed(result.date)) {
+            throw new Error(`Invalid result code: not from the ${result.date} challenge`);
+        }
+        return result;
+    }
+
+    // List everything in which a replay disagrees with a result (empty if the replay is the run the result describes)
+    // The replay is played through the engine, so the score, catches and time are checked against the game itself
+    function verifyReplay(result, replay) {
+        const problems = [];
+        const options = getGameOptions(result.date);
+        if (replay.seed !== options.seed || replay.players !== 1 || replay.level ||
+            SnakeConfig.toQueryString(SnakeConfig.createConfig(replay.config)) !== SnakeConfig.toQueryString(options.config)) {
+            problems.push(`The replay isn't of the ${result.date} challenge`);
+            return problems;
+        }
+        if (hashInputs(replay.inputs) !== result.inputsHash) {
+            problems.push('The replay has different moves');
+        }
+
+        const player = SnakeReplay.createPlayer(replay);
+        SnakeReplay.seek(player, replay.length); // Play it to the end
+        const played = player.game;
+        if (played.players[0].score !== result.score) problems.push(`The replay scores ${played.players[0].score}, not ${result.score}`);
+        if (played.players[0].stats.preysCaught !== result.catches) problems.push(`The replay catches ${played.players[0].stats.preysCaught}, not ${result.catches}`);
+        if (played.time !== result.timeMs) problems.push(`The replay lasts ${played.time} ms, not ${result.timeMs}`);
+        return problems;
+    }
+
+    // Saved attempts, by day: { [dateKey]: { code } }, code null for an attempt that never finished
+    function loadAttempts(storage) {
+        const saved = SnakeStorage.loadJson(storage, storageKey);
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    }
+
+    function saveAttempts(storage, attempts) {
+        const days = Object.keys(attempts).sort().slice(-keptDays);
+        const kept = {};
+        for (const day of days) kept[day] = attempts[day];
+        SnakeStorage.saveJson(storage, storageKey, kept);
+    }
+
+    // The counted attempt of a day: { code } (null code if it was started but never finished), or null if there is none
+    // A saved code that no longer reads (another version of the game made it, or storage was changed) counts as no attempt
+    function getAttempt(storage, dateKey) {
+        const attempt = loadAttempts(storage)[dateKey];
+        if (!attempt) return null;
+        if (attempt.code === null) return attempt;
+        try {
+            parseResultCode(attempt.code);
+            return attempt;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Start a day's challenge; returns true if this is the day's first attempt, which is the one that counts
+    // An attempt counts from the moment it starts, so leaving a bad run doesn't give another try
+    function startAttempt(storage, dateKey) {
+        if (getAttempt(storage, dateKey)) return false;
+        const attempts = loadAttempts(storage);
+        attempts[dateKey] = { code: null };
+        saveAttempts(storage, attempts);
+        return true;
+    }
+
+    // Record the result code of a day's counted attempt
+    function finishAttempt(storage, dateKey, code) {
+        const attempts = loadAttempts(storage);
+        attempts[dateKey] = { code };
+        saveAttempts(storage, attempts);
+    }
+
+    const SnakeDaily = {
+        codeVersion,
+        getDateKey,
+        getSeed,
+        getGameOptions,
+        hashInputs,
+        createResult,
+        createResultCode,
+        parseResultCode,
+        verifyReplay,
+        getAttempt,
+        startAttempt,
+        finishAttempt
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeDaily;
+    } else {
+        root.SnakeDaily = SnakeDaily;
+    }
+})(this);
@@ -0,0 +1,1156 @@
+// Headless game engine for The Prey That Runs
+// Every game rule lives here with explicit state and no DOM access,
+// so the same code runs in the browser (window.SnakeEngine) or under Node (require('./engine.js')).
+(function (root) {
+    'use strict';
+
+    const PreyAI = (typeof module !== 'undefined' && module.exports) ? require('./prey-ai.js') : root.PreyAI;
+    const SnakeConfig = (typeof module !== 'undefined' && module.exports) ? require('./config.js') : root.SnakeConfig;
+    const PreySpecies = (typeof module !== 'undefined' && module.exports) ? require('./prey-species.js') : root.PreySpecies;
+    const SnakeLevels = (typeof module !== 'undefined' && module.exports) ? require('./levels.js') : root.SnakeLevels;
+    const SnakePickups = (typeof module !== 'undefined' && module.exports) ? require('./pickups.js') : root.SnakePickups;
+    const SnakeScoring = (typeof module !== 'undefined' && module.exports) ? require('./scoring.js') : root.SnakeScoring;
+
+    // Engine constants; everything tunable lives in the game's config (see config.js)
+    const tickMs = SnakeConfig.tickMs; // Length of one fixed simulation tick; every speed in the config is a multiple of it
+    const maxFrameTime = 250; // Longest real frame the scheduler will catch up on at once
+    const maxQueuedTurns = 3; // How many turns may wait for upcoming snake moves
+    const maxPlayers = 2; // Snakes in a versus round
+
+    // Opposite headings, used to prevent an immediate reverse direction
+    const oppositeDirections = { up: 'down', down: 'up', left: 'right', right: 'left' };
+    const sideDirections = { up: ['right', 'left'], down: ['left', 'right'], left: ['up', 'down'], right: ['down', 'up'] }; // Clockwise first
+    const directionSteps = { up: { x: 0, y: -1 }, down: { x: 0, y: 1 }, left: { x: -1, y: 0 }, right: { x: 1, y: 0 } }; // Cells per move
+
+    // Seeded pseudo-random number generator (mulberry32)
+    // The same seed always produces the same sequence of numbers in [0, 1)
+    // createRng(rng.getState()) carries on with the same sequence, which is how snapshots resume a game
+    function createRng(seed) {
+        let a = seed >>> 0;
+        const rng = function () {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        rng.getState = () => a;
+        return rng;
+    }
+
+    // Pick a fresh 32-bit seed for games started without one
+    function randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    // Create a fresh game state
+    // options.seed: 32-bit seed for the game's random numbers (random if omitted)
+    // options.rng: function returning a number in [0, 1), overrides the seeded generator
+    // options.config: the game's rules, as overrides of the defaults (validated by SnakeConfig.createConfig)
+    // options.level: a level definition (see levels.js) with obstacles, start, spawn zone and goal; an empty arena if omitted
+    // options.players: 1 for a normal game, 2 for a same-keyboard versus round (default 1)
+    function createGame(options = {}) {
+        const seed = options.seed !== undefined ? options.seed >>> 0 : randomSeed();
+        const level = options.level ? SnakeLevels.parseLevel(options.level) : null;
+        const playerCount = options.players !== undefined ? options.players : 1;
+        if (playerCount !== 1 && playerCount !== maxPlayers) {
+            throw new Error(`A game has 1 or ${maxPlayers} players`);
+        }
+        let config = SnakeConfig.createConfig(options.config);
+        if (level) {
+            config = SnakeConfig.createConfig(SnakeLevels.levelConfig(level, config));
+        }
+        const gridSize = config.gridSize;
+        const toPixels = cell => ({ x: cell.x * gridSize, y: cell.y * gridSize });
+        const start = level ? toPixels(level.start) : { x: 5 * gridSize, y: 5 * gridSize };
+        const direction = level ? level.heading : 'right';
+        const obstacles = level ? level.obstacles.map(toPixels) : [];
+
+        const state = {
+            seed,
+            rng: options.rng || createRng(seed),
+            config, // Validated rules of this game
+            // The board is always config.arenaWidth x config.arenaHeight; the arena is the playable
+            // rectangle inside it, which closes in from all four sides as the prey is caught
+            arena: { x: 0, y: 0, width: config.arenaWidth, height: config.arenaHeight },
+            prevArena: { x: 0, y: 0, width: config.arenaWidth, height: config.arenaHeight }, // Arena before the last wall step, for interpolation
+            shrink: null, // Pending shrink: { target (arena the walls close in to), startTime (game time it was announced) }
+            lastShrinkStepTime: 0, // Game time of the last wall step
+            level, // Parsed level being played, or null for the open arena
+            obstacles, // Obstacle cells in pixels
+            obstacleKeys: new Set(obstacles.map(cell => cellKey(cell.x, cell.y))), // Same cells, for quick lookups
+            spawnZone: level ? level.spawnZone.map(toPixels) : [], // Cells new prey appear in (anywhere if empty)
+            isLevelComplete: false, // Set when the level's target score is reached
+            // One snake per player, each with its own heading, score and sprint (see createPlayer)
+            players: [createPlayer(config, 0, start, direction)],
+            // Prey balls on the board: { id, species, x, y, prevX, prevY, chaseStartTime, longSprintsLeft, lastFleeTime, lastLongSprintTime }
+            prey: [],
+            nextPreyId: 1, // Id given to the next ball that spawns
+            pickups: [], // Items on the board: { id, kind, x, y, expiresAt } (see pickups.js)
+            nextPickupId: 1, // Id given to the next item that appears
+            lastPickupSpawnTime: 0, // Game time the last item appeared (or was due, if there was no room)
+            frozenUntil: 0, // Game time until which every prey ball stands still (freeze pickup)
+            isGameOver: false,
+            winner: null, // Index of the player who won a versus round, null for a draw (or a normal game)
+            tick: 0, // Number of fixed ticks simulated so far
+            time: 0, // Milliseconds of game time simulated so far (tick * tickMs)
+            accumulator: 0, // Real milliseconds not yet turned into ticks
+            pendingInput: [], // Input of every player waiting for the next tick
+            // Every input applied so far as [tick, 'up' | 'down' | 'left' | 'right' | 'sprint' | 'sprint-end'],
+            // with the player's index appended for every player but the first
+            inputLog: [],
+            lastFoodUpdateTime: 0, // Game time of the last logical update for the prey
+            stats: {
+                longSprints: 0 // Long sprints the prey performed
+            }
+        };
+
+        // Player two starts mirrored through the centre of the board, heading the other way
+        if (playerCount === maxPlayers) {
+            const mirror = cell => ({ x: config.arenaWidth - gridSize - cell.x, y: config.arenaHeight - gridSize - cell.y });
+            const second = createPlayer(config, 1, mirror(start), oppositeDirections[direction]);
+            if (!second.snake.every(segment => isValidPosition(state, segment.x, segment.y))) {
+                throw new Error('Invalid level: no room for a second snake');
+            }
+            state.players.push(second);
+        }
+        state.pendingInput = state.players.map(() => ({ turns: [] }));
+
+        fillPrey(state, []); // Initial placement, no prior prevX/Y to consider
+        return state;
+    }
+
+    // A player's snake, two cells long with its head on start, and everything that belongs to it
+    function createPlayer(config, index, start, direction) {
+        const gridSize = config.gridSize;
+        const tail = { x: start.x - directionSteps[direction].x * gridSize, y: start.y - directionSteps[direction].y * gridSize };
+        const startSpeed = getSpeedCurve(config).start;
+        return {
+            index, // 0 for player one, 1 for player two
+            snake: [
+                { x: start.x, y: start.y, prevX: start.x, prevY: start.y }, // Head
+                { x: tail.x, y: tail.y, prevX: tail.x, prevY: tail.y }  // Body
+            ],
+            direction, // Initial snake direction
+            turnQueue: [], // Turns waiting for the next snake moves, applied one per move (at most maxQueuedTurns)
+            score: 0,
+            isAlive: true,
+            deathCause: null, // 'wall', 'obstacle', 'self', 'snake', 'head-on' or 'crushed' once the snake died
+            earnedSpeed: startSpeed, // Milliseconds per snake move earned by eating, without sprinting
+            gameSpeed: startSpeed, // Current milliseconds per snake logical frame (earned speed plus sprint)
+            sprintHeld: false, // Whether the player is holding the sprint key
+            isSprinting: false, // Whether the sprint boost is active right now
+            stamina: config.maxStamina, // Sprint stamina left, drains while sprinting and regenerates otherwise
+            isExhausted: false, // Set when stamina runs dry, until it refills to minStaminaToSprint
+            freeSprintUntil: 0, // Game time until which sprinting costs no stamina (golden bonus)
+            multiplierUntil: 0, // Game time until which catches score extra (golden bonus)
+            magnetUntil: 0, // Game time until which prey let this snake come closer before running (magnet pickup)
+            shieldUntil: 0, // Game time until which one crash is forgiven (shield pickup, used up by the crash)
+            combo: 0, // Catches in a row, each within SnakeScoring.comboWindowMs of the one before
+            lastCatchTime: null, // Game time of the last catch
+            lastUpdateTime: 0, // Game time of the last logical update for this snake
+            stats: {
+                preysCaught: 0,
+                sprintsUsed: 0, // Times the snake started sprinting
+                fastestMoveMs: startSpeed, // Shortest time per snake move reached, sprints included
+                bestCombo: 0, // Longest run of catches in a row
+                scoreParts: {} // Points earned per score part (see scoring.js)
+            }
+        };
+    }
+
+    // Lookup key of a cell
+    function cellKey(x, y) {
+        return `${x},${y}`;
+    }
+
+    // True if a cell lies inside an arena rectangle
+    function isInsideArena(arena, x, y) {
+        return x >= arena.x && x < arena.x + arena.width && y >= arena.y && y < arena.y + arena.height;
+    }
+
+    // Helper to check if a position is valid (not wall, obstacle or any snake)
+    function isValidPosition(state, x, y, ignoreHead = false) {
+        // Check wall collision against the CURRENT arena
+        if (!isInsideArena(state.arena, x, y) || state.obstacleKeys.has(cellKey(x, y))) {
+            return false;
+        }
+        // Check snake collision
+        for (const player of state.players) {
+            const snake = player.snake;
+            for (let i = (ignoreHead ? 1 : 0); i < snake.length; i++) {
+                if (snake[i].x === x && snake[i].y === y) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    // The cell a position ends up on: in wrap-around mode, leaving the arena on one side comes back on the other
+    function wrapCell(state, cell) {
+        if (state.config.wallMode !== 'wrap') return cell;
+        const arena = state.arena;
+        return {
+            x: arena.x + ((cell.x - arena.x) % arena.width + arena.width) % arena.width,
+            y: arena.y + ((cell.y - arena.y) % arena.height + arena.height) % arena.height
+        };
+    }
+
+    // Shortest offset from one position to another; in wrap-around mode it may go across an edge
+    function offsetBetween(state, from, to) {
+        let dx = to.x - from.x;
+        let dy = to.y - from.y;
+        if (state.config.wallMode === 'wrap') {
+            const { width, height } = state.arena;
+            dx = ((dx % width) + width * 1.5) % width - width / 2;
+            dy = ((dy % height) + height * 1.5) % height - height / 2;
+        }
+        return { dx, dy };
+    }
+
+    // Straight-line distance between two positions (around the edges in wrap-around mode)
+    function distanceBetween(state, from, to) {
+        const { dx, dy } = offsetBetween(state, from, to);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // True if two positions are the same cell
+    function isSameCell(a, b) {
+        return a.x === b.x && a.y === b.y;
+    }
+
+    // True if a prey ball other than except sits on a cell
+    function isPreyAt(state, x, y, except = null) {
+        return state.prey.some(prey => prey !== except && prey.x === x && prey.y === y);
+    }
+
+    // True if a pickup sits on a cell
+    function isPickupAt(state, x, y) {
+        return state.pickups.some(pickup => pickup.x === x && pickup.y === y);
+    }
+
+    // The living player whose snake head is closest to a cell (the lower index on a tie)
+    function nearestPlayer(state, x, y) {
+        let nearest = state.players[0];
+        let nearestDistance = Infinity;
+        for (const player of state.players) {
+            const distance = distanceBetween(state, player.snake[0], { x, y });
+            if (player.isAlive && distance < nearestDistance) {
+                nearest = player;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    // Read-only view of the game handed to the prey AI, from the point of view of one ball
+    // The ball runs from the snake nearest to it; other snakes and other balls count as taken cells
+    function createPreyView(state, prey) {
+        const hunter = nearestPlayer(state, prey.x, prey.y);
+        return {
+            gridSize: state.config.gridSize,
+            arena: Object.assign({}, state.arena),
+            isWrapping: state.config.wallMode === 'wrap',
+            wrap: cell => wrapCell(state, cell),
+            prey: { x: prey.x, y: prey.y },
+            snake: hunter.snake,
+            direction: hunter.direction,
+            rng: state.rng,
+            isObstacle: (x, y) => state.obstacleKeys.has(cellKey(x, y)),
+            isFree: (x, y) => isValidPosition(state, x, y) && !isPreyAt(state, x, y, prey)
+        };
+    }
+
+    // A random cell of the arena with no snake, obstacle, prey or pickup on it, or null if there is none left
+    // zone: cells to pick from (default: the whole arena)
+    function randomFreeCell(state, zone = null) {
+        const gridSize = state.config.gridSize;
+        const arena = state.arena;
+        const isFree = (x, y) => isValidPosition(state, x, y) && !isPreyAt(state, x, y) && !isPickupAt(state, x, y);
+        const cells = [];
+        if (zone) {
+            cells.push(...zone.filter(cell => isFree(cell.x, cell.y)));
+        } else {
+            for (let x = arena.x; x < arena.x + arena.width; x += gridSize) {
+                for (let y = arena.y; y < arena.y + arena.height; y += gridSize) {
+                    if (isFree(x, y)) {
+                        cells.push({ x, y });
+                    }
+                }
+            }
+        }
+        return cells.length > 0 ? cells[Math.floor(state.rng() * cells.length)] : null;
+    }
+
+    // Put a new ball of a species on a random free cell, in the level's spawn zone while it has room
+    // Returns the ball, or null if the arena is full
+    function spawnPrey(state, species, events) {
+        const cell = (state.spawnZone.length > 0 && randomFreeCell(state, state.spawnZone)) || randomFreeCell(state);
+        if (!cell) return null;
+
+        const prey = {
+            id: state.nextPreyId++,
+            species,
+            x: cell.x,
+            y: cell.y,
+            prevX: cell.x, // Previous position for smooth animation
+            prevY: cell.y,
+            chaseStartTime: null, // Game time when the snake started chasing this ball
+            longSprintsLeft: state.config.prey.params.maxRandomSprints, // Remaining long sprints of this ball
+            lastFleeTime: null, // Game time this ball last ran from a snake
+            lastLongSprintTime: null // Game time of this ball's last long sprint
+        };
+        state.prey.push(prey);
+        events.push({ type: 'spawned', id: prey.id, species, x: prey.x, y: prey.y });
+        return prey;
+    }
+
+    // Take a ball off the board
+    function removePrey(state, prey) {
+        state.prey = state.prey.filter(other => other !== prey);
+    }
+
+    // Top the board up to config.preyCount balls worth catching and config.decoyCount decoys
+    function fillPrey(state, events) {
+        const decoys = state.prey.filter(prey => PreySpecies.getSpecies(prey.species).isDecoy).length;
+        for (let count = state.prey.length - decoys; count < state.config.preyCount; count++) {
+            if (!spawnPrey(state, PreySpecies.pickSpecies(state.rng), events)) return;
+        }
+        for (let count = decoys; count < state.config.decoyCount; count++) {
+            if (!spawnPrey(state, 'decoy', events)) return;
+        }
+    }
+
+    // Put a new item of a random kind on a random free cell, if there is room
+    function spawnPickup(state, events) {
+        const cell = randomFreeCell(state);
+        if (!cell) return;
+        const pickup = {
+            id: state.nextPickupId++,
+            kind: SnakePickups.pickKind(state.rng),
+            x: cell.x,
+            y: cell.y,
+            expiresAt: state.time + state.config.pickupLifetimeMs
+        };
+        state.pickups.push(pickup);
+        events.push({ type: 'pickup-spawned', id: pickup.id, kind: pickup.kind, x: pickup.x, y: pickup.y });
+    }
+
+    // Run the pickups' clocks: items left lying too long vanish, effects that ran out end,
+    // and a new item appears every config.pickupIntervalMs while there is space for one
+    function updatePickups(state, events) {
+        for (const pickup of state.pickups.filter(item => state.time >= item.expiresAt)) {
+            state.pickups = state.pickups.filter(item => item !== pickup);
+            events.push({ type: 'pickup-expired', id: pickup.id, kind: pickup.kind });
+        }
+
+        if (state.frozenUntil !== 0 && state.time >= state.frozenUntil) {
+            state.frozenUntil = 0;
+            events.push({ type: 'effect-ended', player: null, kind: 'freeze' });
+        }
+        for (const player of state.players) {
+            for (const [kind, field] of [['magnet', 'magnetUntil'], ['shield', 'shieldUntil']]) {
+                if (player[field] !== 0 && state.time >= player[field]) {
+                    player[field] = 0;
+                    events.push({ type: 'effect-ended', player: player.index, kind });
+                }
+            }
+        }
+
+        const interval = state.config.pickupIntervalMs;
+        if (interval > 0 && state.time - state.lastPickupSpawnTime >= interval) {
+            state.lastPickupSpawnTime = state.time;
+            if (state.pickups.length < state.config.maxPickups) spawnPickup(state, events);
+        }
+    }
+
+    // Give a player what an item does; timed effects picked up again start over
+    function collectPickup(state, player, pickup, events) {
+        state.pickups = state.pickups.filter(item => item !== pickup);
+        const kind = SnakePickups.getKind(pickup.kind);
+        const until = kind.durationMs > 0 ? state.time + kind.durationMs : null;
+        events.push({ type: 'pickup', player: player.index, id: pickup.id, kind: kind.name, until });
+
+        switch (kind.name) {
+            case 'freeze':
+                state.frozenUntil = until;
+                break;
+            case 'magnet':
+                player.magnetUntil = until;
+                break;
+            case 'shield':
+                player.shieldUntil = until;
+                break;
+            case 'trim': {
+                const snake = player.snake;
+                const lost = Math.min(SnakePickups.trimSegments, Math.max(0, snake.length - SnakePickups.minSnakeLength));
+                snake.splice(snake.length - lost);
+                events.push({ type: 'trimmed', player: player.index, lost, length: snake.length });
+                break;
+            }
+            case 'grow':
+                growArena(state, events);
+                break;
+        }
+    }
+
+    // Timed effects a player has running, soonest to end first: [{ kind, remainingMs }]
+    // A freeze holds every ball, so it shows up for every player
+    function getActiveEffects(state, playerIndex = 0) {
+        const player = state.players[playerIndex];
+        const effects = [['freeze', state.frozenUntil], ['magnet', player.magnetUntil], ['shield', player.shieldUntil]]
+            .filter(([, until]) => state.time < until)
+            .map(([kind, until]) => ({ kind, remainingMs: until - state.time }));
+        return effects.sort((a, b) => a.remainingMs - b.remainingMs);
+    }
+
+    // Queue a change of a snake's heading for its next move
+    // Every input source (keyboard, D-pad, swipes) goes through here. The turn is checked against the
+    // heading the snake will have once the turns already queued are applied, not the heading it has now,
+    // so two quick presses inside one move can never add up to a reverse direction.
+    // playerIndex: whose snake turns (0 for player one)
+    // Returns true if the turn was queued
+    function turn(state, newDirection, playerIndex = 0) {
+        const player = state.players[playerIndex];
+        if (state.isGameOver || !player || !Object.prototype.hasOwnProperty.call(oppositeDirections, newDirection)) return false;
+        if (player.turnQueue.length >= maxQueuedTurns) return false; // Buffer full, drop the press
+
+        const plannedDirection = player.turnQueue.length > 0 ? player.turnQueue[player.turnQueue.length - 1] : player.direction;
+        if (newDirection === plannedDirection || newDirection === oppositeDirections[plannedDirection]) {
+            return false; // No change, or an immediate reverse direction
+        }
+        player.turnQueue.push(newDirection);
+        return true;
+    }
+
+    // Apply a player's next queued turn, one per snake move
+    // The committed heading is checked again as a last guard against reversing into the neck
+    function applyQueuedTurn(player) {
+        while (player.turnQueue.length > 0) {
+            const newDirection = player.turnQueue.shift();
+            if (newDirection !== player.direction && newDirection !== oppositeDirections[player.direction]) {
+                player.direction = newDirection;
+                return;
+            }
+        }
+    }
+
+    // Press or release a player's sprint key; the boost itself is applied by updateSprint
+    function setSprint(state, held, playerIndex = 0) {
+        const player = state.players[playerIndex];
+        if (state.isGameOver || !player) return;
+        player.sprintHeld = held;
+    }
+
+    // Start and top speed of the snake (milliseconds per move) under the config's speed curve, in whole ticks
+    function getSpeedCurve(config) {
+        const factor = SnakeConfig.speedCurves[config.speedCurve].moveTimeFactor;
+        const toTicks = ms => Math.round(ms * factor / tickMs) * tickMs;
+        return { start: toTicks(config.baseGameSpeed), top: toTicks(config.minGameSpeed) };
+    }
+
+    // Milliseconds per snake move: the speed earned by eating, boosted while sprinting
+    // The boosted speed is rounded to whole ticks so the snake keeps an even rhythm
+    function updateGameSpeed(state, player) {
+        if (player.isSprinting) {
+            player.gameSpeed = Math.max(tickMs, Math.round(player.earnedSpeed * state.config.sprintSpeedMultiplier / tickMs) * tickMs);
+        } else {
+            player.gameSpeed = player.earnedSpeed;
+        }
+        player.stats.fastestMoveMs = Math.min(player.stats.fastestMoveMs, player.gameSpeed);
+    }
+
+    // Drain a player's stamina while the sprint is held, regenerate it otherwise
+    function updateSprint(state, player, events) {
+        const config = state.config;
+        const wasSprinting = player.isSprinting;
+
+        if (player.sprintHeld && !player.isExhausted) {
+            const drainRate = state.time < player.freeSprintUntil ? 0 : config.staminaDrainRate; // Golden bonus sprints for free
+            player.stamina = Math.max(0, player.stamina - drainRate * tickMs / 1000);
+            player.isSprinting = true;
+            if (player.stamina === 0) {
+                player.isExhausted = true; // Ran dry, sprint stops until the meter refills a bit
+                player.isSprinting = false;
+            }
+        } else {
+            player.stamina = Math.min(config.maxStamina, player.stamina + config.staminaRegenRate * tickMs / 1000);
+            player.isSprinting = false;
+            if (player.isExhausted && player.stamina >= config.minStaminaToSprint) {
+                player.isExhausted = false;
+            }
+        }
+
+        if (player.isSprinting !== wasSprinting) {
+            if (player.isSprinting) player.stats.sprintsUsed++;
+            updateGameSpeed(state, player);
+            events.push({ type: player.isSprinting ? 'sprint-start' : 'sprint-stop', player: player.index, stamina: player.stamina });
+        }
+    }
+
+    // Kill a player's snake and report why; endRoundIfDecided then ends the game
+    function killPlayer(player, events, cause) {
+        player.isAlive = false;
+        player.deathCause = cause;
+        events.push({ type: 'died', player: player.index, cause, score: player.score });
+    }
+
+    // End the game once a snake has died
+    // In a versus round the snake still alive wins; if both died on the same tick the round is a draw
+    function endRoundIfDecided(state, events) {
+        const survivors = state.players.filter(player => player.isAlive);
+        if (survivors.length === state.players.length) return;
+        state.isGameOver = true;
+        if (state.players.length > 1) {
+            endRound(state, events, survivors.length === 1 ? survivors[0].index : null);
+        }
+    }
+
+    // Stop a versus round with a winner (a player index) or a draw (null)
+    function endRound(state, events, winner) {
+        state.isGameOver = true;
+        state.winner = winner;
+        events.push({ type: 'round-over', winner, scores: state.players.map(player => player.score) });
+    }
+
+    // The arena after one more shrink: config.shrinkAmount off every side, but never below config.minArenaSize
+    // When the minimum only leaves room for part of a shrink, the cut is split as evenly as the grid allows
+    function shrinkTarget(config, arena) {
+        const gridSize = config.gridSize;
+        const cutX = Math.min(config.shrinkAmount * 2, Math.max(0, arena.width - config.minArenaSize));
+        const cutY = Math.min(config.shrinkAmount * 2, Math.max(0, arena.height - config.minArenaSize));
+        const leftCut = Math.floor(cutX / gridSize / 2) * gridSize;
+        const topCut = Math.floor(cutY / gridSize / 2) * gridSize;
+        return { x: arena.x + leftCut, y: arena.y + topCut, width: arena.width - cutX, height: arena.height - cutY };
+    }
+
+    // Announce a shrink after a catch; the walls start moving once the warning time has passed
+    // Catching another prey while the walls are still on their way extends the shrink instead of restarting it
+    function startShrink(state, events) {
+        const from = state.shrink ? state.shrink.target : state.arena;
+        const target = shrinkTarget(state.config, from);
+        if (target.width === from.width && target.height === from.height) return; // Already as small as it gets
+
+        if (state.shrink) {
+            state.shrink.target = target;
+        } else {
+            state.shrink = { target, startTime: state.time };
+        }
+        events.push({ type: 'shrink-warning', target: Object.assign({}, target) });
+    }
+
+    // Push every wall back out by one cell (grow pickup), never past the board
+    // A shrink on its way moves out with the walls, so it still takes as much as it would have before
+    function growArena(state, events) {
+        const gridSize = state.config.gridSize;
+        const arena = state.arena;
+        const before = Object.assign({}, arena);
+        const right = Math.min(arena.x + arena.width + gridSize, state.config.arenaWidth);
+        const bottom = Math.min(arena.y + arena.height + gridSize, state.config.arenaHeight);
+        arena.x = Math.max(0, arena.x - gridSize);
+        arena.y = Math.max(0, arena.y - gridSize);
+        arena.width = right - arena.x;
+        arena.height = bottom - arena.y;
+
+        if (state.shrink) {
+            const target = state.shrink.target;
+            target.x -= before.x - arena.x;
+            target.y -= before.y - arena.y;
+            target.width += arena.width - before.width;
+            target.height += arena.height - before.height;
+        }
+        state.prevArena = before;
+        state.lastShrinkStepTime = state.time; // Animate the walls moving out like a wall step
+        events.push({ type: 'grew', arena: Object.assign({}, arena) });
+    }
+
+    // Move every wall that hasn't reached the shrink target in by one cell, on its own cadence
+    function updateArena(state, events) {
+        const shrink = state.shrink;
+        const config = state.config;
+        if (!shrink || state.time - shrink.startTime < config.shrinkWarningMs) return;
+        if (state.time - state.lastShrinkStepTime < config.shrinkStepMs) return;
+
+        const gridSize = config.gridSize;
+        const arena = state.arena;
+        const target = shrink.target;
+        const right = Math.max(arena.x + arena.width - gridSize, target.x + target.width);
+        const bottom = Math.max(arena.y + arena.height - gridSize, target.y + target.height);
+
+        state.prevArena = Object.assign({}, arena);
+        state.lastShrinkStepTime = state.time;
+        arena.x = Math.min(arena.x + gridSize, target.x);
+        arena.y = Math.min(arena.y + gridSize, target.y);
+        arena.width = right - arena.x;
+        arena.height = bottom - arena.y;
+        if (arena.x === target.x && arena.y === target.y && arena.width === target.width && arena.height === target.height) {
+            state.shrink = null;
+        }
+        events.push({ type: 'shrank', arena: Object.assign({}, arena) });
+
+        crushOutsideArena(state, events);
+    }
+
+    // Rules for whatever a closing wall lands on:
+    // - a snake's head: the snake is crushed and the game ends
+    // - body segments: the first crushed segment and everything behind it are lost, the rest of the snake lives on
+    // - prey balls: they're pushed in with the wall, or placed somewhere else if something is in the way
+    function crushOutsideArena(state, events) {
+        const arena = state.arena;
+        const gridSize = state.config.gridSize;
+
+        for (const player of state.players) {
+            const snake = player.snake;
+            if (!isInsideArena(arena, snake[0].x, snake[0].y)) {
+                killPlayer(player, events, 'crushed');
+                continue;
+            }
+
+            const firstCrushed = snake.findIndex(segment => !isInsideArena(arena, segment.x, segment.y));
+            if (firstCrushed !== -1) {
+                const lost = snake.length - firstCrushed;
+                snake.splice(firstCrushed);
+                events.push({ type: 'crushed', player: player.index, lost, length: snake.length });
+            }
+        }
+        endRoundIfDecided(state, events);
+        if (state.isGameOver) return;
+
+        state.pickups = state.pickups.filter(pickup => isInsideArena(arena, pickup.x, pickup.y)); // Items under the wall are lost
+
+        for (const prey of state.prey.slice()) {
+            if (isInsideArena(arena, prey.x, prey.y)) continue;
+            const pushed = {
+                x: Math.max(arena.x, Math.min(prey.x, arena.x + arena.width - gridSize)),
+                y: Math.max(arena.y, Math.min(prey.y, arena.y + arena.height - gridSize))
+            };
+            const newPos = isValidPosition(state, pushed.x, pushed.y) && !isPreyAt(state, pushed.x, pushed.y, prey) ? pushed : randomFreeCell(state);
+            if (newPos) {
+                movePrey(state, events, prey, newPos, 'pushed');
+            } else {
+                removePrey(state, prey); // No room left for it anywhere
+            }
+        }
+    }
+
+    // Stop the game once a player reaches the level's target score
+    // That completes the level in a normal game, and wins the round in versus
+    function completeLevel(state, player, events) {
+        if (state.players.length > 1) {
+            endRound(state, events, player.index);
+            return;
+        }
+        state.isGameOver = true;
+        state.isLevelComplete = true;
+        events.push({ type: 'level-complete', score: player.score });
+    }
+
+    // Cell a snake's head moves to next
+    function nextHead(state, player) {
+        const step = directionSteps[player.direction];
+        return wrapCell(state, { x: player.snake[0].x + step.x * state.config.gridSize, y: player.snake[0].y + step.y * state.config.gridSize });
+    }
+
+    // Free cells in a straight line from a snake's head in a direction
+    function freeRun(state, player, direction) {
+        const step = directionSteps[direction];
+        const gridSize = state.config.gridSize;
+        let run = 0;
+        let x = player.snake[0].x + step.x * gridSize;
+        let y = player.snake[0].y + step.y * gridSize;
+        while (isValidPosition(state, x, y)) {
+            run++;
+            x += step.x * gridSize;
+            y += step.y * gridSize;
+        }
+        return run;
+    }
+
+    // Soft walls turn a snake that is about to run into the edge of the arena along it instead
+    // It goes the way with more room ahead (clockwise on a tie); with no room either way it crashes after all
+    function bounceOffWall(state, player, events) {
+        let best = null;
+        let bestRun = 0;
+        for (const direction of sideDirections[player.direction]) {
+            const run = freeRun(state, player, direction);
+            if (run > bestRun) {
+                best = direction;
+                bestRun = run;
+            }
+        }
+        if (!best) return;
+        player.direction = best;
+        events.push({ type: 'bounced', player: player.index, direction: best });
+    }
+
+    // What a snake would crash into by moving its head to a cell on its own: 'wall', 'obstacle', 'self' or null
+    function crashCause(state, player, head) {
+        // 1. Wall collision against the CURRENT arena, and the level's obstacles
+        if (!isInsideArena(state.arena, head.x, head.y)) return 'wall';
+        if (state.obstacleKeys.has(cellKey(head.x, head.y))) return 'obstacle';
+        // 2. Self-collision (check if head collides with any body segment)
+        if (player.snake.some((segment, i) => i > 0 && isSameCell(segment, head))) return 'self';
+        return null;
+    }
+
+    // Logical game update for the SNAKES due to move on this tick (one move each)
+    // Collisions are judged on the board as it was before anyone moved, so the order of the players never matters:
+    // 1. walls and obstacles, 2. the snake's own body, 3. another snake. Running into another snake's head
+    // (both heads on one cell, two heads swapping cells, or moving onto a head that stays put) is head-on and
+    // kills the shorter snake, or both if they are as long; running into the rest of its body kills only the runner.
+    // A shield takes the blow of a crash of the first two kinds: the snake stays put for this move instead.
+    // How the arena's edges act depends on config.wallMode: solid walls kill, wrap-around walls lead to
+    // the opposite edge (see nextHead) and soft walls turn the snake aside (see bounceOffWall).
+    function updateSnakeLogic(state, movers, events) {
+        const heads = new Map(); // Next head of every snake that moves
+        for (const player of movers) {
+            applyQueuedTurn(player);
+            if (state.config.wallMode === 'soft') {
+                const head = nextHead(state, player);
+                if (!isInsideArena(state.arena, head.x, head.y)) bounceOffWall(state, player, events);
+            }
+
+            // Store current positions as previous positions for interpolation
+            for (const segment of player.snake) {
+                segment.prevX = segment.x;
+                segment.prevY = segment.y;
+            }
+            heads.set(player, nextHead(state, player));
+        }
+
+        movers = movers.filter(player => {
+            const cause = crashCause(state, player, heads.get(player));
+            if (!cause || state.time >= player.shieldUntil) return true;
+            player.shieldUntil = 0; // Used up
+            heads.delete(player);
+            events.push({ type: 'shielded', player: player.index, cause });
+            return false;
+        });
+
+        const deaths = new Map(); // Player -> cause, the first cause found wins
+        const die = (player, cause) => {
+            if (!deaths.has(player)) deaths.set(player, cause);
+        };
+
+        for (const player of movers) {
+            const head = heads.get(player);
+            const snake = player.snake;
+
+            // 1. and 2. Walls, obstacles and the snake's own body
+            const cause = crashCause(state, player, head);
+            if (cause) {
+                die(player, cause);
+                continue;
+            }
+
+            // 3. The other snakes
+            for (const other of state.players) {
+                if (other === player) continue;
+                const otherHead = heads.get(other) || other.snake[0];
+                const swapped = heads.has(other) && isSameCell(otherHead, snake[0]) && isSameCell(head, other.snake[0]);
+                if (isSameCell(head, otherHead) || swapped) {
+                    if (snake.length <= other.snake.length) die(player, 'head-on');
+                    if (other.snake.length <= snake.length) die(other, 'head-on');
+                } else if (other.snake.some((segment, i) => (i > 0 || heads.has(other)) && isSameCell(segment, head))) {
+                    die(player, 'snake'); // A head that moved away leaves the neck behind
+                }
+            }
+        }
+
+        if (deaths.size > 0) {
+            for (const [player, cause] of deaths) {
+                killPlayer(player, events, cause);
+            }
+            endRoundIfDecided(state, events);
+            return;
+        }
+
+        for (const player of movers) {
+            if (state.isGameOver) return; // Someone just reached the level's target score
+            moveSnake(state, player, heads.get(player), events);
+        }
+    }
+
+    // Move a snake's head onto a free cell, eating whatever prey ball is there and collecting any item
+    function moveSnake(state, player, head, events) {
+        const snake = player.snake;
+
+        // Add new head to the beginning of the snake
+        snake.unshift({ x: head.x, y: head.y, prevX: snake[0].x, prevY: snake[0].y });
+
+        // Check if a prey ball is caught
+        const caught = state.prey.find(prey => isSameCell(prey, head));
+        if (caught && eatPrey(state, player, caught, events)) {
+            // The snake grows here as we don't pop the tail
+            if (state.level && state.level.targetScore !== null && player.score >= state.level.targetScore) {
+                completeLevel(state, player, events);
+            }
+        } else {
+            // Remove tail if nothing worth catching was eaten (snake moves)
+            snake.pop();
+        }
+
+        const pickup = state.pickups.find(item => isSameCell(item, head));
+        if (pickup && !state.isGameOver) collectPickup(state, player, pickup, events);
+    }
+
+    // Score a ball a player's snake ran into and replace it
+    // Returns true for a real catch, which grows the snake, speeds it up and closes the arena in;
+    // a decoy only costs points
+    function eatPrey(state, player, prey, events) {
+        const config = state.config;
+        const species = PreySpecies.getSpecies(prey.species);
+        removePrey(state, prey);
+
+        if (species.isDecoy) {
+            const points = Math.max(-player.score, species.points); // The score never drops below zero
+            player.combo = 0; // Biting a decoy breaks the combo
+            addScore(player, prey, { points, parts: points !== 0 ? [{ part: 'decoy', points }] : [] }, events);
+            events.push({ type: 'ate', player: player.index, id: prey.id, species: species.name, points, score: player.score });
+            fillPrey(state, events);
+            return false;
+        }
+
+        const isCombo = player.lastCatchTime !== null && state.time - player.lastCatchTime <= SnakeScoring.comboWindowMs;
+        player.combo = isCombo ? player.combo + 1 : 1;
+        player.lastCatchTime = state.time;
+        player.stats.bestCombo = Math.max(player.stats.bestCombo, player.combo);
+        const speedCurve = getSpeedCurve(config);
+        const speedRange = speedCurve.start - speedCurve.top;
+        const scored = SnakeScoring.scoreCatch({
+            basePoints: species.points,
+            // Running means it fled on the last prey update (not cornered, frozen or caught unawares)
+            isMidFlee: prey.lastFleeTime !== null && state.time - prey.lastFleeTime <= config.foodSpeed,
+            isAfterSprint: prey.lastLongSprintTime !== null && state.time - prey.lastLongSprintTime <= SnakeScoring.afterSprintWindowMs,
+            combo: player.combo,
+            arenaShare: (state.arena.width * state.arena.height) / (config.arenaWidth * config.arenaHeight),
+            speedShare: speedRange > 0 ? (speedCurve.start - player.earnedSpeed) / speedRange : 0, // Sprinting doesn't count
+            goldenMultiplier: state.time < player.multiplierUntil ? PreySpecies.goldenBonus.multiplier : 1
+        });
+        addScore(player, prey, scored, events);
+        player.stats.preysCaught++;
+        events.push({ type: 'ate', player: player.index, id: prey.id, species: species.name, points: scored.points, score: player.score });
+        if (species.bonus) grantGoldenBonus(state, player, events);
+
+        // Warn that the walls are about to close in from all four sides (see updateArena)
+        // Levels may only close in after some catches, counted over every snake
+        const totalCaught = state.players.reduce((sum, other) => sum + other.stats.preysCaught, 0);
+        if (!state.level || state.level.shrinkOn === null || state.level.shrinkOn.includes(totalCaught)) {
+            startShrink(state, events);
+        }
+
+        fillPrey(state, events); // New balls appear in random spots within the current bounds
+
+        // Increase snake speed after eating
+        player.earnedSpeed = Math.max(speedCurve.top, player.earnedSpeed - config.speedIncreaseAmount);
+        updateGameSpeed(state, player); // Keeps any sprint boost on top of the new speed
+        return true;
+    }
+
+    // Add the points of a catch to a player's score and run stats, and report where they came from
+    // scored: { points, parts } as SnakeScoring.scoreCatch returns it
+    function addScore(player, prey, scored, events) {
+        player.score += scored.points;
+        for (const { part, points } of scored.parts) {
+            player.stats.scoreParts[part] = (player.stats.scoreParts[part] || 0) + points;
+        }
+        events.push({ type: 'scored', player: player.index, x: prey.x, y: prey.y, points: scored.points, parts: scored.parts, combo: player.combo });
+    }
+
+    // A golden catch grants, at random, a stretch of free sprinting on a full meter or a score multiplier
+    function grantGoldenBonus(state, player, events) {
+        const bonus = PreySpecies.goldenBonus;
+        if (state.rng() < 0.5) {
+            player.freeSprintUntil = state.time + bonus.freeSprintMs;
+            player.stamina = state.config.maxStamina;
+            player.isExhausted = false;
+            events.push({ type: 'bonus', player: player.index, kind: 'free-sprint', until: player.freeSprintUntil });
+        } else {
+            player.multiplierUntil = state.time + bonus.multiplierMs;
+            events.push({ type: 'bonus', player: player.index, kind: 'multiplier', multiplier: bonus.multiplier, until: player.multiplierUntil });
+        }
+    }
+
+    // Move a prey ball to a new position and report it
+    function movePrey(state, events, prey, newPos, eventType) {
+        prey.prevX = prey.x;
+        prey.prevY = prey.y;
+        prey.x = newPos.x;
+        prey.y = newPos.y;
+        events.push({ type: eventType, id: prey.id, x: newPos.x, y: newPos.y });
+    }
+
+    // Logical game update for the PREY (one decision per ball, by its species and the active prey strategy)
+    // While a freeze is on, every ball stands still
+    function updatePreyLogic(state, events) {
+        const isFrozen = state.time < state.frozenUntil;
+        for (const prey of state.prey.slice()) { // Splitting adds balls while we go
+            const species = PreySpecies.getSpecies(prey.species);
+
+            // Balls that stay put this update shouldn't be animated
+            prey.prevX = prey.x;
+            prey.prevY = prey.y;
+            if (isFrozen) continue;
+
+            if (species.behaviour === 'wander') {
+                wander(state, prey, events);
+            } else {
+                flee(state, prey, species, events);
+            }
+        }
+    }
+
+    // Take a random free step now and then, ignoring the snake
+    function wander(state, prey, events) {
+        if (state.rng() >= PreySpecies.wanderChance) return;
+        const view = createPreyView(state, prey);
+        const gridSize = view.gridSize;
+        const moves = [
+            { x: prey.x, y: prey.y - gridSize },
+            { x: prey.x, y: prey.y + gridSize },
+            { x: prey.x - gridSize, y: prey.y },
+            { x: prey.x + gridSize, y: prey.y }
+        ].map(view.wrap).filter(cell => view.isFree(cell.x, cell.y));
+        if (moves.length > 0) {
+            movePrey(state, events, prey, moves[Math.floor(state.rng() * moves.length)], 'wandered');
+        }
+    }
+
+    // Run from the nearest snake when it gets close, with the odd long sprint if the chase drags on
+    // A snake with a magnet has to come closer before the ball notices it
+    function flee(state, prey, species, events) {
+        const hunter = nearestPlayer(state, prey.x, prey.y);
+        const strategy = PreyAI.getStrategy(state.config.prey.strategy);
+        const params = state.config.prey.params;
+
+        // Calculate distance between snake head and the ball (around the edges in wrap-around mode)
+        const distance = distanceBetween(state, hunter.snake[0], prey);
+        const magnetScale = state.time < hunter.magnetUntil ? SnakePickups.magnetScale : 1;
+
+        // Snake too far away to worry about: the chase is off
+        if (distance > params.fleeDistance * species.fleeScale * magnetScale) {
+            prey.chaseStartTime = null;
+            return;
+        }
+
+        // If chaseStartTime is null, set it (snake just started chasing)
+        if (prey.chaseStartTime === null) {
+            prey.chaseStartTime = state.time;
+        }
+
+        const view = createPreyView(state, prey);
+
+        // A cornered splitter breaks in two instead of running
+        if (species.behaviour === 'split' && countFreeNeighbours(view) <= PreySpecies.crampedCells) {
+            splitPrey(state, prey, species, events);
+            return;
+        }
+
+        // Check for Random Long Sprint - ONLY if the ball has long sprints left AND chase duration is met
+        const chaseDuration = state.time - prey.chaseStartTime;
+        if (prey.longSprintsLeft > 0 && chaseDuration >= params.minChaseTime && chaseDuration <= params.maxChaseTime && state.rng() < params.randomSprintChance) {
+            const newPos = strategy.longSprint(view, params);
+            if (newPos) {
+                movePrey(state, events, prey, newPos, 'long-sprint');
+                prey.lastLongSprintTime = state.time;
+                prey.longSprintsLeft--;
+                state.stats.longSprints++;
+                prey.chaseStartTime = null; // Reset chase time after a random sprint
+                return;
+            }
+        }
+
+        // Proximity Sprint (Regular Flee)
+        const newPos = strategy.flee(view, params);
+        if (newPos) {
+            movePrey(state, events, prey, newPos, 'fled');
+            prey.lastFleeTime = state.time;
+        }
+    }
+
+    // Number of free cells next to a ball
+    function countFreeNeighbours(view) {
+        const { x, y } = view.prey;
+        const gridSize = view.gridSize;
+        return [{ x, y: y - gridSize }, { x, y: y + gridSize }, { x: x - gridSize, y }, { x: x + gridSize, y }]
+            .map(view.wrap).filter(cell => view.isFree(cell.x, cell.y)).length;
+    }
+
+    // Break a cornered splitter in two: the ball itself becomes one shard, the other bursts out to a free cell
+    function splitPrey(state, prey, species, events) {
+        prey.species = species.splitsInto;
+        prey.chaseStartTime = null;
+        const shard = spawnPrey(state, species.splitsInto, events);
+        events.push({ type: 'split', id: prey.id, shardId: shard ? shard.id : null });
+    }
+
+    // Inputs of every player from what tick and step accept: one input for player one, or an array of them
+    function toPlayerInputs(input) {
+        return Array.isArray(input) ? input : [input];
+    }
+
+    // Advance the game by exactly one fixed tick of tickMs milliseconds
+    // This is the deterministic core: the same seed and the same input on the same ticks give the same game
+    // input: { turns: ['up', ...], sprint: true | false } to apply at the start of this tick (optional)
+    //        sprint is only given when the sprint key is pressed (true) or released (false)
+    //        In versus, pass an array with one such input (or null) per player
+    // Returns the list of events that happened: ate, scored, bonus, spawned, split, shrink-warning, shrank, grew, crushed, died,
+    // level-complete, round-over, fled, long-sprint, wandered, pushed, sprint-start, sprint-stop,
+    // pickup-spawned, pickup-expired, pickup, effect-ended, shielded, trimmed, bounced
+    function tick(state, input) {
+        const events = [];
+        if (state.isGameOver) return events;
+
+        // Apply player input first, in the order it was given, and log what took effect for replays
+        toPlayerInputs(input).forEach((playerInput, index) => {
+            const player = state.players[index];
+            if (!playerInput || !player) return;
+            const log = action => state.inputLog.push(index === 0 ? [state.tick, action] : [state.tick, action, index]);
+            for (const newDirection of (playerInput.turns || [])) {
+                if (turn(state, newDirection, index)) log(newDirection);
+            }
+            if (playerInput.sprint !== undefined && playerInput.sprint !== player.sprintHeld) {
+                log(playerInput.sprint ? 'sprint' : 'sprint-end');
+                setSprint(state, playerInput.sprint, index);
+            }
+        });
+
+        state.tick++;
+        state.time = state.tick * tickMs;
+
+        for (const player of state.players) {
+            updateSprint(state, player, events);
+        }
+        updateArena(state, events);
+        if (state.isGameOver) return events; // Crushed by a wall
+        updatePickups(state, events);
+
+        // Every snake and the prey run on their own cadences, all measured on this single clock
+        const movers = state.players.filter(player => state.time - player.lastUpdateTime >= player.gameSpeed);
+        if (movers.length > 0) {
+            for (const player of movers) {
+                player.lastUpdateTime = state.time;
+            }
+            updateSnakeLogic(state, movers, events);
+        }
+        if (!state.isGameOver && state.time - state.lastFoodUpdateTime >= state.config.foodSpeed) {
+            state.lastFoodUpdateTime = state.time;
+            updatePreyLogic(state, events);
+        }
+
+        return events;
+    }
+
+    // Advance the game by dtMs real milliseconds using a fixed-timestep accumulator
+    // input (as for tick) is buffered until the next tick runs, so nothing is lost on frames shorter than a tick
+    // Returns the list of events from every tick that ran
+    function step(state, input, dtMs) {
+        toPlayerInputs(input).forEach((playerInput, index) => {
+            const pending = state.pendingInput[index];
+            if (!playerInput || !pending) return;
+            pending.turns.push(...(playerInput.turns || []));
+            if (playerInput.sprint !== undefined) {
+                pending.sprint = playerInput.sprint; // The latest press or release wins
+            }
+        });
+
+        const events = [];
+        state.accumulator += Math.min(dtMs, maxFrameTime);
+        while (state.accumulator >= tickMs && !state.isGameOver) {
+            state.accumulator -= tickMs;
+            const tickInput = state.pendingInput;
+            state.pendingInput = state.players.map(() => ({ turns: [] }));
+            events.push(...tick(state, tickInput));
+        }
+        return events;
+    }
+
+    // A copy of the rules a game was started with, in the form createGame accepts them
+    function getConfig(state) {
+        return JSON.parse(JSON.stringify(state.config));
+    }
+
+    // Everything in a game state that changes while it runs; the rest follows from createGame's options
+    const snapshotFields = [
+        'arena', 'prevArena', 'shrink', 'lastShrinkStepTime', 'isLevelComplete', 'players', 'prey', 'nextPreyId',
+        'pickups', 'nextPickupId', 'lastPickupSpawnTime', 'frozenUntil',
+        'isGameOver', 'winner', 'tick', 'time', 'lastFoodUpdateTime', 'stats', 'pendingInput'
+    ];
+
+    // A JSON-safe copy of the running part of a game, for sending it over the network
+    // The game must use the engine's own random numbers (no options.rng), so the snapshot can carry on with them
+    function getSnapshot(state) {
+        const snapshot = {};
+        for (const field of snapshotFields) {
+            snapshot[field] = state[field];
+        }
+        snapshot.rngState = state.rng.getState();
+        return JSON.parse(JSON.stringify(snapshot));
+    }
+
+    // Overwrite a game, created with the same options as the one the snapshot was taken from, with the snapshot
+    // Time not yet simulated is dropped; the input log is left alone
+    function applySnapshot(state, snapshot) {
+        const copy = JSON.parse(JSON.stringify(snapshot));
+        for (const field of snapshotFields) {
+            state[field] = copy[field];
+        }
+        state.rng = createRng(copy.rngState);
+        state.accumulator = 0;
+    }
+
+    // Statistics of one player's game so far, for the game-over screen and the high-score table
+    function getRunStats(state, playerIndex = 0) {
+        const player = state.players[playerIndex];
+        return {
+            preysCaught: player.stats.preysCaught,
+            sprintsUsed: player.stats.sprintsUsed,
+            longSprints: state.stats.longSprints,
+            arenaWidth: state.arena.width, // Final arena size in pixels
+            arenaHeight: state.arena.height,
+            survivalTime: state.time, // Milliseconds survived
+            peakSpeed: Math.round(10000 / player.stats.fastestMoveMs) / 10, // Fastest snake moves per second, one decimal
+            bestCombo: player.stats.bestCombo,
+            scoreParts: Object.assign({}, player.stats.scoreParts) // Points per score part, adding up to the score
+        };
+    }
+
+    // Interpolation factors (0..1) for drawing between the last and the next logical frames
+    // snakes has one factor per player; arena is the progress of the last wall step, from prevArena to arena
+    function getInterpolation(state) {
+        const now = state.time + state.accumulator;
+        return {
+            snakes: state.players.map(player => Math.min(1, (now - player.lastUpdateTime) / player.gameSpeed)),
+            food: Math.min(1, (now - state.lastFoodUpdateTime) / state.config.foodSpeed),
+            arena: Math.min(1, (now - state.lastShrinkStepTime) / state.config.shrinkStepMs)
+        };
+    }
+
+    const SnakeEngine = {
+        tickMs,
+        maxFrameTime,
+        maxQueuedTurns,
+        maxPlayers,
+        createRng,
+        createGame,
+        tick,
+        step,
+        turn,
+        setSprint,
+        isValidPosition,
+        wrapCell,
+        getConfig,
+        getSnapshot,
+        applySnapshot,
+        getRunStats,
+        getActiveEffects,
+        getInterpolation
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeEngine;
+    } else {
+        root.SnakeEngine = SnakeEngine;
+    }
+})(this);
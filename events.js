@@ -0,0 +1,57 @@
+// Event bus for The Prey That Runs
+// The engine reports what happened in a tick as a list of events ({ type, ... }, see engine.js); the page
+// passes each of them, and its own (such as 'game-over'), to a bus. Anything that reacts to the game without
+// changing it (sound, screen reader announcements) listens there instead of being wired into the game loop.
+(function (root) {
+    'use strict';
+
+    const anyType = '*'; // Listen to every event
+
+    // A new bus with no listeners
+    function createEventBus() {
+        return { listeners: new Map() }; // Event type (or anyType) -> handlers in the order they were added
+    }
+
+    // Call handler(event) for every event of a type (or every event with '*'); returns a function that stops it
+    function on(bus, type, handler) {
+        if (!bus.listeners.has(type)) bus.listeners.set(type, []);
+        bus.listeners.get(type).push(handler);
+        return () => off(bus, type, handler);
+    }
+
+    // Stop calling a handler
+    function off(bus, type, handler) {
+        const handlers = bus.listeners.get(type);
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    }
+
+    // Hand an event to its type's listeners, then to those of every event
+    // A listener that throws is reported on the console and doesn't keep the others from hearing the event
+    function emit(bus, event) {
+        for (const type of [event.type, anyType]) {
+            for (const handler of (bus.listeners.get(type) || []).slice()) {
+                try {
+                    handler(event);
+                } catch (error) {
+                    console.error(error);
+                }
+            }
+        }
+    }
+
+    const SnakeEvents = {
+        anyType,
+        createEventBus,
+        on,
+        off,
+        emit
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeEvents;
+    } else {
+        root.SnakeEvents = SnakeEvents;
+    }
+})(this);
@@ -0,0 +1,61 @@
+// Input timeline harness for The Prey That Runs
+// Feeds key presses to the engine at exact times, down to fractions of a tick, through the same
+// SnakeEngine.step path the browser uses, and reports every snake move. This lets input handling
+// be checked under Node without a browser, for example two turns pressed inside one move:
+//   const { runTimeline } = require('./harness.js');
+//   runTimeline({ seed: 1, timeline: [{ at: 7, turn: 'up' }, { at: 9, turn: 'left' }], durationMs: 600 }).moves
+(function (root) {
+    'use strict';
+
+    const SnakeEngine = (typeof module !== 'undefined' && module.exports) ? require('./engine.js') : root.SnakeEngine;
+
+    // Run a game against a timeline of inputs
+    // options.state: game to drive (a new one is created from options.seed, options.config, options.level and options.players otherwise)
+    // options.timeline: [{ at: ms, turn: 'up' | 'down' | 'left' | 'right' } or { at: ms, sprint: true | false }],
+    //                   each with an optional player index (default 0, player one)
+    // options.frameMs: length of each simulated frame, smaller than a tick to test sub-tick timing (default 1)
+    // options.durationMs: how long to run (default: one second past the last input)
+    // Returns { state, events, moves } where moves lists { time, player, direction, x, y } after every snake move
+    function runTimeline(options) {
+        const state = options.state || SnakeEngine.createGame({ seed: options.seed, config: options.config, level: options.level, players: options.players });
+        const timeline = (options.timeline || []).slice().sort((a, b) => a.at - b.at);
+        const frameMs = options.frameMs || 1;
+        const lastInputTime = timeline.length > 0 ? timeline[timeline.length - 1].at : 0;
+        const durationMs = options.durationMs !== undefined ? options.durationMs : lastInputTime + 1000;
+
+        const events = [];
+        const moves = [];
+        let nextEntry = 0;
+
+        for (let elapsed = 0; elapsed < durationMs && !state.isGameOver; elapsed += frameMs) {
+            // Deliver every input due by the start of this frame, in timeline order
+            const input = state.players.map(() => ({ turns: [] }));
+            while (nextEntry < timeline.length && timeline[nextEntry].at <= elapsed) {
+                const entry = timeline[nextEntry++];
+                const playerInput = input[entry.player || 0];
+                if (entry.turn) playerInput.turns.push(entry.turn);
+                if (entry.sprint !== undefined) playerInput.sprint = entry.sprint; // Sprint key pressed or released
+            }
+
+            const lastMoveTimes = state.players.map(player => player.lastUpdateTime);
+            events.push(...SnakeEngine.step(state, input, frameMs));
+            state.players.forEach((player, index) => {
+                if (player.lastUpdateTime !== lastMoveTimes[index] && !state.isGameOver) {
+                    moves.push({ time: state.time, player: index, direction: player.direction, x: player.snake[0].x, y: player.snake[0].y });
+                }
+            });
+        }
+
+        return { state, events, moves };
+    }
+
+    const SnakeHarness = {
+        runTimeline
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeHarness;
+    } else {
+        root.SnakeHarness = SnakeHarness;
+    }
+})(this);
@@ -0,0 +1,329 @@
+// Unified input layer for The Prey That Runs
+// Collects turns and sprints from the keyboard, gamepads, the on-screen D-pad and touch gestures on the canvas
+// into one { turns, sprint } input per player for the engine, which applies the reverse-direction guard.
+// Sprinting is hold-to-sprint: sprint is true when the sprint key or a long press starts, false when it ends.
+// In versus the keyboard is split between two players and each gamepad steers its own player; the D-pad and
+// touch gestures steer player one. Single-player keys can be rebound, and the bindings are saved in the browser.
+(function (root) {
+    'use strict';
+
+    const SnakeStorage = (typeof module !== 'undefined' && module.exports) ? require('./storage.js') : root.SnakeStorage;
+
+    const actions = ['up', 'down', 'left', 'right', 'sprint']; // Everything a key can do, in the order the key settings list them
+    const keySlots = 2; // Keys each action can be bound to
+
+    // Single-player keys of each action (KeyboardEvent.key values, letters in lower case, which match either case)
+    const defaultKeyBindings = {
+        up: ['ArrowUp', 'w'],
+        down: ['ArrowDown', 's'],
+        left: ['ArrowLeft', 'a'],
+        right: ['ArrowRight', 'd'],
+        sprint: [' '] // Spacebar for sprint boost
+    };
+    const reservedKeys = ['p', 'Escape', 'Tab']; // Pause (P, Escape) and moving between controls can't be rebound
+    const keyBindingsStorageKey = 'preyThatRuns.keys'; // Where rebound keys are saved
+
+    // Keyboard keys in versus, by physical key (KeyboardEvent.code) so both Shift keys can be told apart
+    // Each key maps to [player index, action]
+    const versusKeyMap = {
+        KeyW: [0, 'up'], KeyS: [0, 'down'], KeyA: [0, 'left'], KeyD: [0, 'right'], ShiftLeft: [0, 'sprint'],
+        ArrowUp: [1, 'up'], ArrowDown: [1, 'down'], ArrowLeft: [1, 'left'], ArrowRight: [1, 'right'], ShiftRight: [1, 'sprint']
+    };
+    const maxPlayers = 2; // Players the controller collects input for
+
+    // Gamepads, by the browser's standard button layout
+    const gamepadDirections = { 12: 'up', 13: 'down', 14: 'left', 15: 'right' }; // D-pad buttons
+    const gamepadSprintButtons = [0, 7]; // Bottom face button (A / cross) and the right trigger
+    const gamepadStartButton = 9;
+    const stickDeadZone = 0.5; // How far the left stick must be pushed before it counts as a direction
+
+    const swipeThreshold = 30; // Pixels a finger must travel before it counts as a swipe
+    const longPressDuration = 300; // A touch held this long (ms) without moving starts a sprint
+
+    // Create an input controller and attach its listeners
+    // options.keyTarget: element receiving keydown events (usually document)
+    // options.canvas: element receiving swipes, taps and long presses
+    // options.buttons: D-pad buttons with a data-direction attribute
+    // options.isEnabled: function telling whether input should currently be accepted
+    // options.isVersus: function telling whether the keyboard is split between two players
+    // options.keyBindings: single-player keys of each action (default defaultKeyBindings)
+    // options.onStartButton: called when a gamepad's Start button is pressed, even while input isn't accepted
+    function createInputController(options) {
+        const controller = {
+            isEnabled: options.isEnabled || (() => true),
+            isVersus: options.isVersus || (() => false),
+            onStartButton: options.onStartButton || (() => {}),
+            keyMap: createKeyMap(options.keyBindings || defaultKeyBindings), // Single-player key -> action
+            pending: createPending(), // Input of every player collected since the last takeInput
+            touch: null, // Current touch gesture: { startX, startY, moved, sprinting, longPressTimer }
+            gamepads: new Map(), // Gamepad index -> what it held at the last poll: { direction, sprint, start }
+            gamepadFrameId: null // Animation frame of the gamepad polling loop, null while no gamepad is connected
+        };
+
+        options.keyTarget.addEventListener('keydown', e => {
+            const [player, action] = keyAction(controller, e);
+            if (!action || isTypingTarget(e.target) || !controller.isEnabled()) return;
+            e.preventDefault(); // Keep arrows and space from scrolling the page
+            if (!e.repeat) handleAction(controller, action, player); // Holding a key doesn't repeat turns or sprints
+        });
+
+        options.keyTarget.addEventListener('keyup', e => {
+            const [player, action] = keyAction(controller, e);
+            if (action === 'sprint') releaseSprint(controller, player);
+        });
+
+        // A key released while the window had no focus never sends keyup
+        if (root.addEventListener) {
+            root.addEventListener('blur', () => {
+                for (let player = 0; player < maxPlayers; player++) releaseSprint(controller, player);
+            });
+        }
+
+        for (const button of options.buttons) {
+            // pointerdown reacts immediately, without the delay of a click on touch screens
+            button.addEventListener('pointerdown', e => {
+                e.preventDefault();
+                handleAction(controller, button.dataset.direction);
+            });
+        }
+
+        const canvas = options.canvas;
+        canvas.addEventListener('touchstart', e => onTouchStart(controller, e), { passive: false });
+        canvas.addEventListener('touchmove', e => onTouchMove(controller, e), { passive: false });
+        canvas.addEventListener('touchend', e => onTouchEnd(controller, e), { passive: false });
+        canvas.addEventListener('touchcancel', () => cancelTouch(controller));
+
+        // Gamepads have no button events, so they are polled every animation frame while one is connected
+        if (root.addEventListener && root.navigator && root.navigator.getGamepads) {
+            root.addEventListener('gamepadconnected', () => startGamepadPolling(controller));
+        }
+
+        return controller;
+    }
+
+    // Key -> action map of single-player key bindings
+    function createKeyMap(bindings) {
+        const keyMap = {};
+        for (const action of actions) {
+            for (const key of bindings[action]) keyMap[key] = action;
+        }
+        return keyMap;
+    }
+
+    // Use new single-player key bindings from now on
+    function setKeyBindings(controller, bindings) {
+        controller.keyMap = createKeyMap(bindings);
+    }
+
+    // The KeyboardEvent.key of a key press as bindings store it: letters in lower case
+    function normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    // True for keys that can't be bound to an action
+    function isReservedKey(key) {
+        return reservedKeys.includes(normalizeKey(key));
+    }
+
+    // Bindings with a key put in one of an action's slots (0 or 1), taken away from whatever had it before
+    // Throws for unknown actions and reserved keys
+    function bindKey(bindings, action, slot, key) {
+        if (!actions.includes(action)) throw new Error(`Unknown action: ${action}`);
+        if (isReservedKey(key)) throw new Error(`${keyLabel(key)} is reserved`);
+        const normalized = normalizeKey(key);
+        const result = {};
+        for (const other of actions) {
+            result[other] = bindings[other].filter(bound => bound !== normalized);
+        }
+        const keys = result[action];
+        keys.splice(Math.min(slot, keys.length), slot < keys.length ? 1 : 0, normalized);
+        return result;
+    }
+
+    // Readable name of a key, e.g. "Space", "Up arrow" or "W"
+    function keyLabel(key) {
+        if (key === ' ') return 'Space';
+        if (key.startsWith('Arrow')) return `${key.slice('Arrow'.length)} arrow`;
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+
+    // Single-player key bindings saved in storage (localStorage or anything with its interface), or the defaults
+    function loadKeyBindings(storage) {
+        const saved = SnakeStorage.loadJson(storage, keyBindingsStorageKey);
+        const isValid = !!saved && actions.every(action => Array.isArray(saved[action]) && saved[action].length <= keySlots &&
+            saved[action].every(key => typeof key === 'string' && key !== '' && !isReservedKey(key)));
+        return isValid ? saved : defaultKeyBindings;
+    }
+
+    // Remember key bindings for the next visit
+    function saveKeyBindings(storage, bindings) {
+        SnakeStorage.saveJson(storage, keyBindingsStorageKey, bindings);
+    }
+
+    // Empty input for every player
+    function createPending() {
+        return Array.from({ length: maxPlayers }, () => ({ turns: [] }));
+    }
+
+    // [player index, action] of a key event, with an undefined action for keys the game doesn't use
+    function keyAction(controller, e) {
+        if (controller.isVersus()) {
+            return versusKeyMap[e.code] || [0, undefined];
+        }
+        return [0, controller.keyMap[normalizeKey(e.key)]];
+    }
+
+    // True for form fields, whose keys belong to the field and not to the game
+    function isTypingTarget(target) {
+        return !!target && (target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA');
+    }
+
+    // Record a turn or a sprint for a player (default player one), if input is currently accepted
+    function handleAction(controller, action, player = 0) {
+        if (!controller.isEnabled()) return;
+        const pending = controller.pending[player];
+        if (action === 'sprint') {
+            pending.sprint = true; // Sprint starts, and lasts until releaseSprint
+        } else if (action === 'up' || action === 'down' || action === 'left' || action === 'right') {
+            pending.turns.push(action);
+        }
+    }
+
+    // End a player's sprint; releases always go through so a sprint can never get stuck on
+    function releaseSprint(controller, player = 0) {
+        controller.pending[player].sprint = false;
+    }
+
+    // Hand over everything collected since the last call, as one input per player
+    function takeInput(controller) {
+        const input = controller.pending;
+        controller.pending = createPending();
+        return input;
+    }
+
+    // Direction of a swipe, or null if the finger hasn't travelled far enough
+    function swipeDirection(dx, dy) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < swipeThreshold) return null;
+        if (Math.abs(dx) > Math.abs(dy)) {
+            return dx > 0 ? 'right' : 'left';
+        }
+        return dy > 0 ? 'down' : 'up';
+    }
+
+    function onTouchStart(controller, e) {
+        e.preventDefault(); // Keep the page from scrolling or zooming
+        cancelTouch(controller);
+        const point = e.changedTouches[0];
+        const touch = { startX: point.clientX, startY: point.clientY, moved: false, sprinting: false, longPressTimer: null };
+
+        // Holding the finger still is a long press, which sprints until the finger lifts
+        touch.longPressTimer = setTimeout(() => {
+            touch.longPressTimer = null;
+            if (!touch.moved) {
+                touch.sprinting = true;
+                handleAction(controller, 'sprint');
+            }
+        }, longPressDuration);
+
+        controller.touch = touch;
+    }
+
+    function onTouchMove(controller, e) {
+        e.preventDefault();
+        const touch = controller.touch;
+        if (!touch) return;
+        const point = e.changedTouches[0];
+        const direction = swipeDirection(point.clientX - touch.startX, point.clientY - touch.startY);
+        if (!direction) return;
+
+        // Turn as soon as the swipe is long enough, then measure the next swipe from here
+        // so one continuous gesture can make several turns
+        handleAction(controller, direction);
+        touch.moved = true;
+        touch.startX = point.clientX;
+        touch.startY = point.clientY;
+        clearTimeout(touch.longPressTimer);
+    }
+
+    function onTouchEnd(controller, e) {
+        e.preventDefault();
+        cancelTouch(controller);
+    }
+
+    // Forget the current touch gesture, ending its sprint if it started one
+    function cancelTouch(controller) {
+        if (controller.touch) {
+            clearTimeout(controller.touch.longPressTimer);
+            if (controller.touch.sprinting) releaseSprint(controller);
+            controller.touch = null;
+        }
+    }
+
+    // Poll the gamepads every animation frame until none is connected
+    function startGamepadPolling(controller) {
+        if (controller.gamepadFrameId !== null) return;
+        const poll = () => {
+            const gamepads = Array.from(root.navigator.getGamepads()).filter(gamepad => gamepad && gamepad.connected);
+            if (gamepads.length === 0) {
+                controller.gamepads.clear();
+                controller.gamepadFrameId = null;
+                return;
+            }
+            pollGamepads(controller, gamepads);
+            controller.gamepadFrameId = root.requestAnimationFrame(poll);
+        };
+        controller.gamepadFrameId = root.requestAnimationFrame(poll);
+    }
+
+    // Turn what the gamepads hold now into input, acting only on what changed since the last poll
+    // gamepads: connected Gamepad objects (or anything with index, buttons and axes); in versus the first steers
+    // player one and the second player two, otherwise they all steer player one
+    function pollGamepads(controller, gamepads) {
+        gamepads.forEach((gamepad, order) => {
+            const player = controller.isVersus() ? Math.min(order, maxPlayers - 1) : 0;
+            const held = readGamepad(gamepad);
+            const before = controller.gamepads.get(gamepad.index) || { direction: null, sprint: false, start: false };
+            controller.gamepads.set(gamepad.index, held);
+
+            if (held.direction && held.direction !== before.direction) handleAction(controller, held.direction, player);
+            if (held.sprint && !before.sprint) handleAction(controller, 'sprint', player);
+            if (!held.sprint && before.sprint) releaseSprint(controller, player);
+            if (held.start && !before.start) controller.onStartButton();
+        });
+    }
+
+    // What a gamepad holds: { direction (D-pad or left stick, null if neither), sprint, start }
+    function readGamepad(gamepad) {
+        const isPressed = index => !!gamepad.buttons[index] && gamepad.buttons[index].pressed;
+        let direction = null;
+        for (const [index, action] of Object.entries(gamepadDirections)) {
+            if (isPressed(Number(index))) direction = action;
+        }
+        const [x = 0, y = 0] = gamepad.axes;
+        if (!direction && Math.max(Math.abs(x), Math.abs(y)) >= stickDeadZone) {
+            direction = Math.abs(x) > Math.abs(y) ? (x > 0 ? 'right' : 'left') : (y > 0 ? 'down' : 'up');
+        }
+        return { direction, sprint: gamepadSprintButtons.some(isPressed), start: isPressed(gamepadStartButton) };
+    }
+
+    const SnakeInput = {
+        actions,
+        defaultKeyBindings,
+        versusKeyMap,
+        createInputController,
+        setKeyBindings,
+        isReservedKey,
+        bindKey,
+        keyLabel,
+        loadKeyBindings,
+        saveKeyBindings,
+        pollGamepads,
+        takeInput
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeInput;
+    } else {
+        root.SnakeInput = SnakeInput;
+    }
+})(this);
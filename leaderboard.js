@@ -0,0 +1,104 @@
+// Local high-score table for The Prey That Runs
+// Keeps the top runs (name, date, score, game config and run stats) in localStorage.
+// When localStorage isn't available (Node, private browsing, file:// pages) it falls back to memory (see storage.js).
+(function (root) {
+    'use strict';
+
+    const SnakeStorage = (typeof module !== 'undefined' && module.exports) ? require('./storage.js') : root.SnakeStorage;
+
+    const storageKey = 'preyThatRuns.leaderboard'; // Where the table is saved
+    const playerNameKey = 'preyThatRuns.playerName'; // Last name entered, reused for the next runs
+    const maxEntries = 10; // How many runs the table keeps
+    const maxNameLength = 16;
+    const defaultName = 'Player';
+
+    // Clean up a player name for display and storage
+    function normalizeName(name) {
+        const trimmed = String(name || '').trim().slice(0, maxNameLength);
+        return trimmed || defaultName;
+    }
+
+    // True if a stored entry has everything the table needs
+    function isValidEntry(entry) {
+        return !!entry && typeof entry.id === 'string' && typeof entry.name === 'string' &&
+            typeof entry.date === 'string' && Number.isFinite(entry.score) && !!entry.stats;
+    }
+
+    // Best runs first; on equal scores the quicker run, then the earlier one, ranks higher
+    function compareEntries(a, b) {
+        return b.score - a.score || a.stats.survivalTime - b.stats.survivalTime || a.date.localeCompare(b.date);
+    }
+
+    // Load the table from storage, ignoring anything unreadable
+    function createLeaderboard(storage = SnakeStorage.getDefaultStorage()) {
+        const saved = SnakeStorage.loadJson(storage, storageKey);
+        const entries = Array.isArray(saved) ? saved.filter(isValidEntry).sort(compareEntries).slice(0, maxEntries) : [];
+        return { storage, entries };
+    }
+
+    // Write the table back to storage
+    function save(board) {
+        SnakeStorage.saveJson(board.storage, storageKey, board.entries);
+    }
+
+    // Add a finished run; returns { rank (1-based), entry }, or null if it didn't make the table
+    // run: { name, score, config, stats, date (ISO string, defaults to now) }
+    function addRun(board, run) {
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+            name: normalizeName(run.name),
+            date: run.date || new Date().toISOString(),
+            score: run.score,
+            config: run.config,
+            stats: run.stats
+        };
+
+        board.entries = board.entries.concat(entry).sort(compareEntries).slice(0, maxEntries);
+        save(board);
+
+        const index = board.entries.indexOf(entry);
+        return index === -1 ? null : { rank: index + 1, entry };
+    }
+
+    // Change the name on a saved run
+    function renameRun(board, id, name) {
+        const entry = board.entries.find(candidate => candidate.id === id);
+        if (!entry) return;
+        entry.name = normalizeName(name);
+        save(board);
+    }
+
+    // Name to put on new runs
+    function getPlayerName(board) {
+        return normalizeName(SnakeStorage.loadText(board.storage, playerNameKey));
+    }
+
+    // Remember the name for the next runs
+    function setPlayerName(board, name) {
+        SnakeStorage.saveText(board.storage, playerNameKey, normalizeName(name));
+    }
+
+    // The best run in the table, or null if it's empty
+    function getPersonalBest(board) {
+        return board.entries.length > 0 ? board.entries[0] : null;
+    }
+
+    const SnakeLeaderboard = {
+        maxEntries,
+        maxNameLength,
+        defaultName,
+        createLeaderboard,
+        normalizeName,
+        addRun,
+        renameRun,
+        getPlayerName,
+        setPlayerName,
+        getPersonalBest
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeLeaderboard;
+    } else {
+        root.SnakeLeaderboard = SnakeLeaderboard;
+    }
+})(this);
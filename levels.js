@@ -0,0 +1,475 @@
+// Levels and the campaign for The Prey That Runs
+// A level is plain JSON with the board drawn as an ASCII grid, one string per row:
+//   '.' floor   '#' obstacle   'S' the snake's head at the start   '+' floor where prey may spawn
+// {
+//   id, name, description,
+//   map: ['....', '.S#.', ...],
+//   heading: 'right', // Starting direction of the snake (default 'right'); the body starts one cell behind the head
+//   targetScore: 100, // Score that completes the level (optional, endless without it)
+//   shrinkOn: [3, 6], // Catches after which the walls close in (optional: every catch; [] for never)
+//   config: { foodSpeed: 80, ... } // Rule overrides on top of the player's settings (optional)
+// }
+// The map decides the arena size. Without any '+' cells the prey may spawn anywhere.
+(function (root) {
+    'use strict';
+
+    const directions = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+    const minLevelCells = 8; // Same as the smallest arena the config allows
+    const maxLevelCells = 40;
+    const pixelSizeKeys = ['shrinkAmount', 'minArenaSize']; // Config a level may set in pixels, which must be whole cells
+
+    // Built-in campaign, easiest first
+    const campaign = [
+        {
+            id: 'first',
+            name: 'First Steps',
+            description: 'Learn to corner the prey on an open field.',
+            map: [
+                '............',
+                '............',
+                '............',
+                '............',
+                '............',
+                '...S........',
+                '............',
+                '............',
+                '............',
+                '............',
+                '............',
+                '............'
+            ],
+            heading: 'right',
+            targetScore: 30,
+            shrinkOn: [],
+            config: { baseGameSpeed: 170, foodSpeed: 140, preyCount: 1, decoyCount: 0 }
+        },
+        {
+            id: 'pillars',
+            name: 'Pillars',
+            description: 'Four pillars to trap the prey against.',
+            map: [
+                '................',
+                '................',
+                '................',
+                '................',
+                '....##....##....',
+                '....##....##....',
+                '................',
+                '..S.............',
+                '................',
+                '................',
+                '....##....##....',
+                '....##....##....',
+                '................',
+                '................',
+                '................',
+                '................'
+            ],
+            heading: 'right',
+            targetScore: 50,
+            shrinkOn: [3],
+            config: { preyCount: 1, decoyCount: 0 }
+        },
+        {
+            id: 'wall',
+            name: 'The Wall',
+            description: 'The prey spawn beyond the wall. Mind the gap.',
+            map: [
+                '................',
+                '................',
+                '................',
+                '................',
+                '...S............',
+                '................',
+                '................',
+                '................',
+                '..#####..#####..',
+                '................',
+                '................',
+                '....++++++++....',
+                '....++++++++....',
+                '....++++++++....',
+                '................',
+                '................'
+            ],
+            heading: 'right',
+            targetScore: 60,
+            shrinkOn: [3, 5],
+            config: { preyCount: 2, decoyCount: 0 }
+        },
+        {
+            id: 'corridors',
+            name: 'Corridors',
+            description: 'Two long walls split the field into lanes.',
+            map: [
+                '....................',
+                '....................',
+                '...S................',
+                '....................',
+                '################....',
+                '....................',
+                '....................',
+                '....................',
+                '....................',
+                '....################',
+                '....................',
+                '....................',
+                '....................',
+                '....................'
+            ],
+            heading: 'right',
+            targetScore: 60,
+            shrinkOn: [2, 4],
+            config: { decoyCount: 0 }
+        },
+        {
+            id: 'box',
+            name: 'The Box',
+            description: 'Every prey starts inside the box.',
+            map: [
+                '................',
+                '...S............',
+                '................',
+                '................',
+                '....###..###....',
+                '....#++++++#....',
+                '....#++++++#....',
+                '....#++++++#....',
+                '....#++++++#....',
+                '....#++++++#....',
+                '....#++++++#....',
+                '....###..###....',
+                '................',
+                '................',
+                '................',
+                '................'
+            ],
+            heading: 'right',
+            targetScore: 80,
+            shrinkOn: [4],
+            config: { preyCount: 2, decoyCount: 1 }
+        },
+        {
+            id: 'cross',
+            name: 'Crossroads',
+            description: 'A cross in the middle of the field.',
+            map: [
+                '....................',
+                '....................',
+                '...S................',
+                '....................',
+                '.........##.........',
+                '.........##.........',
+                '.........##.........',
+                '.........##.........',
+                '.........##.........',
+                '....############....',
+                '....############....',
+                '.........##.........',
+                '.........##.........',
+                '.........##.........',
+                '.........##.........',
+                '.........##.........',
+                '....................',
+                '....................',
+                '....................',
+                '....................'
+            ],
+            heading: 'right',
+            targetScore: 80,
+            shrinkOn: [2, 4, 6]
+        },
+        {
+            id: 'switchback',
+            name: 'Switchback',
+            description: 'Zigzag through the lanes.',
+            map: [
+                '....................',
+                '...S................',
+                '....................',
+                '..#############..#..',
+                '..#.................',
+                '..#.................',
+                '..#.................',
+                '..#..#############..',
+                '..#.................',
+                '..#.................',
+                '..#.................',
+                '..#############..#..',
+                '..#.................',
+                '..#.................',
+                '..#.................',
+                '..#..#############..',
+                '....................',
+                '....................',
+                '....................',
+                '....................'
+            ],
+            heading: 'right',
+            targetScore: 100,
+            shrinkOn: [3, 6],
+            config: { decoyCount: 2 }
+        },
+        {
+            id: 'garden',
+            name: 'Rock Garden',
+            description: 'Rocks everywhere, and prey hiding behind them.',
+            map: [
+                '....................',
+                '....................',
+                '....S..##....#......',
+                '........#.....#...#.',
+                '..#.........#.......',
+                '...........#......#.',
+                '........#.........#.',
+                '..#.#...............',
+                '....................',
+                '....................',
+                '....#.......#.......',
+                '..............#.#...',
+                '....#...............',
+                '....................',
+                '...#......#.......#.',
+                '...............#....',
+                '....................',
+                '..#.......#.........',
+                '...#.#..........#...',
+                '....................'
+            ],
+            heading: 'right',
+            targetScore: 100,
+            config: { preyCount: 3 }
+        },
+        {
+            id: 'spiral',
+            name: 'Spiral',
+            description: 'The prey start in the middle of the spiral.',
+            map: [
+                '...S................',
+                '....................',
+                '..################..',
+                '.................#..',
+                '.................#..',
+                '..#..##########..#..',
+                '..#...........#..#..',
+                '..#...........#..#..',
+                '..#..#..####..#..#..',
+                '..#..#...++...#..#..',
+                '..#..#...++...#..#..',
+                '..#..#..####..#..#..',
+                '..#..#........#..#..',
+                '..#..#........#..#..',
+                '..#..##########..#..',
+                '..#..............#..',
+                '..#..............#..',
+                '..################..',
+                '....................',
+                '....................'
+            ],
+            heading: 'right',
+            targetScore: 120,
+            shrinkOn: [4, 8],
+            config: { preyCount: 2 }
+        },
+        {
+            id: 'rooms',
+            name: 'Four Rooms',
+            description: 'Four rooms joined by narrow doors.',
+            map: [
+                '.........##.........',
+                '.........##.........',
+                '.........##.........',
+                '...S.....##.........',
+                '....................',
+                '.........##.........',
+                '.........##.........',
+                '.........##.........',
+                '.........##.........',
+                '####.##########.####',
+                '####.##########.####',
+                '.........##.........',
+                '.........##.........',
+                '.........##.........',
+                '.........##.........',
+                '....................',
+                '.........##.........',
+                '.........##.........',
+                '.........##.........',
+                '.........##.........'
+            ],
+            heading: 'right',
+            targetScore: 120,
+            shrinkOn: [3, 6, 9],
+            config: { preyCount: 3, decoyCount: 2 }
+        },
+        {
+            id: 'gauntlet',
+            name: 'Gauntlet',
+            description: 'A low, wide field full of posts.',
+            map: [
+                '....................',
+                '.S..................',
+                '...#.....#.....#....',
+                '....................',
+                '...#.....#.....#....',
+                '......#.....#.......',
+                '....................',
+                '......#.....#.......',
+                '....................',
+                '....................'
+            ],
+            heading: 'right',
+            targetScore: 100,
+            config: { minArenaSize: 100, baseGameSpeed: 130 }
+        },
+        {
+            id: 'finale',
+            name: 'Finale',
+            description: 'Fast prey, fast snake, no mercy.',
+            map: [
+                '....................',
+                '..S.................',
+                '....................',
+                '....................',
+                '....###......###....',
+                '....#..........#....',
+                '....#..........#....',
+                '....................',
+                '........#.##........',
+                '........#..#........',
+                '........#..#........',
+                '........####........',
+                '....................',
+                '....#..........#....',
+                '....#..........#....',
+                '....###......###....',
+                '....................',
+                '....................',
+                '....................',
+                '....................'
+            ],
+            heading: 'right',
+            targetScore: 200,
+            config: { baseGameSpeed: 110, minGameSpeed: 40, foodSpeed: 70, preyCount: 2, decoyCount: 2, prey: { strategy: 'lookahead' } }
+        }
+    ];
+
+    // Check a level definition and turn it into cell lists the engine can use
+    // Returns { id, name, description, width, height, obstacles, spawnZone, start, heading, targetScore, shrinkOn, config, definition }
+    // with positions in grid cells; throws an Error explaining the first problem found
+    function parseLevel(definition) {
+        if (!definition || !Array.isArray(definition.map) || definition.map.length === 0) {
+            throw new Error('Invalid level: missing map');
+        }
+        const map = definition.map;
+        const width = typeof map[0] === 'string' ? map[0].length : 0;
+        const height = map.length;
+        if (width < minLevelCells || height < minLevelCells || width > maxLevelCells || height > maxLevelCells) {
+            throw new Error(`Invalid level: the map must be ${minLevelCells} to ${maxLevelCells} cells wide and high`);
+        }
+
+        const obstacles = [];
+        const spawnZone = [];
+        let start = null;
+        for (let y = 0; y < height; y++) {
+            if (typeof map[y] !== 'string' || map[y].length !== width) {
+                throw new Error(`Invalid level: row ${y + 1} is not ${width} cells long`);
+            }
+            for (let x = 0; x < width; x++) {
+                switch (map[y][x]) {
+                    case '.': break;
+                    case '#': obstacles.push({ x, y }); break;
+                    case '+': spawnZone.push({ x, y }); break;
+                    case 'S':
+                        if (start) throw new Error('Invalid level: more than one snake start (S)');
+                        start = { x, y };
+                        break;
+                    default:
+                        throw new Error(`Invalid level: unknown cell '${map[y][x]}' in row ${y + 1}`);
+                }
+            }
+        }
+        if (!start) {
+            throw new Error('Invalid level: no snake start (S)');
+        }
+
+        const heading = definition.heading || 'right';
+        if (!directions[heading]) {
+            throw new Error(`Invalid level: unknown heading ${heading}`);
+        }
+        // The body starts one cell behind the head, which must be open floor
+        const tailX = start.x - directions[heading][0];
+        const tailY = start.y - directions[heading][1];
+        if (tailX < 0 || tailX >= width || tailY < 0 || tailY >= height || map[tailY][tailX] === '#') {
+            throw new Error('Invalid level: no room for the body behind the snake start');
+        }
+
+        const targetScore = definition.targetScore !== undefined ? definition.targetScore : null;
+        if (targetScore !== null && (!Number.isInteger(targetScore) || targetScore <= 0)) {
+            throw new Error('Invalid level: targetScore must be a positive whole number');
+        }
+        const shrinkOn = definition.shrinkOn !== undefined ? definition.shrinkOn : null;
+        if (shrinkOn !== null && (!Array.isArray(shrinkOn) || !shrinkOn.every(count => Number.isInteger(count) && count > 0))) {
+            throw new Error('Invalid level: shrinkOn must list catch counts');
+        }
+        if (definition.config !== undefined && (typeof definition.config !== 'object' || definition.config === null)) {
+            throw new Error('Invalid level: config must be an object');
+        }
+
+        return {
+            id: definition.id || null,
+            name: definition.name || 'Custom level',
+            description: definition.description || '',
+            width,
+            height,
+            obstacles,
+            spawnZone,
+            start,
+            heading,
+            targetScore,
+            shrinkOn,
+            config: definition.config || {},
+            definition
+        };
+    }
+
+    // Rule overrides for a game on a level: the player's config, then the level's own overrides,
+    // with the arena sized to the map. The smallest arena is capped to the map so small levels stay valid.
+    function levelConfig(level, config) {
+        const overrides = Object.assign({}, config, level.config); // A level's prey brain replaces the player's whole
+        const gridSize = overrides.gridSize;
+        for (const key of pixelSizeKeys) {
+            // Levels give pixel sizes for the default cell size; round them to whole cells of the player's
+            if (level.config[key] !== undefined) overrides[key] = Math.round(level.config[key] / gridSize) * gridSize;
+        }
+        overrides.arenaWidth = level.width * gridSize;
+        overrides.arenaHeight = level.height * gridSize;
+        overrides.minArenaSize = Math.min(overrides.minArenaSize, overrides.arenaWidth, overrides.arenaHeight);
+        return overrides;
+    }
+
+    // Campaign level by id, or null
+    function getCampaignLevel(id) {
+        return campaign.find(level => level.id === id) || null;
+    }
+
+    // The campaign level after the one with this id, or null after the last one
+    function getNextLevel(id) {
+        const index = campaign.findIndex(level => level.id === id);
+        return index !== -1 && index + 1 < campaign.length ? campaign[index + 1] : null;
+    }
+
+    const SnakeLevels = {
+        campaign,
+        parseLevel,
+        levelConfig,
+        getCampaignLevel,
+        getNextLevel
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeLevels;
+    } else {
+        root.SnakeLevels = SnakeLevels;
+    }
+})(this);
@@ -0,0 +1,122 @@
+// Online play for The Prey That Runs: the message protocol and client-side prediction
+// The server (server.js) runs every round authoritatively and sends snapshots of it; clients only send their input.
+// A client predicts the game with its own copy of SnakeEngine so its snake answers the keys at once, and every
+// snapshot that arrives rewinds that copy to the server's game and re-applies the input the server hasn't seen yet.
+//
+// Client to server: { type: 'join', room }, { type: 'input', seq, turns, sprint }, { type: 'ping', time }
+// Server to client: { type: 'waiting', room }, { type: 'start', you, seed, config, level, players, wins, draws },
+//                   { type: 'snapshot', ack, state }, { type: 'round-over', winner, wins, draws, nextRoundMs },
+//                   { type: 'opponent-left' }, { type: 'pong', time }, { type: 'error', message }
+(function (root) {
+    'use strict';
+
+    const SnakeEngine = (typeof module !== 'undefined' && module.exports) ? require('./engine.js') : root.SnakeEngine;
+
+    const defaultPort = 8080; // Port server.js listens on unless told otherwise
+    const socketPath = '/ws'; // Path of the WebSocket on the server
+    const snapshotMs = 50; // How often the server sends every client a snapshot
+    const roundBreakMs = 3000; // Pause between the end of a round and the start of the next one
+    const pingIntervalMs = 1000; // How often clients measure their delay to the server
+    const maxRoomNameLength = 20;
+    const defaultRoom = 'lobby';
+    const directions = ['up', 'down', 'left', 'right']; // Turns a client may send
+
+    // Read a message, returning null for anything that isn't a JSON object with a type
+    function parseMessage(text) {
+        try {
+            const message = JSON.parse(text);
+            return message && typeof message === 'object' && typeof message.type === 'string' ? message : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Clean up a room name sent by a client
+    function normalizeRoom(name) {
+        const trimmed = String(name || '').trim().slice(0, maxRoomNameLength);
+        return trimmed || defaultRoom;
+    }
+
+    // Check an input message from a client; returns { seq, input } or null if it is malformed
+    // Only real directions are kept, and no more than the engine ever queues (maxQueuedTurns)
+    function readInput(message) {
+        if (!Number.isInteger(message.seq)) return null;
+        const turns = Array.isArray(message.turns) ? message.turns.filter(turn => directions.includes(turn)).slice(0, SnakeEngine.maxQueuedTurns) : [];
+        const input = { turns };
+        if (typeof message.sprint === 'boolean') input.sprint = message.sprint;
+        return { seq: message.seq, input };
+    }
+
+    // Create the prediction of a round from the server's start message
+    function createPredictor(start) {
+        return {
+            you: start.you, // Index of our own player
+            game: SnakeEngine.createGame({ seed: start.seed, config: start.config, level: start.level, players: start.players }),
+            pending: [], // Inputs sent but not yet in a snapshot: { seq, input }
+            nextSeq: 1 // Sequence number of the next input we send
+        };
+    }
+
+    // Engine input with our own input in our player's place
+    function inputFor(predictor, input) {
+        const inputs = predictor.game.players.map(() => null);
+        inputs[predictor.you] = input;
+        return inputs;
+    }
+
+    // Apply our own input to the prediction right away
+    // Returns the message to send to the server, or null if there was nothing to send
+    function predictInput(predictor, input) {
+        if (!input || (input.turns.length === 0 && input.sprint === undefined)) return null;
+        const seq = predictor.nextSeq++;
+        predictor.pending.push({ seq, input });
+        SnakeEngine.step(predictor.game, inputFor(predictor, input), 0); // Buffered for the next tick
+        return { type: 'input', seq, turns: input.turns, sprint: input.sprint };
+    }
+
+    // Rewind the prediction to a server snapshot, re-apply the input the server hadn't received when it took it,
+    // and run the game on by latencyMs so it is roughly where the server is by now
+    function applyServerSnapshot(predictor, message, latencyMs = 0) {
+        const game = predictor.game;
+        SnakeEngine.applySnapshot(game, message.state);
+        predictor.pending = predictor.pending.filter(entry => entry.seq > message.ack);
+        for (const entry of predictor.pending) {
+            SnakeEngine.step(game, inputFor(predictor, entry.input), 0);
+        }
+        SnakeEngine.step(game, null, latencyMs);
+    }
+
+    // Run the prediction on by dtMs real milliseconds; returns the predicted events
+    function advance(predictor, dtMs) {
+        return SnakeEngine.step(predictor.game, null, dtMs);
+    }
+
+    // Smoothed one-way delay to the server, from a ping sent at sentTime and answered at now
+    function updateLatency(latencyMs, sentTime, now) {
+        const sample = Math.max(0, now - sentTime) / 2;
+        return latencyMs === null ? sample : latencyMs * 0.8 + sample * 0.2;
+    }
+
+    const SnakeNet = {
+        defaultPort,
+        socketPath,
+        snapshotMs,
+        roundBreakMs,
+        pingIntervalMs,
+        defaultRoom,
+        parseMessage,
+        normalizeRoom,
+        readInput,
+        createPredictor,
+        predictInput,
+        applyServerSnapshot,
+        advance,
+        updateLatency
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeNet;
+    } else {
+        root.SnakeNet = SnakeNet;
+    }
+})(this);
@@ -0,0 +1,98 @@
+// Pickups for The Prey That Runs
+// Every now and then an item appears on a free cell for a limited time; the snake that runs over it
+// collects it. Some act at once, others give an effect that lasts a few seconds. How often items appear
+// and how long they stay is part of the game's config (see config.js); what they do is defined here.
+(function (root) {
+    'use strict';
+
+    // Every kind of pickup, in the order the legend lists them
+    // durationMs: how long the effect lasts (0 = acts at once)
+    // spawnWeight: relative chance of being picked when a new item appears
+    // color, symbol: how the item is drawn on the board
+    const kinds = {
+        freeze: {
+            name: 'freeze',
+            label: 'Freeze',
+            description: 'Every prey ball stands still',
+            durationMs: 3000,
+            spawnWeight: 2,
+            color: '#5dade2',
+            symbol: '❄'
+        },
+        magnet: {
+            name: 'magnet',
+            label: 'Magnet',
+            description: 'Prey only run from you when you are much closer',
+            durationMs: 8000,
+            spawnWeight: 2,
+            color: '#af7ac5',
+            symbol: 'M'
+        },
+        shield: {
+            name: 'shield',
+            label: 'Shield',
+            description: 'Survive one crash into a wall, rock or yourself',
+            durationMs: 10000,
+            spawnWeight: 2,
+            color: '#48c9b0',
+            symbol: 'S'
+        },
+        trim: {
+            name: 'trim',
+            label: 'Trim',
+            description: 'Drops the last segments of your tail',
+            durationMs: 0,
+            spawnWeight: 2,
+            color: '#f5b041',
+            symbol: '✂'
+        },
+        grow: {
+            name: 'grow',
+            label: 'Grow',
+            description: 'Pushes the walls back out by one cell',
+            durationMs: 0,
+            spawnWeight: 1,
+            color: '#58d68d',
+            symbol: '⤢'
+        }
+    };
+
+    const magnetScale = 0.5; // Multiplier of the flee distance of balls running from a snake with a magnet
+    const trimSegments = 3; // Tail segments a trim drops
+    const minSnakeLength = 2; // A trim never shortens a snake below this
+
+    // Look up a kind of pickup by name, throwing for unknown names
+    function getKind(name) {
+        if (!Object.prototype.hasOwnProperty.call(kinds, name)) {
+            throw new Error(`Unknown pickup: ${name}`);
+        }
+        return kinds[name];
+    }
+
+    // Pick the kind of a new item by spawn weight, using the game's random numbers
+    function pickKind(rng) {
+        const candidates = Object.values(kinds);
+        const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.spawnWeight, 0);
+        let roll = rng() * totalWeight;
+        for (const candidate of candidates) {
+            roll -= candidate.spawnWeight;
+            if (roll < 0) return candidate.name;
+        }
+        return candidates[candidates.length - 1].name;
+    }
+
+    const SnakePickups = {
+        kinds,
+        magnetScale,
+        trimSegments,
+        minSnakeLength,
+        getKind,
+        pickKind
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakePickups;
+    } else {
+        root.SnakePickups = SnakePickups;
+    }
+})(this);
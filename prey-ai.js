@@ -0,0 +1,293 @@
+// Prey AI strategies for The Prey That Runs
+// Each strategy decides where the prey moves when the snake gets close ("flee") and where its
+// one-time long sprint goes ("longSprint"). Strategies only see a read-only view of the game:
+// { gridSize, arena: { x, y, width, height }, isWrapping, wrap(cell), prey, snake, direction, rng, isObstacle(x, y), isFree(x, y) }
+// where prey is the ball making the decision and isFree treats the other balls as taken cells. In the
+// wrap-around wall mode (isWrapping) a step off one edge comes back on the other; wrap(cell) gives that cell.
+(function (root) {
+    'use strict';
+
+    // Parameters every strategy understands; the engine uses these for the chase rules
+    const commonParams = {
+        fleeDistance: 40, // Distance (in pixels) at which the prey starts to flee
+        maxRandomSprints: 1, // How many long sprints each ball may take (every new ball gets its own)
+        randomSprintChance: 0.05, // Chance per prey update to long sprint while inside the chase window
+        minChaseTime: 3000, // Minimum chase duration (ms) before a long sprint can happen
+        maxChaseTime: 5000 // Maximum chase duration (ms) in which a long sprint can happen
+    };
+
+    // Descriptions of every parameter, used by the settings UI
+    const paramInfo = {
+        fleeDistance: { label: 'Flee distance (px)', min: 20, max: 200, step: 20 },
+        maxRandomSprints: { label: 'Long sprints', min: 0, max: 5, step: 1 },
+        randomSprintChance: { label: 'Long sprint chance', min: 0, max: 1, step: 0.01 },
+        minChaseTime: { label: 'Chase window start (ms)', min: 0, max: 20000, step: 500 },
+        maxChaseTime: { label: 'Chase window end (ms)', min: 0, max: 20000, step: 500 },
+        lookaheadSteps: { label: 'Lookahead steps', min: 0, max: 10, step: 1 },
+        spaceWeight: { label: 'Open space weight', min: 0, max: 10, step: 0.5 },
+        distanceWeight: { label: 'Snake distance weight', min: 0, max: 10, step: 0.5 },
+        spaceLimit: { label: 'Flood fill limit (cells)', min: 10, max: 400, step: 10 },
+        panicChance: { label: 'Panic chance', min: 0, max: 1, step: 0.05 }
+    };
+
+    // Helper to build a lookup key for a grid cell
+    function cellKey(x, y) {
+        return `${x},${y}`;
+    }
+
+    // True if a cell lies inside the arena walls
+    function isInsideArena(view, cell) {
+        const arena = view.arena;
+        return cell.x >= arena.x && cell.x < arena.x + arena.width && cell.y >= arena.y && cell.y < arena.y + arena.height;
+    }
+
+    // The four cells next to a cell
+    function adjacentCells(view, x, y) {
+        return [
+            { x, y: y - view.gridSize }, // Up
+            { x, y: y + view.gridSize }, // Down
+            { x: x - view.gridSize, y }, // Left
+            { x: x + view.gridSize, y }  // Right
+        ].map(view.wrap);
+    }
+
+    // Adjacent cells the prey may move to
+    function freeAdjacentCells(view) {
+        return adjacentCells(view, view.prey.x, view.prey.y).filter(cell => view.isFree(cell.x, cell.y));
+    }
+
+    // Every free cell in the arena
+    function freeCells(view) {
+        const cells = [];
+        const arena = view.arena;
+        for (let x = arena.x; x < arena.x + arena.width; x += view.gridSize) {
+            for (let y = arena.y; y < arena.y + arena.height; y += view.gridSize) {
+                if (view.isFree(x, y)) {
+                    cells.push({ x, y });
+                }
+            }
+        }
+        return cells;
+    }
+
+    // Shortest offset from cell a to cell b, across an edge if the arena wraps around
+    function offset(view, a, b) {
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        if (view.isWrapping) {
+            const { width, height } = view.arena;
+            dx = ((dx % width) + width * 1.5) % width - width / 2;
+            dy = ((dy % height) + height * 1.5) % height - height / 2;
+        }
+        return { dx, dy };
+    }
+
+    // Straight-line distance between two cells
+    function distance(view, a, b) {
+        const { dx, dy } = offset(view, a, b);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // Breadth-first step counts from a start cell, walking only through free cells not in blocked
+    function bfsDistances(view, start, blocked) {
+        const distances = new Map([[cellKey(start.x, start.y), 0]]);
+        const queue = [start];
+        for (let i = 0; i < queue.length; i++) {
+            const cell = queue[i];
+            const nextDistance = distances.get(cellKey(cell.x, cell.y)) + 1;
+            for (const next of adjacentCells(view, cell.x, cell.y)) {
+                const key = cellKey(next.x, next.y);
+                if (distances.has(key) || blocked.has(key) || !view.isFree(next.x, next.y)) continue;
+                distances.set(key, nextDistance);
+                queue.push(next);
+            }
+        }
+        return distances;
+    }
+
+    // Count the cells reachable from a start cell (flood fill), stopping early at limit
+    function floodFillSize(view, start, blocked, limit) {
+        const seen = new Set([cellKey(start.x, start.y)]);
+        const queue = [start];
+        for (let i = 0; i < queue.length && seen.size < limit; i++) {
+            for (const next of adjacentCells(view, queue[i].x, queue[i].y)) {
+                const key = cellKey(next.x, next.y);
+                if (seen.has(key) || blocked.has(key) || !view.isFree(next.x, next.y)) continue;
+                seen.add(key);
+                queue.push(next);
+            }
+        }
+        return Math.min(seen.size, limit);
+    }
+
+    // Predict the snake head's next cells, assuming it chases the prey as directly as it can
+    function predictSnakePath(view, steps) {
+        const path = [];
+        let head = view.snake[0];
+        const visited = new Set(view.snake.map(segment => cellKey(segment.x, segment.y)));
+        for (let i = 0; i < steps; i++) {
+            let best = null;
+            for (const next of adjacentCells(view, head.x, head.y)) {
+                if (visited.has(cellKey(next.x, next.y))) continue;
+                if (!isInsideArena(view, next) || view.isObstacle(next.x, next.y)) continue;
+                if (!best || distance(view, next, view.prey) < distance(view, best, view.prey)) {
+                    best = next;
+                }
+            }
+            if (!best) break; // The snake is boxed in
+            path.push(best);
+            visited.add(cellKey(best.x, best.y));
+            head = best;
+        }
+        return path;
+    }
+
+    // Pick the candidate with the highest score
+    function bestBy(candidates, scoreOf) {
+        let best = null;
+        let maxScore = -Infinity;
+        for (const candidate of candidates) {
+            const score = scoreOf(candidate);
+            if (score > maxScore) {
+                maxScore = score;
+                best = candidate;
+            }
+        }
+        return best;
+    }
+
+    // Score used by the original one-step greedy prey
+    function greedyScore(view, pos, isLongFlee) {
+        const snakeHead = view.snake[0];
+        let score = distance(view, pos, snakeHead); // Distance from head
+
+        // Bonus for moving away from snake's current movement direction
+        const { dx, dy } = offset(view, snakeHead, pos);
+        switch (view.direction) {
+            case 'up':    if (dy > 0) score += 100; break;
+            case 'down':  if (dy < 0) score += 100; break;
+            case 'left':  if (dx > 0) score += 100; break;
+            case 'right': if (dx < 0) score += 100; break;
+        }
+
+        // Add a stronger bonus for long flee if applicable
+        if (isLongFlee) {
+            score += 200; // Significant bonus to prefer far spots
+        }
+
+        // A slight penalty for being too close to walls if there are other options (edges that wrap around aren't walls)
+        const arena = view.arena;
+        if (!view.isWrapping && (pos.x === arena.x || pos.x === arena.x + arena.width - view.gridSize || pos.y === arena.y || pos.y === arena.y + arena.height - view.gridSize)) {
+            score -= 20;
+        }
+        return score;
+    }
+
+    // Greedy: one step, as far from the head and its heading as possible (the original prey)
+    const greedy = {
+        name: 'greedy',
+        label: 'Greedy',
+        params: Object.assign({}, commonParams),
+        flee(view) {
+            return bestBy(freeAdjacentCells(view), pos => greedyScore(view, pos, false));
+        },
+        longSprint(view) {
+            return bestBy(freeCells(view), pos => greedyScore(view, pos, true));
+        }
+    };
+
+    // Lookahead: weighs how much open space a move keeps against how many steps the snake needs to reach it
+    const lookahead = {
+        name: 'lookahead',
+        label: 'Lookahead',
+        params: Object.assign({}, commonParams, {
+            fleeDistance: 60,
+            lookaheadSteps: 4, // How many moves of the snake to predict
+            spaceWeight: 1, // Value of each reachable cell after the move
+            distanceWeight: 3, // Value of each step the snake needs to reach the move
+            spaceLimit: 60 // Stop counting open space after this many cells
+        }),
+        flee(view, params) {
+            const body = new Set(view.snake.slice(0, -1).map(segment => cellKey(segment.x, segment.y)));
+            const predicted = new Set(predictSnakePath(view, params.lookaheadSteps).map(cell => cellKey(cell.x, cell.y)));
+            const blocked = new Set([...body, ...predicted]);
+            const snakeSteps = bfsDistances(view, view.snake[0], body);
+
+            return bestBy(freeAdjacentCells(view), pos => {
+                const key = cellKey(pos.x, pos.y);
+                const space = floodFillSize(view, pos, blocked, params.spaceLimit);
+                const steps = snakeSteps.has(key) ? snakeSteps.get(key) : params.spaceLimit; // Unreachable is safest
+                const danger = predicted.has(key) ? params.spaceLimit * params.distanceWeight : 0;
+                return space * params.spaceWeight + steps * params.distanceWeight - danger;
+            });
+        },
+        longSprint(view, params) {
+            const body = new Set(view.snake.slice(0, -1).map(segment => cellKey(segment.x, segment.y)));
+            const snakeSteps = bfsDistances(view, view.snake[0], body);
+
+            return bestBy(freeCells(view), pos => {
+                const key = cellKey(pos.x, pos.y);
+                const space = floodFillSize(view, pos, body, params.spaceLimit);
+                const steps = snakeSteps.has(key) ? snakeSteps.get(key) : params.spaceLimit;
+                return space * params.spaceWeight + steps * params.distanceWeight;
+            });
+        }
+    };
+
+    // Panicky: often bolts in a random direction instead of thinking
+    const panicky = {
+        name: 'panicky',
+        label: 'Panicky',
+        params: Object.assign({}, commonParams, {
+            fleeDistance: 60,
+            panicChance: 0.6 // Chance to pick a random move instead of the greedy one
+        }),
+        flee(view, params) {
+            const moves = freeAdjacentCells(view);
+            if (moves.length > 0 && view.rng() < params.panicChance) {
+                return moves[Math.floor(view.rng() * moves.length)];
+            }
+            return bestBy(moves, pos => greedyScore(view, pos, false));
+        },
+        longSprint(view) {
+            const cells = freeCells(view);
+            return cells.length > 0 ? cells[Math.floor(view.rng() * cells.length)] : null;
+        }
+    };
+
+    const strategies = { greedy, lookahead, panicky };
+    const defaultStrategy = 'greedy';
+
+    // Look up a strategy by name, throwing for unknown names
+    function getStrategy(name) {
+        if (!Object.prototype.hasOwnProperty.call(strategies, name)) {
+            throw new Error(`Unknown prey strategy: ${name}`);
+        }
+        return strategies[name];
+    }
+
+    // Merge parameter overrides into a strategy's defaults, ignoring keys it doesn't use
+    function resolveParams(name, overrides = {}) {
+        const params = Object.assign({}, getStrategy(name).params);
+        for (const key of Object.keys(params)) {
+            if (typeof overrides[key] === 'number' && Number.isFinite(overrides[key])) {
+                params[key] = overrides[key];
+            }
+        }
+        return params;
+    }
+
+    const PreyAI = {
+        strategies,
+        defaultStrategy,
+        paramInfo,
+        getStrategy,
+        resolveParams
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PreyAI;
+    } else {
+        root.PreyAI = PreyAI;
+    }
+})(this);
@@ -0,0 +1,132 @@
+// Prey species for The Prey That Runs
+// Several prey balls can be on the board at once, each of one species. A species decides what a
+// catch is worth and how the ball behaves; the movement itself comes from the prey strategy (prey-ai.js).
+(function (root) {
+    'use strict';
+
+    // Every species, in the order the legend lists them
+    // points: score for catching it (before any multiplier); decoys are worth negative points
+    // spawnWeight: relative chance of being picked when a new ball appears (0 = never spawned directly)
+    // fleeScale: multiplier of the strategy's flee distance
+    // behaviour: 'flee' (runs from the snake), 'wander' (drifts around, ignoring the snake),
+    //            'split' (flees, and breaks into two shards when cornered)
+    // bonus: true if catching it grants a golden bonus
+    // color, borderColor, size: how the ball is drawn (size is a multiplier of the normal ball, default 1)
+    const species = {
+        runner: {
+            name: 'runner',
+            label: 'Runner',
+            description: 'The original prey',
+            points: 10,
+            spawnWeight: 6,
+            fleeScale: 1,
+            behaviour: 'flee',
+            color: '#e67e22', // Orange, so it doesn't blend in with player one's red snake
+            borderColor: '#ba4a00'
+        },
+        timid: {
+            name: 'timid',
+            label: 'Timid',
+            description: 'Runs from much further away',
+            points: 15,
+            spawnWeight: 2,
+            fleeScale: 2,
+            behaviour: 'flee',
+            color: '#9b59b6',
+            borderColor: '#8e44ad'
+        },
+        golden: {
+            name: 'golden',
+            label: 'Golden',
+            description: 'Grants a free sprint or double points',
+            points: 30,
+            spawnWeight: 1,
+            fleeScale: 1,
+            behaviour: 'flee',
+            bonus: true,
+            color: '#f1c40f',
+            borderColor: '#d4ac0d'
+        },
+        splitter: {
+            name: 'splitter',
+            label: 'Splitter',
+            description: 'Breaks in two when cornered',
+            points: 10,
+            spawnWeight: 1,
+            fleeScale: 1,
+            behaviour: 'split',
+            splitsInto: 'shard',
+            color: '#27ae60',
+            borderColor: '#1e8449'
+        },
+        shard: {
+            name: 'shard',
+            label: 'Shard',
+            description: 'Half a splitter',
+            points: 5,
+            spawnWeight: 0,
+            fleeScale: 1,
+            behaviour: 'flee',
+            color: '#2ecc71',
+            borderColor: '#27ae60',
+            size: 0.75
+        },
+        decoy: {
+            name: 'decoy',
+            label: 'Decoy',
+            description: 'Costs points, avoid it',
+            points: -10,
+            spawnWeight: 0, // Decoys have their own count (config.decoyCount)
+            fleeScale: 0,
+            behaviour: 'wander',
+            isDecoy: true,
+            color: '#95a5a6',
+            borderColor: '#7f8c8d'
+        }
+    };
+
+    const wanderChance = 0.3; // Chance per prey update that a wandering ball takes a random step
+    const crampedCells = 2; // A chased splitter is cornered when it has this many free cells around it or fewer
+
+    // What a golden catch grants; the engine picks one of the two at random
+    const goldenBonus = {
+        freeSprintMs: 5000, // Sprinting costs no stamina for this long
+        multiplier: 2, // Points of every catch are multiplied by this...
+        multiplierMs: 10000 // ...for this long
+    };
+
+    // Look up a species by name, throwing for unknown names
+    function getSpecies(name) {
+        if (!Object.prototype.hasOwnProperty.call(species, name)) {
+            throw new Error(`Unknown prey species: ${name}`);
+        }
+        return species[name];
+    }
+
+    // Pick the species of a new (non-decoy) ball by spawn weight, using the game's random numbers
+    function pickSpecies(rng) {
+        const candidates = Object.values(species).filter(candidate => candidate.spawnWeight > 0);
+        const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.spawnWeight, 0);
+        let roll = rng() * totalWeight;
+        for (const candidate of candidates) {
+            roll -= candidate.spawnWeight;
+            if (roll < 0) return candidate.name;
+        }
+        return candidates[candidates.length - 1].name;
+    }
+
+    const PreySpecies = {
+        species,
+        wanderChance,
+        crampedCells,
+        goldenBonus,
+        getSpecies,
+        pickSpecies
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PreySpecies;
+    } else {
+        root.PreySpecies = PreySpecies;
+    }
+})(this);
@@ -0,0 +1,165 @@
+// Replay recording and playback for The Prey That Runs
+// A replay is compact JSON: the seed, the engine config, the level (if any), the number of players and every input
+// stamped with the tick it was applied on (and the player it belongs to, for every player but the first).
+// Playback feeds those inputs back through SnakeEngine.tick, so it reproduces the recorded game exactly.
+(function (root) {
+    'use strict';
+
+    const SnakeEngine = (typeof module !== 'undefined' && module.exports) ? require('./engine.js') : root.SnakeEngine;
+    const SnakeConfig = (typeof module !== 'undefined' && module.exports) ? require('./config.js') : root.SnakeConfig;
+    const SnakeLevels = (typeof module !== 'undefined' && module.exports) ? require('./levels.js') : root.SnakeLevels;
+
+    const replayVersion = 11; // Bump when the file format changes
+    const playbackSpeeds = [0.5, 1, 2, 4]; // Speeds offered by the replay viewer
+    const validInputs = ['up', 'down', 'left', 'right', 'sprint', 'sprint-end'];
+
+    // Build a replay from a game's recorded input log
+    function createReplay(state) {
+        return {
+            version: replayVersion,
+            seed: state.seed,
+            tickMs: SnakeEngine.tickMs,
+            config: SnakeEngine.getConfig(state),
+            level: state.level ? state.level.definition : null, // Level definition, so custom levels replay too
+            players: state.players.length,
+            length: state.tick, // Number of ticks the game lasted
+            scores: state.players.map(player => player.score),
+            inputs: state.inputLog.map(entry => entry.slice())
+        };
+    }
+
+    // Turn a replay into the text saved in a replay file
+    function serializeReplay(replay) {
+        return JSON.stringify(replay);
+    }
+
+    // Read a replay file, throwing an Error that explains what is wrong with it
+    function parseReplay(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Invalid replay: not a JSON file');
+        }
+
+        if (!replay || replay.version !== replayVersion) {
+            throw new Error('Invalid replay: unsupported version');
+        }
+        if (!Number.isInteger(replay.seed) || !Number.isInteger(replay.length) || !Array.isArray(replay.inputs)) {
+            throw new Error('Invalid replay: missing seed, length or inputs');
+        }
+        if (replay.players !== 1 && replay.players !== SnakeEngine.maxPlayers) {
+            throw new Error('Invalid replay: unsupported number of players');
+        }
+        if (replay.tickMs !== SnakeEngine.tickMs) {
+            throw new Error('Invalid replay: recorded with a different engine tick');
+        }
+        const problems = SnakeConfig.validateConfig(replay.config || {});
+        if (problems.length > 0) {
+            throw new Error(`Invalid replay: ${problems.join('; ')}`);
+        }
+        if (replay.level) {
+            try {
+                SnakeLevels.parseLevel(replay.level);
+            } catch (e) {
+                throw new Error(`Invalid replay: ${e.message}`);
+            }
+        }
+        for (const entry of replay.inputs) {
+            if (!Array.isArray(entry) || !Number.isInteger(entry[0]) || !validInputs.includes(entry[1])) {
+                throw new Error('Invalid replay: malformed input entry');
+            }
+            const playerIndex = entry.length > 2 ? entry[2] : 0;
+            if (!Number.isInteger(playerIndex) || playerIndex < 0 || playerIndex >= replay.players) {
+                throw new Error('Invalid replay: input for a player who isn\'t in the game');
+            }
+        }
+        return replay;
+    }
+
+    // Start a fresh game with the replay's seed, rules, level and players
+    function createReplayGame(replay) {
+        return SnakeEngine.createGame({ seed: replay.seed, config: replay.config, level: replay.level, players: replay.players });
+    }
+
+    // Create a playback state for a replay, positioned at its first tick
+    function createPlayer(replay) {
+        // Group the inputs by tick so each tick can look its input up directly
+        const inputsByTick = new Map();
+        for (const [tickNumber, action, playerIndex = 0] of replay.inputs) {
+            if (!inputsByTick.has(tickNumber)) {
+                inputsByTick.set(tickNumber, Array.from({ length: replay.players }, () => ({ turns: [] })));
+            }
+            const input = inputsByTick.get(tickNumber)[playerIndex];
+            if (action === 'sprint' || action === 'sprint-end') {
+                input.sprint = action === 'sprint'; // Sprint key pressed or released
+            } else {
+                input.turns.push(action);
+            }
+        }
+
+        return {
+            replay,
+            inputsByTick,
+            game: createReplayGame(replay),
+            speed: 1, // Playback speed multiplier
+            paused: false
+        };
+    }
+
+    // True once playback has reached the end of the recording
+    function isFinished(player) {
+        return player.game.isGameOver || player.game.tick >= player.replay.length;
+    }
+
+    // Run the next recorded tick through the engine
+    function playTick(player) {
+        const input = player.inputsByTick.get(player.game.tick) || null;
+        return SnakeEngine.tick(player.game, input);
+    }
+
+    // Advance playback by dtMs real milliseconds at the player's speed
+    // Like SnakeEngine.step, it catches up on at most maxFrameTime of a long frame (a tab in the background, say)
+    // Returns the engine events from every tick that ran
+    function advance(player, dtMs) {
+        const events = [];
+        if (player.paused || isFinished(player)) return events;
+
+        const game = player.game;
+        game.accumulator += Math.min(dtMs, SnakeEngine.maxFrameTime) * player.speed;
+        while (game.accumulator >= SnakeEngine.tickMs && !isFinished(player)) {
+            game.accumulator -= SnakeEngine.tickMs;
+            events.push(...playTick(player));
+        }
+        return events;
+    }
+
+    // Jump to a tick; going backwards replays the game from the start
+    function seek(player, targetTick) {
+        targetTick = Math.max(0, Math.min(targetTick, player.replay.length));
+        if (targetTick < player.game.tick) {
+            player.game = createReplayGame(player.replay);
+        }
+        while (player.game.tick < targetTick && !isFinished(player)) {
+            playTick(player);
+        }
+        player.game.accumulator = 0;
+    }
+
+    const SnakeReplay = {
+        playbackSpeeds,
+        createReplay,
+        serializeReplay,
+        parseReplay,
+        createPlayer,
+        isFinished,
+        advance,
+        seek
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeReplay;
+    } else {
+        root.SnakeReplay = SnakeReplay;
+    }
+})(this);
@@ -0,0 +1,80 @@
+// Scoring for The Prey That Runs
+// A catch is worth its species' points plus bonuses for how it was made: catching a ball that is running
+// or has just made a long sprint, chaining catches into a combo, and doing it in a small arena at high speed.
+// The engine says what happened; this module turns that into points, split into parts so the game can show
+// where they came from.
+(function (root) {
+    'use strict';
+
+    // Every part a score can be made of, in the order the game-over breakdown lists them
+    // short: name on the floating popup, for bonuses only
+    const parts = {
+        catch: { name: 'catch', label: 'Catches' },
+        'mid-flee': { name: 'mid-flee', label: 'Caught on the run', short: 'On the run' },
+        'after-sprint': { name: 'after-sprint', label: 'Caught after a long sprint', short: 'Sprint catch' },
+        combo: { name: 'combo', label: 'Combos', short: 'Combo' },
+        arena: { name: 'arena', label: 'Small arena', short: 'Tight' },
+        speed: { name: 'speed', label: 'Speed', short: 'Fast' },
+        golden: { name: 'golden', label: 'Golden double points', short: 'Golden' },
+        decoy: { name: 'decoy', label: 'Decoys' }
+    };
+
+    const midFleePoints = 5; // Extra points for a ball that was running from the snake when caught
+    const afterSprintPoints = 10; // Extra points for a ball that made a long sprint shortly before...
+    const afterSprintWindowMs = 2000; // ...within this long
+    const comboWindowMs = 4000; // A catch within this long of the previous one continues the combo
+    const comboStep = 0.25; // Each catch in a combo multiplies the points by this much more...
+    const maxCombo = 5; // ...up to this many catches in a row
+    const arenaBonus = 0.5; // Extra multiplier for an arena closed in to nothing (scales with the area taken)
+    const speedBonus = 0.5; // Extra multiplier at top speed earned by eating (scales from start speed to top speed)
+
+    // Look up a score part by name, throwing for unknown names
+    function getPart(name) {
+        if (!Object.prototype.hasOwnProperty.call(parts, name)) {
+            throw new Error(`Unknown score part: ${name}`);
+        }
+        return parts[name];
+    }
+
+    // Score one catch
+    // catchInfo: { basePoints, isMidFlee, isAfterSprint, combo (catches in a row, this one included),
+    //              arenaShare (arena area / board area), speedShare (0 at start speed .. 1 at top speed), goldenMultiplier }
+    // Returns { points, parts: [{ part, points }] } listing the flat bonuses first, then every multiplier's extra
+    // points on what came before it; parts worth nothing are left out, and the parts always add up to points
+    function scoreCatch(catchInfo) {
+        const scored = [{ part: 'catch', points: catchInfo.basePoints }];
+        if (catchInfo.isMidFlee) scored.push({ part: 'mid-flee', points: midFleePoints });
+        if (catchInfo.isAfterSprint) scored.push({ part: 'after-sprint', points: afterSprintPoints });
+
+        const clamp = share => Math.min(1, Math.max(0, share));
+        const multipliers = [
+            ['combo', 1 + comboStep * (Math.min(catchInfo.combo, maxCombo) - 1)],
+            ['arena', 1 + arenaBonus * clamp(1 - catchInfo.arenaShare)],
+            ['speed', 1 + speedBonus * clamp(catchInfo.speedShare)],
+            ['golden', catchInfo.goldenMultiplier]
+        ];
+        let points = scored.reduce((sum, item) => sum + item.points, 0);
+        for (const [part, multiplier] of multipliers) {
+            const extra = Math.round(points * (multiplier - 1));
+            if (extra === 0) continue;
+            scored.push({ part, points: extra });
+            points += extra;
+        }
+        return { points, parts: scored };
+    }
+
+    const SnakeScoring = {
+        parts,
+        afterSprintWindowMs,
+        comboWindowMs,
+        maxCombo,
+        getPart,
+        scoreCatch
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeScoring;
+    } else {
+        root.SnakeScoring = SnakeScoring;
+    }
+})(this);
@@ -1,576 +1,1729 @@
 const canvas = document.getElementById('gameCanvas');
 const ctx = canvas.getContext('2d');
-const scoreDisplay = document.getElementById('score');
+const scoreLabel = document.getElementById('scoreLabel');
+const playerTwoBoard = document.getElementById('playerTwoBoard');
+// Score, stamina meter and bonus badge of each player
+const scoreDisplays = [document.getElementById('score'), document.getElementById('scoreTwo')];
+const staminaFills = [document.getElementById('staminaFill'), document.getElementById('staminaFillTwo')];
+const bonusBadges = [document.getElementById('bonusBadge'), document.getElementById('bonusBadgeTwo')];
+const effectBadges = [document.getElementById('effectBadge'), document.getElementById('effectBadgeTwo')];
 const messageBox = document.getElementById('messageBox');
 const messageText = document.getElementById('messageText');
 const restartButton = document.getElementById('restartButton');
+const nextLevelButton = document.getElementById('nextLevelButton');
+const levelInfo = document.getElementById('levelInfo');
+const levelSelect = document.getElementById('levelSelect');
+const playLevelButton = document.getElementById('playLevelButton');
+const levelDescription = document.getElementById('levelDescription');
+const watchReplayButton = document.getElementById('watchReplayButton');
+const exportReplayButton = document.getElementById('exportReplayButton');
+const replayControls = document.getElementById('replayControls');
+const replayPlayButton = document.getElementById('replayPlayButton');
+const replayScrubber = document.getElementById('replayScrubber');
+const replaySpeedSelect = document.getElementById('replaySpeed');
+const replayExportButton = document.getElementById('replayExportButton');
+const replayExitButton = document.getElementById('replayExitButton');
+const importReplayButton = document.getElementById('importReplayButton');
+const replayFileInput = document.getElementById('replayFileInput');
+const settingsPanel = document.getElementById('settingsPanel');
+const presetSelect = document.getElementById('presetSelect');
+const settingsFieldsContainer = document.getElementById('settingsFields');
+const wallModeSelect = document.getElementById('wallModeSelect');
+const speedCurveSelect = document.getElementById('speedCurveSelect');
+const preyStrategySelect = document.getElementById('preyStrategySelect');
+const preyParamsContainer = document.getElementById('preyParams');
+const runStatsList = document.getElementById('runStats');
+const playerNameRow = document.getElementById('playerNameRow');
+const playerNameInput = document.getElementById('playerNameInput');
+const highScoreList = document.getElementById('highScoreList');
+const speciesList = document.getElementById('speciesList');
+const pickupList = document.getElementById('pickupList');
+const settingsStatus = document.getElementById('settingsStatus');
+const applySettingsButton = document.getElementById('applySettingsButton');
+const shareSettingsButton = document.getElementById('shareSettingsButton');
+const bestOfSelect = document.getElementById('bestOfSelect');
+const startMatchButton = document.getElementById('startMatchButton');
+const replayActions = document.getElementById('replayActions');
+const serverAddressInput = document.getElementById('serverAddressInput');
+const roomInput = document.getElementById('roomInput');
+const connectButton = document.getElementById('connectButton');
+const onlineStatus = document.getElementById('onlineStatus');
+const themeSelect = document.getElementById('themeSelect');
+const muteInput = document.getElementById('muteInput');
+const volumeInput = document.getElementById('volumeInput');
+const themeDescription = document.getElementById('themeDescription');
+const snakeColorNames = [document.getElementById('playerOneColor'), document.getElementById('playerTwoColor')];
+const announcementLog = document.getElementById('announcements');
+const motionSelect = document.getElementById('motionSelect');
+const announcePreyInput = document.getElementById('announcePreyInput');
+const keyBindingsContainer = document.getElementById('keyBindings');
+const keyBindingsStatus = document.getElementById('keyBindingsStatus');
+const resetKeysButton = document.getElementById('resetKeysButton');
+const dailyStatus = document.getElementById('dailyStatus');
+const playDailyButton = document.getElementById('playDailyButton');
+const resultCodeInput = document.getElementById('resultCodeInput');
+const compareResultButton = document.getElementById('compareResultButton');
+const compareStatus = document.getElementById('compareStatus');
+const checkReplayButton = document.getElementById('checkReplayButton');
+const checkReplayInput = document.getElementById('checkReplayInput');
+const autopilotSelect = document.getElementById('autopilotSelect');
+const resultCodeRow = document.getElementById('resultCodeRow');
+const resultCodeText = document.getElementById('resultCodeText');
+const copyResultButton = document.getElementById('copyResultButton');
+const legendKeys = document.querySelectorAll('.legend-key[data-action]');
 
 // Game variables
-const gridSize = 20; // Size of each square on the grid
-let initialCanvasWidth = 400; // Initial canvas width
-let initialCanvasHeight = 400; // Initial canvas height
-const shrinkAmount = 20; // How many pixels to shrink per side (total 40px width/height)
-const minCanvasSize = 100; // Minimum size for the canvas (e.g., 5x5 grid cells)
-
-let snake; // Stores objects like { x, y, prevX, prevY }
-let food; // Stores { x, y, prevX, prevY }
-let direction; // Snake direction
-let foodDirection; // Food direction
-let score;
-let gameLogicInterval; // Interval for snake's logical updates
-let foodMoveInterval; // Interval for food's logical updates
+let game; // Engine state: players (snake, direction, score...), prey, arena size...
+let inputController; // Collects keyboard, D-pad and touch input for the engine
 let animationFrameId;  // ID for requestAnimationFrame
-let baseGameSpeed = 150; // Original milliseconds per snake logical frame
-let gameSpeed = baseGameSpeed; // Current milliseconds per snake logical frame
-const speedIncreaseAmount = 5; // How much to decrease gameSpeed by (increase speed)
-const minGameSpeed = 50; // Minimum game speed to prevent it from becoming too fast
-const foodSpeed = 100; // Milliseconds per food logical frame (lower means faster food sprints)
-const fleeDistance = gridSize * 2; // Distance (in pixels) at which food starts to flee (e.g., 40 pixels for 20px grid)
-const sprintDuration = 500; // Duration of the sprint boost in milliseconds
-const sprintSpeedMultiplier = 0.4; // How much faster the snake gets (e.g., 0.4 means 40% of original speed, i.e., 2.5x faster)
-let lastUpdateTime;  // Timestamp of the last logical update for snake
-let lastFoodUpdateTime; // Timestamp of the last logical update for food
-let isGameOver;
-let randomSprintsRemaining; // Tracks remaining random sprints for food
-const maxRandomSprints = 1; // Ball sprints away randomly only ONE time
-let foodChaseStartTime = null; // Timestamp when food started being chased
-const minChaseTimeForRandom = 3000; // Minimum chase duration (3 seconds) for random sprint chance
-const maxChaseTimeForRandom = 5000; // Maximum chase duration (5 seconds) for random sprint chance
-
-// Helper to check if a position is valid (not wall or snake)
-function isValidPosition(x, y, ignoreHead = false) {
-    // Check wall collision against CURRENT canvas dimensions
-    if (x < 0 || x >= canvas.width || y < 0 || y >= canvas.height) {
-        return false;
+let lastFrameTime; // Timestamp of the previous animation frame
+let replayPlayer = null; // Playback state while watching a replay, null during normal play
+let lastReplay = null; // Replay of the most recently finished game
+let pauseState = 'running'; // 'running', 'paused' or 'countdown' (counting down to resume)
+let countdownEndTime; // Timestamp at which the resume countdown finishes
+const resumeCountdown = 3000; // Milliseconds of countdown before a paused game resumes
+const pickupBlinkMs = 1500; // Items blink for this long before they vanish from the board
+const scorePopupMs = 1200; // Score popups float up and fade out over this much game time
+let scorePopups = []; // Points floating over the board: { x, y, points, bonuses, player, time (game time of the catch) }
+const leaderboard = SnakeLeaderboard.createLeaderboard(); // Top runs, saved in localStorage
+let theme = SnakeThemes.getTheme(SnakeThemes.loadThemeName(leaderboard.storage)); // How the board is drawn (see themes.js)
+const gameEvents = SnakeEvents.createEventBus(); // Engine events and our own ('game-over'), for whatever reacts to them
+const audio = SnakeSound.createAudio(SnakeSound.loadSettings(leaderboard.storage)); // Sound effects and music
+SnakeSound.listen(gameEvents, audio);
+const accessSettings = SnakeAccess.loadSettings(leaderboard.storage); // Motion and announcement settings (see access.js)
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+let reducedMotion = false; // Whether to draw without sliding between cells or blinking, see updateReducedMotion
+let keyBindings = SnakeInput.loadKeyBindings(leaderboard.storage); // Single-player keys of each action
+let rebinding = null; // Key slot waiting for a new key: { action, slot }, null when no key is being changed
+const maxAnnouncements = 5; // Announcements kept in the live region
+let lastRunId = null; // High-score entry of the most recent run, if it made the table
+let gameConfig = SnakeConfig.createConfig(); // Validated config new games are played with
+let draftConfig; // Settings panel values, applied to gameConfig by "Apply & Restart"
+let currentLevel = null; // Definition of the campaign level being played, null for the open arena
+let match = null; // Versus match being played: { bestOf, wins: [player one, player two], draws }, null for single player
+// Online session while connected to a server: { socket, room, predictor (null between opponents), latencyMs, pingTimer,
+// wins, draws }, null for local play
+let online = null;
+let daily = null; // Daily challenge being played: { date, isCounted (the day's first attempt) }, null for other games
+let autopilot = null; // Bot steering the snake of a single player game (see bot.js), null when you steer
+
+const playerNames = ['Player 1', 'Player 2'];
+const directionVectors = { up: { x: 0, y: -1 }, down: { x: 0, y: 1 }, left: { x: -1, y: 0 }, right: { x: 1, y: 0 } };
+// How a snake died, for the round result
+const deathCauses = {
+    wall: 'hit a wall',
+    obstacle: 'hit an obstacle',
+    self: 'bit itself',
+    snake: 'ran into the other snake',
+    'head-on': 'crashed head-on',
+    crushed: 'was crushed'
+};
+const announcer = SnakeAccess.createAnnouncer(announce, { getState: () => game, playerNames, deathCauses });
+SnakeAccess.listen(gameEvents, announcer);
+
+// Function to initialize or reset the game state
+function initGame(config = gameConfig, level = currentLevel) {
+    game = daily
+        ? SnakeEngine.createGame(SnakeDaily.getGameOptions(daily.date)) // Everyone's game of the day, whatever the settings
+        : SnakeEngine.createGame({ config, level, players: match ? SnakeEngine.maxPlayers : 1 });
+    // The autopilot never plays versus or the daily challenge, whose first attempt has to be your own
+    autopilot = autopilotSelect.value && !match && !daily ? SnakeBot.createBot(autopilotSelect.value) : null;
+    SnakeInput.takeInput(inputController); // Drop anything pressed before this game
+    replayPlayer = null;
+    replayControls.style.display = 'none';
+    pauseState = 'running';
+
+    syncDisplay();
+
+    // Hide the message box if it's visible
+    messageBox.style.display = 'none';
+
+    startAnimation();
+}
+
+// (Re)start the animation loop, which also drives the engine
+function startAnimation() {
+    if (animationFrameId) cancelAnimationFrame(animationFrameId);
+    lastFrameTime = performance.now();
+    animationFrameId = requestAnimationFrame(animate);
+}
+
+// Match the canvas size and score display to the current game state
+// The canvas is the whole board; the arena inside it shrinks, the canvas doesn't
+function syncDisplay() {
+    if (canvas.width !== game.config.arenaWidth || canvas.height !== game.config.arenaHeight) {
+        canvas.width = game.config.arenaWidth;
+        canvas.height = game.config.arenaHeight;
+    }
+    const isVersus = game.players.length > 1;
+    scoreLabel.textContent = isVersus ? playerNames[0] : 'Score';
+    playerTwoBoard.style.display = isVersus ? '' : 'none';
+    game.players.forEach((player, index) => {
+        scoreDisplays[index].textContent = player.score;
+    });
+    renderStamina();
+    renderBonus();
+    renderEffects();
+
+    const levelText = game.level ? `${game.level.name}${game.level.targetScore !== null ? ` · Goal: ${game.level.targetScore}` : ''}` : '';
+    let matchText = '';
+    if (online && online.predictor) {
+        matchText = `Online · You are ${playerNames[online.predictor.you]} · ${online.wins[0]} – ${online.wins[1]}`;
+    } else if (match && isVersus) {
+        matchText = `Round ${getRound(match)} · Best of ${match.bestOf} · ${match.wins[0]} – ${match.wins[1]}`;
+    } else if (daily) {
+        matchText = `Daily challenge ${daily.date}${daily.isCounted ? '' : ' · Practice'}`;
     }
-    // Check snake collision
-    for (let i = (ignoreHead ? 1 : 0); i < snake.length; i++) {
-        if (snake[i].x === x && snake[i].y === y) {
-            return false;
+    levelInfo.textContent = [matchText, levelText].filter(Boolean).join(' · ');
+}
+
+// Show each player's sprint stamina meter next to their score
+function renderStamina() {
+    game.players.forEach((player, index) => {
+        const staminaFill = staminaFills[index];
+        staminaFill.style.width = `${player.stamina / game.config.maxStamina * 100}%`;
+        staminaFill.classList.toggle('sprinting', player.isSprinting);
+        staminaFill.classList.toggle('exhausted', player.isExhausted);
+        staminaFill.classList.toggle('free', game.time < player.freeSprintUntil);
+    });
+}
+
+// Show the golden bonus each player has active, if any
+function renderBonus() {
+    game.players.forEach((player, index) => {
+        const bonuses = [];
+        if (game.time < player.multiplierUntil) bonuses.push(`×${PreySpecies.goldenBonus.multiplier}`);
+        if (game.time < player.freeSprintUntil) bonuses.push('Free sprint');
+        bonusBadges[index].textContent = bonuses.join(' · ');
+    });
+}
+
+// Show the pickup effects each player has running, counting down in whole seconds
+function renderEffects() {
+    game.players.forEach((player, index) => {
+        effectBadges[index].textContent = SnakeEngine.getActiveEffects(game, index)
+            .map(effect => `${SnakePickups.getKind(effect.kind).label} ${Math.ceil(effect.remainingMs / 1000)}s`)
+            .join(' · ');
+    });
+}
+
+// Render the outcome of engine events and pass them on to the event bus
+function handleEvents(events) {
+    for (const event of events) {
+        SnakeEvents.emit(gameEvents, event);
+        switch (event.type) {
+            case 'ate':
+                scoreDisplays[event.player].textContent = event.score;
+                break;
+            case 'scored':
+                if (event.points === 0) break; // A decoy bitten at a score of 0 costs nothing, so there is nothing to show
+                scorePopups.push({
+                    x: event.x,
+                    y: event.y,
+                    points: event.points,
+                    // Name the bonuses that made the catch worth more, the combo with its length
+                    bonuses: event.parts.filter(item => SnakeScoring.getPart(item.part).short)
+                        .map(item => item.part === 'combo' ? `${event.combo}× combo` : SnakeScoring.getPart(item.part).short),
+                    player: event.player,
+                    time: game.time
+                });
+                break;
         }
     }
-    return true;
 }
 
-// Helper to find the best position for food to move to
-// Can be used for "fleeing" (adjacent) or "long sprint" (anywhere on board)
-function findOptimalFleePosition(currentFoodX, currentFoodY, snakeHead, currentSnakeBody, isLongFlee = false) {
-    let possibleMoves = [];
-    const snakeBodySet = new Set();
-    for (const segment of currentSnakeBody) {
-        snakeBodySet.add(`${segment.x},${segment.y}`);
+// Animation loop (runs as fast as browser allows)
+function animate(currentTime) {
+    const elapsed = currentTime - lastFrameTime;
+    lastFrameTime = currentTime;
+
+    if (!replayPlayer && pauseState !== 'running') {
+        animatePaused(currentTime);
+        return;
     }
 
-    if (isLongFlee) {
-        // For long flee, consider all empty spots on the board
-        for (let x = 0; x < canvas.width; x += gridSize) {
-            for (let y = 0; y < canvas.height; y += gridSize) {
-                if (!snakeBodySet.has(`${x},${y}`)) {
-                    possibleMoves.push({ x, y });
-                }
-            }
-        }
+    if (replayPlayer) {
+        // Replays feed the recorded inputs to the engine instead of the keyboard
+        handleEvents(SnakeReplay.advance(replayPlayer, elapsed));
+        game = replayPlayer.game;
+        replayScrubber.value = game.tick;
+        if (SnakeReplay.isFinished(replayPlayer)) replayPlayButton.textContent = 'Restart';
+    } else if (online) {
+        // Our own input takes effect at once in the prediction and goes to the server, which has the final say
+        // The round only ends when the server says so, a predicted crash is just drawn
+        const message = SnakeNet.predictInput(online.predictor, SnakeInput.takeInput(inputController)[0]);
+        if (message) online.socket.send(JSON.stringify(message));
+        handleEvents(SnakeNet.advance(online.predictor, elapsed));
     } else {
-        // For regular flee, consider only adjacent empty spots
-        const adjacentMoves = [
-            { x: currentFoodX, y: currentFoodY - gridSize }, // Up
-            { x: currentFoodX, y: currentFoodY + gridSize }, // Down
-            { x: currentFoodX - gridSize, y: currentFoodY }, // Left
-            { x: currentFoodX + gridSize, y: currentFoodY }  // Right
-        ];
-        for (const move of adjacentMoves) {
-            // Check if the potential move is valid (within bounds and CURRENT canvas dimensions)
-            if (isValidPosition(move.x, move.y, true)) {
-                possibleMoves.push(move);
-            }
+        // Feed the input and the elapsed time to the engine
+        // The autopilot steers instead of the keys, which are still taken so they don't pile up meanwhile
+        const input = SnakeInput.takeInput(inputController);
+        const events = SnakeEngine.step(game, autopilot ? SnakeBot.getInput(autopilot, game) : input, elapsed);
+
+        handleEvents(events);
+        if (game.isGameOver) {
+            gameOver(); // A replay just stops on its last frame instead
+            return;
         }
     }
 
-    if (possibleMoves.length === 0) {
-        return null; // No safe place to move
+    renderStamina();
+    renderBonus();
+    renderEffects();
+    SnakeSound.updateMusic(audio, replayPlayer && replayPlayer.paused ? null : getMusicSpeed());
+    announcePrey();
+    drawGame();
+
+    animationFrameId = requestAnimationFrame(animate); // Request next frame
+}
+
+// Milliseconds per move of the fastest living snake, which the background music keeps pace with
+function getMusicSpeed() {
+    const speeds = game.players.filter(player => player.isAlive).map(player => player.gameSpeed);
+    return speeds.length > 0 ? Math.min(...speeds) : null;
+}
+
+// Animation frame while paused or counting down to resume
+// The engine isn't stepped, so game time (and with it lastUpdateTime and lastFoodUpdateTime, which are
+// measured in game time) stays frozen. lastFrameTime keeps following the real clock, so the first frame
+// after resuming only sees one frame of elapsed time and the interpolation in draw() doesn't jump.
+function animatePaused(currentTime) {
+    if (pauseState === 'countdown' && currentTime >= countdownEndTime) {
+        pauseState = 'running';
+    }
+
+    SnakeSound.updateMusic(audio, null); // The music waits for the game
+    drawGame(); // Frozen frame
+    if (pauseState === 'paused') {
+        drawOverlay('Paused', 'Press P or tap to resume');
+    } else if (pauseState === 'countdown') {
+        drawOverlay(String(Math.ceil((countdownEndTime - currentTime) / 1000)), 'Get ready');
     }
 
-    let bestPosition = null;
-    let maxScore = -Infinity;
+    animationFrameId = requestAnimationFrame(animate);
+}
+
+// Pause the current game (ignored during replays, online rounds and after game over)
+function pauseGame() {
+    if (replayPlayer || online || game.isGameOver) return;
+    pauseState = 'paused';
+}
+
+// Pause a running game, resume a paused one
+function togglePause() {
+    if (pauseState === 'running') {
+        pauseGame();
+    } else {
+        resumeGame();
+    }
+}
 
-    for (const pos of possibleMoves) {
-        const dx = pos.x - snakeHead.x;
-        const dy = pos.y - snakeHead.y;
-        let score = Math.sqrt(dx * dx + dy * dy); // Distance from head
+// Resume a paused game after a short countdown
+function resumeGame() {
+    if (pauseState !== 'paused') return;
+    pauseState = 'countdown';
+    countdownEndTime = performance.now() + resumeCountdown;
+}
 
-        // Bonus for moving away from snake's current movement direction
-        switch (direction) { // Use snake's current direction
-            case 'up':    if (pos.y > snakeHead.y) score += 100; break;
-            case 'down':  if (pos.y < snakeHead.y) score += 100; break;
-            case 'left':  if (pos.x > snakeHead.x) score += 100; break;
-            case 'right': if (pos.x < snakeHead.x) score += 100; break;
+// Start watching a replay in place of the current game
+function startReplay(replay) {
+    if (online) leaveOnline();
+    replayPlayer = SnakeReplay.createPlayer(replay);
+    game = replayPlayer.game;
+
+    replayScrubber.max = replay.length;
+    replayScrubber.value = 0;
+    replaySpeedSelect.value = '1';
+    replayPlayButton.textContent = 'Pause';
+    replayControls.style.display = 'flex';
+    messageBox.style.display = 'none';
+
+    syncDisplay();
+    startAnimation();
+}
+
+// Save a replay as a JSON file
+function downloadReplay(replay) {
+    const blob = new Blob([SnakeReplay.serializeReplay(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `prey-replay-${replay.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Show a message under the settings panel, in red for problems
+function showSettingsStatus(message, isError = false) {
+    settingsStatus.textContent = message;
+    settingsStatus.classList.toggle('error', isError);
+}
+
+// Check the settings panel values, reporting the first problem; returns true if they are valid
+// They are also checked with the overrides of the level being played, which they will be applied to
+function checkDraftConfig() {
+    const problems = SnakeConfig.validateConfig(draftConfig);
+    presetSelect.value = problems.length === 0 ? (SnakeConfig.findPreset(draftConfig) || 'custom') : 'custom';
+    if (problems.length === 0 && currentLevel) {
+        const levelProblems = SnakeConfig.validateConfig(SnakeLevels.levelConfig(SnakeLevels.parseLevel(currentLevel), draftConfig));
+        problems.push(...levelProblems.map(problem => `${currentLevel.name}: ${problem}`));
+    }
+    if (problems.length > 0) {
+        showSettingsStatus(problems.join('. '), true);
+        return false;
+    }
+    showSettingsStatus('Apply to start a new game with these settings.');
+    return true;
+}
+
+// Create a labelled number input that writes into an object as it changes
+function createNumberInput(text, info, target, key) {
+    const label = document.createElement('label');
+    label.textContent = text;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = info.min;
+    input.max = info.max;
+    input.step = info.step;
+    input.value = target[key];
+    input.addEventListener('input', () => {
+        target[key] = input.value === '' ? NaN : Number(input.value);
+        checkDraftConfig();
+    });
+    label.appendChild(input);
+    return label;
+}
+
+// Fill the settings panel from draftConfig: preset picker, rule fields, wall mode, speed curve, prey strategy and its parameters
+function renderSettings() {
+    if (presetSelect.options.length === 0) {
+        for (const [name, preset] of Object.entries(SnakeConfig.presets)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = preset.label;
+            presetSelect.appendChild(option);
+        }
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.textContent = 'Custom';
+        presetSelect.appendChild(custom);
+
+        for (const mode of Object.values(SnakeConfig.wallModes)) {
+            const option = document.createElement('option');
+            option.value = mode.name;
+            option.textContent = mode.label;
+            option.title = mode.description;
+            wallModeSelect.appendChild(option);
         }
 
-        // Add a stronger bonus for long flee if applicable
-        if (isLongFlee) {
-            score += 200; // Significant bonus to prefer far spots
+        for (const curve of Object.values(SnakeConfig.speedCurves)) {
+            const option = document.createElement('option');
+            option.value = curve.name;
+            option.textContent = curve.label;
+            option.title = curve.description;
+            speedCurveSelect.appendChild(option);
         }
 
-        // A slight penalty for being too close to walls if there are other options
-        // Check against CURRENT canvas dimensions
-        if ((pos.x === 0 || pos.x === canvas.width - gridSize || pos.y === 0 || pos.y === canvas.height - gridSize)) {
-            score -= 20;
+        for (const strategy of Object.values(PreyAI.strategies)) {
+            const option = document.createElement('option');
+            option.value = strategy.name;
+            option.textContent = strategy.label;
+            preyStrategySelect.appendChild(option);
         }
+    }
 
-        if (score > maxScore) {
-            maxScore = score;
-            bestPosition = pos;
+    settingsFieldsContainer.innerHTML = '';
+    let group = null;
+    for (const field of SnakeConfig.fields) {
+        if (field.group !== group) {
+            group = field.group;
+            const heading = document.createElement('h4');
+            heading.textContent = group;
+            settingsFieldsContainer.appendChild(heading);
         }
+        settingsFieldsContainer.appendChild(createNumberInput(field.label, field, draftConfig, field.key));
     }
-    return bestPosition;
+
+    wallModeSelect.value = draftConfig.wallMode;
+    speedCurveSelect.value = draftConfig.speedCurve;
+    preyStrategySelect.value = draftConfig.prey.strategy;
+    preyParamsContainer.innerHTML = '';
+    for (const name of Object.keys(draftConfig.prey.params)) {
+        const info = PreyAI.paramInfo[name];
+        preyParamsContainer.appendChild(createNumberInput(info.label, info, draftConfig.prey.params, name));
+    }
+
+    checkDraftConfig();
 }
 
-// Function to initialize or reset the game state
-function initGame() {
-    // Reset canvas size
-    canvas.width = initialCanvasWidth;
-    canvas.height = initialCanvasHeight;
-
-    // Initial snake position and length
-    snake = [
-        { x: 5 * gridSize, y: 5 * gridSize, prevX: 4 * gridSize, prevY: 5 * gridSize }, // Head
-        { x: 4 * gridSize, y: 5 * gridSize, prevX: 3 * gridSize, prevY: 5 * gridSize }  // Body
-    ];
-    // Set initial prevX/prevY for snake parts
-    for (let i = 0; i < snake.length; i++) {
-        snake[i].prevX = snake[i].x;
-        snake[i].prevY = snake[i].y;
-    }
-
-    food = { x: 0, y: 0, prevX: 0, prevY: 0 }; // Initialize food with prev positions
-    direction = 'right'; // Initial snake direction
-    foodDirection = ''; // Food starts with no specific direction, finds one
-    score = 0;
-    scoreDisplay.textContent = score;
-    isGameOver = false;
-    gameSpeed = baseGameSpeed; // Reset game speed to base
-    randomSprintsRemaining = maxRandomSprints; // Reset random sprints count
-    foodChaseStartTime = null; // Reset chase start time
+// Copy of a config for the settings panel to edit
+function copyConfig(config) {
+    return JSON.parse(JSON.stringify(config));
+}
 
-    // Hide the message box if it's visible
-    messageBox.style.display = 'none';
+// Link to this page that starts with the given config
+function getShareUrl(config) {
+    const query = SnakeConfig.toQueryString(config);
+    return `${location.origin}${location.pathname}${query ? `?${query}` : ''}`;
+}
 
-    // Generate initial food and its prev position
-    generateFood(true); // true means initial placement, no prior prevX/Y to consider
+// Draw the walls around the arena, sweeping in while they close, and flash the edge they are about to take
+function drawArena(arenaInterpolationFactor) {
+    const arena = game.arena;
+    const prev = game.prevArena;
+    const lerp = (from, to) => from + (to - from) * arenaInterpolationFactor;
+    const left = lerp(prev.x, arena.x);
+    const top = lerp(prev.y, arena.y);
+    const right = lerp(prev.x + prev.width, arena.x + arena.width);
+    const bottom = lerp(prev.y + prev.height, arena.y + arena.height);
+
+    ctx.fillStyle = theme.wall; // Same colour as the board border
+    ctx.fillRect(0, 0, canvas.width, top); // Top wall
+    ctx.fillRect(0, bottom, canvas.width, canvas.height - bottom); // Bottom wall
+    ctx.fillRect(0, top, left, bottom - top); // Left wall
+    ctx.fillRect(right, top, canvas.width - right, bottom - top); // Right wall
+
+    // Mark edges that don't kill: dashed where the board wraps around, cushioned where soft walls turn the snake
+    const wallMode = game.config.wallMode;
+    if (wallMode !== 'solid') {
+        ctx.strokeStyle = theme.edges[wallMode];
+        ctx.lineWidth = 2;
+        ctx.setLineDash(wallMode === 'wrap' ? [6, 6] : []);
+        ctx.strokeRect(left + 1, top + 1, right - left - 2, bottom - top - 2);
+        ctx.setLineDash([]);
+    }
 
-    // Clear any existing intervals/animation frames
-    if (gameLogicInterval) clearInterval(gameLogicInterval);
-    if (foodMoveInterval) clearInterval(foodMoveInterval);
-    if (animationFrameId) cancelAnimationFrame(animationFrameId);
+    // Blink the cells the walls will take until they have taken them (hold them marked with reduced motion)
+    const shrink = game.shrink;
+    if (shrink && (reducedMotion || Math.floor(game.time / 250) % 2 === 0)) {
+        const target = shrink.target;
+        const targetRight = target.x + target.width;
+        const targetBottom = target.y + target.height;
+        ctx.fillStyle = theme.shrinkWarning;
+        ctx.fillRect(arena.x, arena.y, arena.width, target.y - arena.y); // Top edge
+        ctx.fillRect(arena.x, targetBottom, arena.width, arena.y + arena.height - targetBottom); // Bottom edge
+        ctx.fillRect(arena.x, target.y, target.x - arena.x, target.height); // Left edge
+        ctx.fillRect(targetRight, target.y, arena.x + arena.width - targetRight, target.height); // Right edge
+    }
+}
 
-    // Start the logical game loops
-    gameLogicInterval = setInterval(updateSnakeLogic, gameSpeed);
-    foodMoveInterval = setInterval(updateFoodLogic, foodSpeed); // Food logic now runs more frequently
-    
-    lastUpdateTime = performance.now(); // Initialize last update time for snake
-    lastFoodUpdateTime = performance.now(); // Initialize last update time for food
+// Draw the level's prey spawn zone and obstacles
+function drawLevel() {
+    const gridSize = game.config.gridSize;
+    ctx.fillStyle = theme.spawnZone; // Faint tint where the prey appear
+    for (const cell of game.spawnZone) {
+        ctx.fillRect(cell.x, cell.y, gridSize, gridSize);
+    }
+    ctx.fillStyle = theme.obstacle; // Blocks, a shade off the walls
+    for (const cell of game.obstacles) {
+        ctx.fillRect(cell.x + 1, cell.y + 1, gridSize - 2, gridSize - 2);
+    }
+}
 
-    // Start the animation loop
-    animate();
+// Draw the game as it is now: sliding between cells, or with reduced motion, where everything is
+function drawGame() {
+    const interpolation = reducedMotion
+        ? { snakes: game.players.map(() => 1), food: 1, arena: 1 }
+        : SnakeEngine.getInterpolation(game);
+    draw(interpolation.snakes, interpolation.food, interpolation.arena);
 }
 
-// Function to generate food at a random position
-function generateFood(isInitialPlacement = false) {
-    let newFoodX, newFoodY;
-    let collisionWithSnake;
+// Function to draw everything on the canvas
+// Takes interpolation factors for the snakes (one per player), the prey and the arena walls
+function draw(snakeInterpolationFactors, preyInterpolationFactor, arenaInterpolationFactor) {
+    const gridSize = game.config.gridSize; // Size of each square on the grid
+
+    // Paint the board over the last frame
+    ctx.fillStyle = theme.board;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    drawLevel();
+    drawArena(arenaInterpolationFactor);
+
+    // With wrap-around edges, whatever is sliding out through an edge is cut off at it rather than drawn over the wall
+    ctx.save();
+    if (game.config.wallMode === 'wrap') {
+        ctx.beginPath();
+        ctx.rect(game.arena.x, game.arena.y, game.arena.width, game.arena.height);
+        ctx.clip();
+    }
 
-    do {
-        // Generate random coordinates within CURRENT canvas bounds
-        newFoodX = Math.floor(Math.random() * (canvas.width / gridSize)) * gridSize;
-        newFoodY = Math.floor(Math.random() * (canvas.height / gridSize)) * gridSize;
+    drawPickups();
 
-        collisionWithSnake = false;
-        // Check if new food position collides with any part of the snake
-        for (let i = 0; i < snake.length; i++) {
-            if (snake[i].x === newFoodX && snake[i].y === newFoodY) {
-                collisionWithSnake = true;
-                break;
-            }
+    // Draw the prey balls the way the theme shows their species, rimmed with ice while a freeze holds them
+    const isFrozen = game.time < game.frozenUntil;
+    for (const prey of game.prey) {
+        const look = SnakeThemes.getPreyLook(theme, prey.species);
+        // Interpolate prey position
+        const { x: displayPreyX, y: displayPreyY } = interpolateCell(prey, preyInterpolationFactor);
+        drawPreySprite(ctx, isFrozen ? Object.assign({}, look, { borderColor: SnakePickups.kinds.freeze.color }) : look,
+            displayPreyX + gridSize / 2, displayPreyY + gridSize / 2, gridSize / 2.5 * look.size);
+    }
+
+    game.players.forEach((player, index) => drawSnake(player, snakeInterpolationFactors[index], theme.snakes[index]));
+    ctx.restore();
+
+    drawScorePopups();
+}
+
+// Draw the points of recent catches floating up from where they were made, with the bonuses that counted
+// Popups from another game, or from later in a replay that was scrubbed back, are dropped
+function drawScorePopups() {
+    const gridSize = game.config.gridSize;
+    scorePopups = scorePopups.filter(popup => popup.time <= game.time && game.time - popup.time < scorePopupMs);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const popup of scorePopups) {
+        const progress = (game.time - popup.time) / scorePopupMs;
+        const x = Math.min(Math.max(popup.x + gridSize / 2, gridSize * 2), canvas.width - gridSize * 2); // Keep it on the board
+        const y = Math.max(popup.y - (reducedMotion ? 0 : progress * gridSize * 1.5), gridSize); // Floats up unless motion is reduced
+        ctx.globalAlpha = 1 - progress * progress;
+        ctx.fillStyle = popup.points < 0 ? theme.negativePoints : theme.snakes[popup.player].border;
+        ctx.font = `bold ${Math.round(gridSize * 0.8)}px sans-serif`;
+        ctx.fillText(popup.points < 0 ? String(popup.points) : `+${popup.points}`, x, y);
+        if (popup.bonuses.length > 0) {
+            ctx.font = `${Math.round(gridSize * 0.5)}px sans-serif`;
+            ctx.fillText(popup.bonuses.join(' · '), x, y + gridSize * 0.7);
         }
-    } while (collisionWithSnake); // Keep generating until no collision with snake
+    }
+    ctx.globalAlpha = 1;
+}
 
-    // Update food's position and previous position for smooth animation
-    food.prevX = food.x; // Store current as previous
-    food.prevY = food.y;
-    food.x = newFoodX; // Set new random position
-    food.y = newFoodY;
-    
-    lastFoodUpdateTime = performance.now(); // Reset food update time
+// Where a moving piece (snake segment or prey ball) is drawn between its previous and current cell
+// A piece that just went through a wrap-around edge slides out of that edge instead of streaking back across the board
+function interpolateCell(piece, factor) {
+    let dx = piece.x - piece.prevX;
+    let dy = piece.y - piece.prevY;
+    if (game.config.wallMode === 'wrap') {
+        const { width, height } = game.arena;
+        if (Math.abs(dx) > width / 2) dx -= Math.sign(dx) * width;
+        if (Math.abs(dy) > height / 2) dy -= Math.sign(dy) * height;
+    }
+    return { x: piece.prevX + dx * factor, y: piece.prevY + dy * factor };
 }
 
-// Logical game update function for SNAKE (runs at fixed intervals)
-function updateSnakeLogic() {
-    if (isGameOver) return;
+// Draw the items lying on the board with their symbols; they blink for the last seconds before they vanish
+// (or fade, with reduced motion)
+function drawPickups() {
+    const gridSize = game.config.gridSize;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `${Math.round(gridSize * 0.6)}px sans-serif`;
+    for (const pickup of game.pickups) {
+        const timeLeft = pickup.expiresAt - game.time;
+        const isEnding = timeLeft < pickupBlinkMs;
+        if (isEnding && !reducedMotion && Math.floor(timeLeft / 150) % 2 === 0) continue;
+        ctx.globalAlpha = isEnding && reducedMotion ? 0.5 : 1;
+
+        const kind = SnakePickups.getKind(pickup.kind);
+        ctx.fillStyle = kind.color;
+        ctx.beginPath();
+        ctx.roundRect(pickup.x + 2, pickup.y + 2, gridSize - 4, gridSize - 4, gridSize / 5);
+        ctx.fill();
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(kind.symbol, pickup.x + gridSize / 2, pickup.y + gridSize / 2 + 1);
+    }
+    ctx.globalAlpha = 1;
+}
+
+// Outlines of the prey shapes other than the circle, as points around the centre for a radius of 1
+const preyShapePoints = {
+    diamond: [[0, -1.2], [1.2, 0], [0, 1.2], [-1.2, 0]],
+    triangle: [[0, -1.2], [1.1, 0.9], [-1.1, 0.9]],
+    square: [[-0.85, -0.85], [0.85, -0.85], [0.85, 0.85], [-0.85, 0.85]],
+    // Five points, alternating between the tips and the notches between them
+    star: Array.from({ length: 10 }, (_, i) => {
+        const angle = -Math.PI / 2 + i * Math.PI / 5;
+        const radius = i % 2 === 0 ? 1.25 : 0.55;
+        return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+    }),
+    // A plus sign turned by 45 degrees
+    cross: [[-0.35, -1.1], [0.35, -1.1], [0.35, -0.35], [1.1, -0.35], [1.1, 0.35], [0.35, 0.35],
+        [0.35, 1.1], [-0.35, 1.1], [-0.35, 0.35], [-1.1, 0.35], [-1.1, -0.35], [-0.35, -0.35]]
+        .map(([x, y]) => [(x - y) * Math.SQRT1_2, (x + y) * Math.SQRT1_2])
+};
+
+// Draw a prey ball, or the shape standing in for it, centred on a point
+// look: { color, borderColor, shape } as SnakeThemes.getPreyLook returns it; context lets the legend use it too
+function drawPreySprite(context, look, x, y, radius) {
+    context.fillStyle = look.color;
+    context.strokeStyle = look.borderColor;
+    context.lineWidth = 2;
+    context.beginPath();
+    if (look.shape === 'circle') {
+        context.arc(x, y, radius, 0, Math.PI * 2);
+    } else {
+        preyShapePoints[look.shape].forEach(([pointX, pointY], i) => {
+            if (i === 0) {
+                context.moveTo(x + pointX * radius, y + pointY * radius);
+            } else {
+                context.lineTo(x + pointX * radius, y + pointY * radius);
+            }
+        });
+        context.closePath();
+    }
+    context.fill();
+    context.stroke();
+}
+
+// Blend two #rrggbb colours; t = 0 gives the first, 1 the second
+function mixColors(from, to, t) {
+    const channels = color => [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    const [fromChannels, toChannels] = [channels(from), channels(to)];
+    return `rgb(${fromChannels.map((channel, i) => Math.round(channel + (toChannels[i] - channel) * t)).join(', ')})`;
+}
 
-    // Store current positions as previous positions for interpolation
-    for (let i = 0; i < snake.length; i++) {
-        snake[i].prevX = snake[i].x;
-        snake[i].prevY = snake[i].y;
+// Draw one player's snake in the theme's style, with its head and eyes, in its colours
+// colors: the theme's { body, border, tail } for this player
+function drawSnake(player, snakeInterpolationFactor, colors) {
+    const gridSize = game.config.gridSize;
+    const centers = player.snake.map(segment => {
+        const display = interpolateCell(segment, snakeInterpolationFactor);
+        return { x: display.x + gridSize / 2, y: display.y + gridSize / 2 };
+    });
+
+    if (theme.snakeStyle === 'segmented') {
+        drawSegmentedBody(centers, colors);
+    } else {
+        drawPathBody(centers, colors, theme.snakeStyle === 'gradient');
     }
 
-    // Calculate new head position
-    const head = { x: snake[0].x, y: snake[0].y };
+    // Draw the head (slightly darker) on top
+    const head = centers[0];
+    const headRadius = (gridSize - 4) / 2; // Match line width radius
+    ctx.fillStyle = colors.border; /* Darker shade for the head */
+    ctx.beginPath();
+    if (theme.headStyle === 'square') {
+        ctx.roundRect(head.x - gridSize / 2 + 1, head.y - gridSize / 2 + 1, gridSize - 2, gridSize - 2, gridSize / 6);
+        ctx.fill();
+    } else {
+        ctx.arc(head.x, head.y, headRadius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = colors.border;
+        ctx.lineWidth = gridSize - 8;
+        ctx.stroke(); // To maintain the border around the head
+    }
 
-    switch (direction) {
-        case 'up':    head.y -= gridSize; break;
-        case 'down':  head.y += gridSize; break;
-        case 'left':  head.x -= gridSize; break;
-        case 'right': head.x += gridSize; break;
+    // A shield shows as a ring around the head
+    if (game.time < player.shieldUntil) {
+        ctx.strokeStyle = SnakePickups.kinds.shield.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(head.x, head.y, headRadius + 3, 0, Math.PI * 2);
+        ctx.stroke();
     }
 
-    // Check for collisions against CURRENT canvas dimensions
-    // 1. Wall collision
-    if (head.x < 0 || head.x >= canvas.width || head.y < 0 || head.y >= canvas.height) {
-        gameOver();
+    drawEyes(head, headRadius, player.direction);
+}
+
+// Draw a snake as one thick path with a border, jumping to the far side where it goes through a wrap-around edge
+// With fade, the body colour runs from the head to the theme's tail colour
+function drawPathBody(centers, colors, fade) {
+    const gridSize = game.config.gridSize;
+    const isBreak = i => i === 0 || Math.hypot(centers[i].x - centers[i - 1].x, centers[i].y - centers[i - 1].y) > gridSize * 1.5;
+    ctx.lineCap = 'round'; /* Rounded ends for the path */
+    ctx.lineJoin = 'round'; /* Rounded corners when the snake turns */
+
+    // Trace the body from the head
+    const traceBody = () => {
+        ctx.beginPath();
+        centers.forEach((center, i) => {
+            if (isBreak(i)) {
+                ctx.moveTo(center.x, center.y); // Start path at the head
+                ctx.lineTo(center.x, center.y); // A lone segment still shows as a round dot
+            } else {
+                ctx.lineTo(center.x, center.y); // Draw line to subsequent segments
+            }
+        });
+    };
+
+    ctx.strokeStyle = colors.border; /* Darker border for snake */
+    ctx.lineWidth = gridSize - 4; /* Make the line thick, almost filling the grid cell */
+    traceBody();
+    ctx.stroke(); // Draw the thick, smooth line
+
+    // Now draw the body colour on top, slightly thinner to show the border
+    ctx.lineWidth = gridSize - 8;
+    if (!fade) {
+        ctx.strokeStyle = colors.body;
+        traceBody();
+        ctx.stroke();
         return;
     }
+    for (let i = centers.length - 1; i > 0; i--) { // Tail first, so the brighter pieces overlap the darker ones
+        if (isBreak(i)) continue;
+        ctx.strokeStyle = mixColors(colors.body, colors.tail, i / (centers.length - 1));
+        ctx.beginPath();
+        ctx.moveTo(centers[i - 1].x, centers[i - 1].y);
+        ctx.lineTo(centers[i].x, centers[i].y);
+        ctx.stroke();
+    }
+}
 
-    // 2. Self-collision (check if head collides with any body segment)
-    for (let i = 1; i < snake.length; i++) {
-        if (head.x === snake[i].x && head.y === snake[i].y) {
-            gameOver();
-            return;
-        }
+// Draw a snake as a row of rounded blocks, one per segment
+function drawSegmentedBody(centers, colors) {
+    const gridSize = game.config.gridSize;
+    for (let i = centers.length - 1; i > 0; i--) {
+        const { x, y } = centers[i];
+        ctx.fillStyle = colors.border;
+        ctx.beginPath();
+        ctx.roundRect(x - gridSize / 2 + 1, y - gridSize / 2 + 1, gridSize - 2, gridSize - 2, gridSize / 5);
+        ctx.fill();
+        ctx.fillStyle = colors.body;
+        ctx.beginPath();
+        ctx.roundRect(x - gridSize / 2 + 3, y - gridSize / 2 + 3, gridSize - 6, gridSize - 6, gridSize / 6);
+        ctx.fill();
     }
+}
+
+// Draw a snake's eyes, side by side towards the front of its head and looking where it is heading
+function drawEyes(head, headRadius, direction) {
+    const eyes = theme.eyes;
+    if (eyes.style === 'none') return;
 
-    // Add new head to the beginning of the snake
-    snake.unshift({ x: head.x, y: head.y, prevX: snake[0].x, prevY: snake[0].y });
-
-    // Check if food is eaten
-    if (head.x === food.x && head.y === food.y) {
-        score += 10;
-        scoreDisplay.textContent = score;
-        
-        // Shrink arena
-        let newWidth = canvas.width - shrinkAmount * 2; // Shrink from both sides
-        let newHeight = canvas.height - shrinkAmount * 2;
-
-        // Ensure canvas doesn't shrink below minimum size
-        newWidth = Math.max(minCanvasSize, newWidth);
-        newHeight = Math.max(minCanvasSize, newHeight);
-
-        // Update canvas dimensions
-        canvas.width = newWidth;
-        canvas.height = newHeight;
-
-        // Reposition snake and food if they are outside new boundaries
-        // Snake repositioning
-        for (let i = 0; i < snake.length; i++) {
-            snake[i].x = Math.min(snake[i].x, canvas.width - gridSize);
-            snake[i].y = Math.min(snake[i].y, canvas.height - gridSize);
-            // Ensure they don't go negative (shouldn't happen if they start positive)
-            snake[i].x = Math.max(0, snake[i].x);
-            snake[i].y = Math.max(0, snake[i].y);
+    const forward = directionVectors[direction];
+    const side = { x: -forward.y, y: forward.x };
+    const eyeSize = headRadius / 3;
+    const eyeSpacing = headRadius / 2.5;
+    ctx.lineWidth = 1;
+    for (const sign of [-1, 1]) {
+        const eyeX = head.x + (forward.x + side.x * sign) * eyeSpacing;
+        const eyeY = head.y + (forward.y + side.y * sign) * eyeSpacing;
+        if (eyes.style === 'dot') {
+            ctx.fillStyle = eyes.pupil;
+            ctx.beginPath();
+            ctx.arc(eyeX, eyeY, eyeSize * 0.8, 0, Math.PI * 2);
+            ctx.fill();
+            continue;
         }
-        // Food repositioning
-        food.x = Math.min(food.x, canvas.width - gridSize);
-        food.y = Math.min(food.y, canvas.height - gridSize);
-        food.x = Math.max(0, food.x);
-        food.y = Math.max(0, food.y);
 
-        generateFood(); // Generate new food in a random spot within new bounds
+        ctx.fillStyle = eyes.sclera;
+        ctx.strokeStyle = eyes.outline;
+        ctx.beginPath();
+        ctx.arc(eyeX, eyeY, eyeSize, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillStyle = eyes.pupil; // Pupils look ahead
+        ctx.beginPath();
+        ctx.arc(eyeX + forward.x * eyeSize / 2, eyeY + forward.y * eyeSize / 2, eyeSize / 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
 
-        // New: Increase snake speed after eating food
-        gameSpeed = Math.max(minGameSpeed, gameSpeed - speedIncreaseAmount);
-        clearInterval(gameLogicInterval); // Clear old interval
-        gameLogicInterval = setInterval(updateSnakeLogic, gameSpeed); // Set new interval with updated speed
+// Format milliseconds as m:ss
+function formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
 
-        // The snake grows here as we don't pop the tail
+// Fill the game over screen with the run's statistics and the personal best
+function renderRunStats(stats, previousBest) {
+    const score = game.players[0].score;
+    const isNewBest = score > 0 && (!previousBest || score > previousBest.score);
+    const rows = [
+        ['Preys caught', stats.preysCaught],
+        ['Sprints used', stats.sprintsUsed],
+        ['Prey long sprints', stats.longSprints],
+        ['Final arena', `${stats.arenaWidth / game.config.gridSize} × ${stats.arenaHeight / game.config.gridSize}`],
+        ['Survival time', formatDuration(stats.survivalTime)],
+        ['Peak speed', `${stats.peakSpeed} moves/s`],
+        ['Best combo', stats.bestCombo > 1 ? `${stats.bestCombo} in a row` : '-'],
+        ...getScoreBreakdown(stats)
+    ];
+    if (game.level) {
+        rows.push(['Goal', game.level.targetScore !== null ? `${score} / ${game.level.targetScore}` : '-']);
     } else {
-        // Remove tail if food not eaten (snake moves)
-        snake.pop();
+        rows.push(['Personal best', isNewBest ? `${score} (new!)` : (previousBest ? previousBest.score : '-')]);
     }
+    renderStatRows(rows, ['Personal best', 'Goal']);
+}
+
+// Where a run's points came from: one row per score part that earned (or cost) any
+function getScoreBreakdown(stats) {
+    return Object.keys(SnakeScoring.parts)
+        .filter(part => stats.scoreParts[part])
+        .map(part => [SnakeScoring.getPart(part).label, stats.scoreParts[part] > 0 ? `+${stats.scoreParts[part]}` : String(stats.scoreParts[part])]);
+}
+
+// Fill the round result screen: how each player did, side by side, and the match score
+function renderRoundStats() {
+    const stats = game.players.map((player, index) => SnakeEngine.getRunStats(game, index));
+    const rows = game.players.map((player, index) => [
+        playerNames[index],
+        player.isAlive ? `${player.score}` : `${player.score} · ${deathCauses[player.deathCause]}`
+    ]);
+    rows.push(
+        ['Preys caught', stats.map(playerStats => playerStats.preysCaught).join(' – ')],
+        ['Sprints used', stats.map(playerStats => playerStats.sprintsUsed).join(' – ')],
+        ['Peak speed', `${stats.map(playerStats => playerStats.peakSpeed).join(' – ')} moves/s`],
+        ['Best combo', stats.map(playerStats => playerStats.bestCombo).join(' – ')],
+        ['Round time', formatDuration(game.time)],
+        ['Match', `${match.wins[0]} – ${match.wins[1]}${match.draws > 0 ? ` (${match.draws} drawn)` : ''}`]
+    );
+    renderStatRows(rows, ['Match']);
+}
 
-    lastUpdateTime = performance.now(); // Record time of this logical update
+// Show label/value rows on the result screen, highlighting the rows labelled in highlighted
+function renderStatRows(rows, highlighted) {
+    runStatsList.innerHTML = '';
+    for (const [label, value] of rows) {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        if (highlighted.includes(label)) detail.className = 'personal-best';
+        runStatsList.appendChild(term);
+        runStatsList.appendChild(detail);
+    }
 }
 
-// Logical game update function for FOOD (runs at its own fixed intervals)
-function updateFoodLogic() {
-    if (isGameOver) return;
+// A new versus match, best of bestOf rounds
+function createMatch(bestOf) {
+    return { bestOf, wins: [0, 0], draws: 0 };
+}
 
-    const head = snake[0];
-    const foodCurrentPos = { x: food.x, y: food.y }; // Use food's current logical position
-    const currentTime = performance.now();
+// Number of the round being played (or just finished, once it has been scored)
+function getRound(match) {
+    return match.wins[0] + match.wins[1] + match.draws + 1;
+}
 
-    // Calculate distance between snake head and food
-    const dx = foodCurrentPos.x - head.x;
-    const dy = foodCurrentPos.y - head.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+// Index of the player who has won the match, or null while it is still undecided
+// Drawn rounds don't count, so a best of 3 always needs 2 won rounds
+function getMatchWinner(match) {
+    const winsNeeded = Math.floor(match.bestOf / 2) + 1;
+    const winner = match.wins.findIndex(wins => wins >= winsNeeded);
+    return winner === -1 ? null : winner;
+}
 
-    // Check if snake is within fleeDistance
-    if (distance <= fleeDistance) {
-        // If foodChaseStartTime is null, set it (snake just started chasing)
-        if (foodChaseStartTime === null) {
-            foodChaseStartTime = currentTime;
-        }
+// List the prey species in the legend, with their colours and points
+function renderSpeciesList() {
+    speciesList.innerHTML = '';
+    for (const species of Object.values(PreySpecies.species)) {
+        const item = document.createElement('li');
+        const swatch = document.createElement('canvas');
+        swatch.className = 'species-swatch';
+        swatch.width = 16;
+        swatch.height = 16;
+        drawPreySprite(swatch.getContext('2d'), SnakeThemes.getPreyLook(theme, species.name), 8, 8, 5);
+        const text = document.createElement('span');
+        text.textContent = `${species.label} (${species.points > 0 ? '+' : ''}${species.points}): ${species.description}`;
+        item.appendChild(swatch);
+        item.appendChild(text);
+        speciesList.appendChild(item);
+    }
+}
 
-        // Check for Random Long Sprint - ONLY if randomSprintsRemaining > 0 AND chase duration is met
-        const chaseDuration = currentTime - foodChaseStartTime;
-        const minChaseTime = 3000; // 3 seconds
-        const maxChaseTime = 5000; // 5 seconds
-        const randomSprintChance = 0.05; // 5% chance per food update interval within the window
-
-        if (randomSprintsRemaining > 0 && chaseDuration >= minChaseTime && chaseDuration <= maxChaseTime && Math.random() < randomSprintChance) {
-            const newFoodPos = findOptimalFleePosition(food.x, food.y, snake[0], snake, true); // true for isLongFlee
-            if (newFoodPos) {
-                food.prevX = food.x;
-                food.prevY = food.y;
-                food.x = newFoodPos.x;
-                food.y = newFoodPos.y;
-                lastFoodUpdateTime = performance.now();
-                randomSprintsRemaining--; // Decrement sprint count
-                foodChaseStartTime = null; // Reset chase time after a random sprint
-                return; // Food moved due to random long sprint
-            }
+// List the pickups in the legend, drawn the way they look on the board
+function renderPickupList() {
+    pickupList.innerHTML = '';
+    for (const kind of Object.values(SnakePickups.kinds)) {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'pickup-swatch';
+        swatch.style.backgroundColor = kind.color;
+        swatch.textContent = kind.symbol;
+        const text = document.createElement('span');
+        text.textContent = `${kind.label}${kind.durationMs > 0 ? ` (${kind.durationMs / 1000} s)` : ''}: ${kind.description}`;
+        item.appendChild(swatch);
+        item.appendChild(text);
+        pickupList.appendChild(item);
+    }
+}
+
+// Fill the theme picker
+function renderThemeSelect() {
+    for (const option of Object.values(SnakeThemes.themes)) {
+        const item = document.createElement('option');
+        item.value = option.name;
+        item.textContent = option.label;
+        themeSelect.appendChild(item);
+    }
+    themeSelect.value = theme.name;
+}
+
+// Fill the autopilot picker: off, then every bot strategy
+function renderAutopilotSelect() {
+    const off = document.createElement('option');
+    off.value = '';
+    off.textContent = 'Off (you steer)';
+    autopilotSelect.appendChild(off);
+    for (const strategy of Object.values(SnakeBot.strategies)) {
+        const item = document.createElement('option');
+        item.value = strategy.name;
+        item.textContent = strategy.label;
+        autopilotSelect.appendChild(item);
+    }
+}
+
+// Switch to a theme and remember it: redraw the board and everything in the page drawn in the theme's colours
+function applyTheme(name) {
+    theme = SnakeThemes.getTheme(name);
+    SnakeThemes.saveThemeName(leaderboard.storage, name);
+    themeDescription.textContent = theme.description;
+    canvas.style.backgroundColor = theme.board;
+    canvas.style.borderColor = theme.wall;
+    theme.snakes.forEach((colors, index) => {
+        snakeColorNames[index].textContent = colors.name;
+    });
+    renderSpeciesList();
+    if (game) drawGame();
+}
+
+// Fill the motion picker and apply the saved accessibility settings
+function renderAccessSettings() {
+    for (const mode of Object.values(SnakeAccess.motionModes)) {
+        const option = document.createElement('option');
+        option.value = mode.name;
+        option.textContent = mode.label;
+        option.title = mode.description;
+        motionSelect.appendChild(option);
+    }
+    motionSelect.value = accessSettings.motion;
+    announcePreyInput.checked = accessSettings.announcePrey;
+    updateReducedMotion();
+}
+
+// Reduce motion if the setting (or, on System setting, the system) asks for it
+function updateReducedMotion() {
+    reducedMotion = SnakeAccess.isReducedMotion(accessSettings.motion, !!reducedMotionQuery && reducedMotionQuery.matches);
+    document.body.classList.toggle('reduced-motion', reducedMotion);
+    if (game) drawGame();
+}
+
+// Say something to screen readers through the live region, keeping only the last few announcements in it
+function announce(text) {
+    const line = document.createElement('p');
+    line.textContent = text;
+    announcementLog.appendChild(line);
+    while (announcementLog.children.length > maxAnnouncements) {
+        announcementLog.removeChild(announcementLog.firstChild);
+    }
+}
+
+// Every few seconds, tell screen readers where the nearest prey is from your snake (if asked to, and not in replays)
+function announcePrey() {
+    if (!accessSettings.announcePrey || replayPlayer) return;
+    const player = online ? (online.predictor ? online.predictor.you : null) : 0;
+    if (player !== null) SnakeAccess.updatePrey(announcer, game, player);
+}
+
+// List every action with its two key slots, and show the bound keys in the Controls legend
+function renderKeyBindings() {
+    keyBindingsContainer.innerHTML = '';
+    for (const action of SnakeInput.actions) {
+        const label = document.createElement('span');
+        label.textContent = action[0].toUpperCase() + action.slice(1);
+        keyBindingsContainer.appendChild(label);
+        for (let slot = 0; slot < 2; slot++) {
+            const key = keyBindings[action][slot];
+            const button = document.createElement('button');
+            const isWaiting = !!rebinding && rebinding.action === action && rebinding.slot === slot;
+            button.textContent = isWaiting ? 'Press a key' : (key ? SnakeInput.keyLabel(key) : '–');
+            button.className = isWaiting ? 'legend-button waiting' : 'legend-button';
+            button.setAttribute('aria-label', `${label.textContent} key ${slot + 1}: ${button.textContent}`);
+            button.addEventListener('click', () => {
+                rebinding = { action, slot };
+                keyBindingsStatus.textContent = `Press the new key for ${action}, or Escape to keep the old one.`;
+                renderKeyBindings();
+            });
+            keyBindingsContainer.appendChild(button);
         }
+    }
+    for (const legendKey of legendKeys) {
+        legendKey.textContent = keyBindings[legendKey.dataset.action].map(SnakeInput.keyLabel).join(' / ') || '–';
+    }
+}
 
-        // Proximity Sprint (Regular Flee)
-        const newFoodPos = findOptimalFleePosition(food.x, food.y, snake[0], snake, false); // false for isLongFlee
-        if (newFoodPos) {
-            food.prevX = food.x;
-            food.prevY = food.y;
-            food.x = newFoodPos.x;
-            food.y = newFoodPos.y;
-            lastFoodUpdateTime = performance.now();
+// Bind the key that was just pressed to the slot being changed and save it
+function finishRebinding(key) {
+    if (key !== 'Escape') {
+        try {
+            keyBindings = SnakeInput.bindKey(keyBindings, rebinding.action, rebinding.slot, key);
+        } catch (error) {
+            keyBindingsStatus.textContent = `${error.message}, pick another key.`;
+            return; // Still waiting for a key
         }
-    } else {
-        // Snake is NOT within fleeDistance, so reset foodChaseStartTime
-        foodChaseStartTime = null;
-        // Food stays put
-        food.prevX = food.x;
-        food.prevY = food.y;
-        lastFoodUpdateTime = currentTime; // Keep update time current
+        SnakeInput.setKeyBindings(inputController, keyBindings);
+        SnakeInput.saveKeyBindings(leaderboard.storage, keyBindings);
     }
+    keyBindingsStatus.textContent = 'Pick a key to change, then press the new one.';
+    rebinding = null;
+    renderKeyBindings();
 }
 
+// Fill the campaign level picker
+function renderLevelSelect() {
+    const open = document.createElement('option');
+    open.value = '';
+    open.textContent = 'Open arena (endless)';
+    levelSelect.appendChild(open);
+    SnakeLevels.campaign.forEach((level, index) => {
+        const option = document.createElement('option');
+        option.value = level.id;
+        option.textContent = `${index + 1}. ${level.name}`;
+        levelSelect.appendChild(option);
+    });
+    renderLevelDescription();
+}
 
-// Animation loop (runs as fast as browser allows)
-function animate() {
-    if (isGameOver) return;
+// Describe the level picked in the campaign picker
+function renderLevelDescription() {
+    const level = SnakeLevels.getCampaignLevel(levelSelect.value);
+    levelDescription.textContent = level ? `${level.description} Goal: ${level.targetScore} points.` : 'The classic game: survive as long as you can.';
+    levelDescription.classList.remove('error');
+}
 
-    const currentTime = performance.now();
+// Start a game on a level (null for the open arena), as a versus match or alone
+// If the level's rules don't work with the settings (a cell size it can't be drawn in, say), the game on the board
+// carries on and the player is told why
+function startLevel(level, newMatch) {
+    const previous = { currentLevel, match, daily };
+    currentLevel = level;
+    match = newMatch;
+    daily = null;
+    try {
+        initGame();
+    } catch (error) {
+        ({ currentLevel, match, daily } = previous);
+        showLevelProblem(level, error);
+        return;
+    }
+    renderLevelDescription(); // Clears a problem shown before
+}
 
-    // Interpolation factor for snake
-    const snakeElapsedTime = currentTime - lastUpdateTime;
-    const snakeInterpolationFactor = Math.min(1, snakeElapsedTime / gameSpeed);
+// Start a new game with the current settings, level, match and daily challenge (see initGame)
+// Should the level not work with the settings after all, the open arena is played instead and the player is told why
+function startGame() {
+    try {
+        initGame();
+    } catch (error) {
+        const level = currentLevel;
+        currentLevel = null;
+        levelSelect.value = '';
+        initGame();
+        showLevelProblem(level, error);
+    }
+}
 
-    // Interpolation factor for food
-    const foodElapsedTime = currentTime - lastFoodUpdateTime;
-    const foodInterpolationFactor = Math.min(1, foodElapsedTime / foodSpeed);
+// Say why a level can't be played with the settings, under the level list and in the message box if it is open
+function showLevelProblem(level, error) {
+    const text = `${level ? level.name : 'This game'} can't be played with your settings. ${error.message}`;
+    levelDescription.textContent = text;
+    levelDescription.classList.add('error');
+    if (messageBox.style.display === 'flex') messageText.textContent = text;
+}
 
-    draw(snakeInterpolationFactor, foodInterpolationFactor); // Draw with interpolated positions
+// Show the high-score table in the legend
+function renderHighScores() {
+    highScoreList.innerHTML = '';
+    if (leaderboard.entries.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = 'No runs yet';
+        highScoreList.appendChild(empty);
+        return;
+    }
 
-    animationFrameId = requestAnimationFrame(animate); // Request next frame
+    for (const entry of leaderboard.entries) {
+        const item = document.createElement('li');
+        item.title = `${new Date(entry.date).toLocaleDateString()} · ${entry.stats.preysCaught} caught in ${formatDuration(entry.stats.survivalTime)}`;
+        if (entry.id === lastRunId) item.className = 'latest-run';
+
+        const name = document.createElement('span');
+        name.textContent = entry.name;
+        const score = document.createElement('span');
+        score.className = 'high-score-value';
+        score.textContent = entry.score;
+
+        item.appendChild(name);
+        item.appendChild(score);
+        highScoreList.appendChild(item);
+    }
 }
 
-// Function to draw everything on the canvas
-// Now accepts two interpolation factors
-function draw(snakeInterpolationFactor, foodInterpolationFactor) {
-    // Clear the canvas for redrawing
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    // Draw the food
-    // Interpolate food position
-    const displayFoodX = food.prevX + (food.x - food.prevX) * foodInterpolationFactor;
-    const displayFoodY = food.prevY + (food.y - food.prevY) * foodInterpolationFactor;
-
-    ctx.fillStyle = '#e74c3c'; // Red for food
-    ctx.strokeStyle = '#c0392b'; // Darker red border
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.arc(displayFoodX + gridSize / 2, displayFoodY + gridSize / 2, gridSize / 2.5, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.stroke();
+// Dim the board and show a large line of text with a smaller hint below it
+function drawOverlay(text, hint) {
+    const gridSize = game.config.gridSize;
+    ctx.fillStyle = theme.overlay;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = theme.overlayText;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `700 ${gridSize * 2}px Inter, sans-serif`;
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2 - gridSize / 2);
+    ctx.font = `400 ${gridSize * 0.7}px Inter, sans-serif`;
+    ctx.fillText(hint, canvas.width / 2, canvas.height / 2 + gridSize);
+}
 
-    // Draw the snake as a continuous path (using snakeInterpolationFactor)
-    ctx.strokeStyle = '#c0392b'; /* Darker red border for snake */
-    ctx.lineWidth = gridSize - 4; /* Make the line thick, almost filling the grid cell */
-    ctx.lineCap = 'round'; /* Rounded ends for the path */
-    ctx.lineJoin = 'round'; /* Rounded corners when the snake turns */
+// Function to handle game over: the end of a run, or of a round in a versus match
+function gameOver() {
+    cancelAnimationFrame(animationFrameId); // Stop the animation loop
+    lastReplay = SnakeReplay.createReplay(game); // Keep the finished game for watching or exporting
+    SnakeEvents.emit(gameEvents, { type: 'game-over', winner: game.winner, scores: game.players.map(player => player.score) });
 
-    ctx.beginPath();
+    if (match) {
+        showRoundResult();
+    } else {
+        showRunResult();
+    }
+    messageBox.style.display = 'flex'; // Show the message box (using flex for centering)
+}
 
-    for (let i = 0; i < snake.length; i++) {
-        const displayX = snake[i].prevX + (snake[i].x - snake[i].prevX) * snakeInterpolationFactor;
-        const displayY = snake[i].prevY + (snake[i].y - snake[i].prevY) * snakeInterpolationFactor;
+// Result of a single player game, which goes into the high-score table
+function showRunResult() {
+    const score = game.players[0].score;
+
+    // Record the run in the high-score table, remembering the best before it for comparison
+    // Campaign levels have their own goals and daily challenges their result codes, so only open arena runs make the table,
+    // and only the ones you played yourself
+    const stats = SnakeEngine.getRunStats(game);
+    const previousBest = SnakeLeaderboard.getPersonalBest(leaderboard);
+    lastRunId = null;
+    if (!game.level && !daily && !autopilot) {
+        const result = SnakeLeaderboard.addRun(leaderboard, {
+            name: playerNameInput.value,
+            score,
+            config: SnakeEngine.getConfig(game),
+            stats
+        });
+        lastRunId = result ? result.entry.id : null;
+    }
 
-        const centerX = displayX + gridSize / 2;
-        const centerY = displayY + gridSize / 2;
+    const nextLevel = game.isLevelComplete && currentLevel ? SnakeLevels.getNextLevel(currentLevel.id) : null;
+    nextLevelButton.style.display = nextLevel ? '' : 'none';
+    playerNameRow.style.display = '';
+    restartButton.style.display = '';
+    restartButton.textContent = 'Play Again';
+    replayActions.style.display = '';
+    if (game.isLevelComplete) {
+        messageText.textContent = nextLevel ? `Level complete! Your score: ${score}` : `Campaign complete! Your score: ${score}`;
+    } else {
+        messageText.textContent = `Game Over! Your score: ${score}`;
+    }
+    resultCodeRow.style.display = 'none';
+    if (daily) showDailyResult();
+    renderRunStats(stats, previousBest);
+    renderHighScores();
+}
 
-        if (i === 0) {
-            ctx.moveTo(centerX, centerY); // Start path at the head
-        } else {
-            ctx.lineTo(centerX, centerY); // Draw line to subsequent segments
-        }
+// Finish a daily challenge run: the day's counted attempt gets its result code, later runs are practice
+function showDailyResult() {
+    const score = game.players[0].score;
+    if (daily.isCounted) {
+        const code = SnakeDaily.createResultCode(SnakeDaily.createResult(daily.date, game));
+        SnakeDaily.finishAttempt(leaderboard.storage, daily.date, code);
+        messageText.textContent = `Daily challenge over! Your score: ${score}`;
+        resultCodeText.textContent = code;
+        copyResultButton.textContent = 'Copy Result Code';
+        resultCodeRow.style.display = '';
+    } else {
+        messageText.textContent = `Practice run over! Your score: ${score}`;
     }
+    renderDailyStatus();
+}
 
-    ctx.stroke(); // Draw the thick, smooth line
+// Show how today's challenge went: not played yet, started, or its result and code
+function renderDailyStatus() {
+    const date = SnakeDaily.getDateKey();
+    const attempt = SnakeDaily.getAttempt(leaderboard.storage, date);
+    if (!attempt) {
+        dailyStatus.textContent = `Today (${date}): not played yet.`;
+    } else if (attempt.code === null) {
+        dailyStatus.textContent = `Today (${date}): your attempt has started; it counts even if you leave it.`;
+    } else {
+        dailyStatus.textContent = `Today (${date}): ${describeDailyResult(SnakeDaily.parseResultCode(attempt.code))}. Your code: ${attempt.code}`;
+    }
+}
 
-    // Now draw the fill color on top, slightly smaller to show the stroke
-    ctx.fillStyle = '#e74c3c'; /* Red for body */
-    ctx.lineWidth = gridSize - 8; /* Slightly thinner fill */
-    ctx.beginPath();
-    for (let i = 0; i < snake.length; i++) {
-        const displayX = snake[i].prevX + (snake[i].x - snake[i].prevX) * snakeInterpolationFactor;
-        const displayY = snake[i].prevY + (snake[i].y - snake[i].prevY) * snakeInterpolationFactor;
-        const centerX = displayX + gridSize / 2;
-        const centerY = displayY + gridSize / 2;
-
-        if (i === 0) {
-            ctx.moveTo(centerX, centerY);
-        } else {
-            ctx.lineTo(centerX, centerY);
-        }
+// A daily result in words, e.g. "145 points, 9 catches in 1:33"
+function describeDailyResult(result) {
+    return `${result.score} points, ${result.catches} ${result.catches === 1 ? 'catch' : 'catches'} in ${formatDuration(result.timeMs)}`;
+}
+
+// Check a pasted result code and compare it with your own result of the same day
+// Higher scores win; on equal scores the quicker run does, as in the high-score table
+function compareResultCode(code) {
+    let theirs;
+    try {
+        theirs = SnakeDaily.parseResultCode(code);
+    } catch (error) {
+        showCompareStatus(error.message, true);
+        return;
     }
-    ctx.stroke(); // Draw the filled path
+    const attempt = SnakeDaily.getAttempt(leaderboard.storage, theirs.date);
+    let text = `Valid result for ${theirs.date}: ${describeDailyResult(theirs)}.`;
+    if (!attempt || attempt.code === null) {
+        text += ' You have no result that day to compare with.';
+    } else if (attempt.code === SnakeDaily.createResultCode(theirs)) {
+        text += ' That is your own result.';
+    } else {
+        const mine = SnakeDaily.parseResultCode(attempt.code);
+        const difference = mine.score - theirs.score || theirs.timeMs - mine.timeMs;
+        const verdict = difference > 0 ? 'you win' : (difference < 0 ? 'they win' : 'a tie');
+        text += ` Yours: ${describeDailyResult(mine)}, ${verdict}.`;
+    }
+    showCompareStatus(text);
+}
 
-    // Draw the head (slightly darker red) on top
-    const headX = snake[0].prevX + (snake[0].x - snake[0].prevX) * snakeInterpolationFactor;
-    const headY = snake[0].prevY + (snake[0].y - snake[0].prevY) * snakeInterpolationFactor;
-    const headCenterX = headX + gridSize / 2;
-    const headCenterY = headY + gridSize / 2;
-    const headRadius = (gridSize - 4) / 2; // Match line width radius
+// Check a pasted result code against the replay of the run it claims, played through the engine
+function checkResultReplay(code, replayText) {
+    let result;
+    let replay;
+    try {
+        result = SnakeDaily.parseResultCode(code);
+        replay = SnakeReplay.parseReplay(replayText);
+    } catch (error) {
+        showCompareStatus(error.message, true);
+        return;
+    }
+    const problems = SnakeDaily.verifyReplay(result, replay);
+    if (problems.length > 0) {
+        showCompareStatus(`The replay doesn't prove this code. ${problems.join('. ')}.`, true);
+    } else {
+        showCompareStatus(`The replay proves this code: ${describeDailyResult(result)} on ${result.date}.`);
+    }
+}
 
-    ctx.fillStyle = '#c0392b'; /* Darker red for the head */
-    ctx.beginPath();
-    ctx.arc(headCenterX, headCenterY, headRadius, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.stroke(); // To maintain the border around the head
+// Show the outcome of comparing a result code under Daily Challenge
+function showCompareStatus(text, isError = false) {
+    compareStatus.textContent = text;
+    compareStatus.classList.toggle('error', isError);
+}
 
-    // Draw eyes on the head
-    ctx.fillStyle = 'white'; // White for eye sclera
-    ctx.strokeStyle = 'black';
-    ctx.lineWidth = 1;
+// Score a finished versus round and show who won it, and the match once someone has won enough rounds
+function showRoundResult() {
+    const round = getRound(match);
+    if (game.winner !== null) {
+        match.wins[game.winner]++;
+    } else {
+        match.draws++;
+    }
+    const matchWinner = getMatchWinner(match);
 
-    const eyeSize = headRadius / 3;
-    const pupilSize = eyeSize / 2;
-    const eyeSpacing = headRadius / 2.5;
+    if (matchWinner !== null) {
+        messageText.textContent = `${playerNames[matchWinner]} wins the match ${match.wins[matchWinner]} – ${match.wins[1 - matchWinner]}!`;
+    } else if (game.winner !== null) {
+        messageText.textContent = `Round ${round}: ${playerNames[game.winner]} wins!`;
+    } else {
+        messageText.textContent = `Round ${round}: Draw!`;
+    }
+    nextLevelButton.style.display = 'none';
+    playerNameRow.style.display = 'none'; // Versus rounds don't go into the high-score table
+    restartButton.style.display = '';
+    restartButton.textContent = matchWinner !== null ? 'Rematch' : 'Next Round';
+    replayActions.style.display = '';
+    renderRoundStats();
+}
 
-    // Adjust eye position based on current snake direction
-    switch (direction) {
-        case 'up':
-            ctx.beginPath(); // Left eye
-            ctx.arc(headCenterX - eyeSpacing, headCenterY - eyeSpacing, eyeSize, 0, Math.PI * 2);
-            ctx.fill(); ctx.stroke();
-            ctx.beginPath(); // Right eye
-            ctx.arc(headCenterX + eyeSpacing, headCenterY - eyeSpacing, eyeSize, 0, Math.PI * 2);
-            ctx.fill(); ctx.stroke();
-
-            ctx.fillStyle = 'black'; // Pupils
-            ctx.beginPath();
-            ctx.arc(headCenterX - eyeSpacing, headCenterY - eyeSpacing - eyeSize/2, pupilSize, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.beginPath();
-            ctx.arc(headCenterX + eyeSpacing, headCenterY - eyeSpacing - eyeSize/2, pupilSize, 0, Math.PI * 2);
-            ctx.fill();
+// Show the result of an online round; the server starts the next one by itself
+function showOnlineRoundResult(message) {
+    const you = online.predictor.you;
+    if (message.winner === null) {
+        messageText.textContent = 'Draw!';
+    } else {
+        messageText.textContent = message.winner === you ? 'You win the round!' : 'You lose the round';
+    }
+
+    const rows = game.players.map((player, index) => [
+        index === you ? `${playerNames[index]} (you)` : playerNames[index],
+        player.isAlive ? `${player.score}` : `${player.score} · ${deathCauses[player.deathCause]}`
+    ]);
+    rows.push(
+        ['Round time', formatDuration(game.time)],
+        ['Rounds won', `${message.wins[0]} – ${message.wins[1]}${message.draws > 0 ? ` (${message.draws} drawn)` : ''}`],
+        ['Next round', `in ${Math.round(message.nextRoundMs / 1000)} s`]
+    );
+    renderStatRows(rows, ['Rounds won']);
+
+    // Online rounds aren't recorded on this side, and there's nothing to restart
+    nextLevelButton.style.display = 'none';
+    playerNameRow.style.display = 'none';
+    restartButton.style.display = 'none';
+    replayActions.style.display = 'none';
+    messageBox.style.display = 'flex';
+}
+
+// Show how the online session is doing under the Online heading
+function showOnlineStatus(text, isError = false) {
+    onlineStatus.textContent = text;
+    onlineStatus.classList.toggle('error', isError);
+}
+
+// Connect to the server in the address field and join the room, leaving the local game
+function connectOnline() {
+    let socket;
+    try {
+        socket = new WebSocket(serverAddressInput.value.trim());
+    } catch (error) {
+        showOnlineStatus(error.message, true);
+        return;
+    }
+    cancelAnimationFrame(animationFrameId);
+    replayPlayer = null;
+    replayControls.style.display = 'none';
+    messageBox.style.display = 'none';
+    daily = null;
+
+    const room = SnakeNet.normalizeRoom(roomInput.value);
+    online = { socket, room, predictor: null, latencyMs: null, pingTimer: null, wins: [0, 0], draws: 0 };
+    connectButton.textContent = 'Leave';
+    showOnlineStatus('Connecting...');
+
+    socket.addEventListener('open', () => {
+        socket.send(JSON.stringify({ type: 'join', room }));
+        online.pingTimer = setInterval(() => socket.send(JSON.stringify({ type: 'ping', time: performance.now() })), SnakeNet.pingIntervalMs);
+    });
+    socket.addEventListener('message', e => handleServerMessage(SnakeNet.parseMessage(e.data)));
+    socket.addEventListener('close', () => {
+        if (online && online.socket === socket) { // Not a session we left ourselves
+            leaveOnline('Disconnected from the server.', true);
+            startGame();
+        }
+    });
+}
+
+// Close the online session; the caller starts whatever comes next
+function leaveOnline(status = '', isError = false) {
+    const session = online;
+    online = null;
+    clearInterval(session.pingTimer);
+    session.socket.close();
+    connectButton.textContent = 'Connect';
+    showOnlineStatus(status, isError);
+}
+
+// React to a message from the server
+function handleServerMessage(message) {
+    if (!message || !online) return;
+    switch (message.type) {
+        case 'waiting':
+            showOnlineStatus(`Waiting for an opponent in room "${message.room}"...`);
             break;
-        case 'down':
-            ctx.beginPath(); // Left eye
-            ctx.arc(headCenterX - eyeSpacing, headCenterY + eyeSpacing, eyeSize, 0, Math.PI * 2);
-            ctx.fill(); ctx.stroke();
-            ctx.beginPath(); // Right eye
-            ctx.arc(headCenterX + eyeSpacing, headCenterY + eyeSpacing, eyeSize, 0, Math.PI * 2);
-            ctx.fill(); ctx.stroke();
-
-            ctx.fillStyle = 'black'; // Pupils
-            ctx.beginPath();
-            ctx.arc(headCenterX - eyeSpacing, headCenterY + eyeSpacing + eyeSize/2, pupilSize, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.beginPath();
-            ctx.arc(headCenterX + eyeSpacing, headCenterY + eyeSpacing + eyeSize/2, pupilSize, 0, Math.PI * 2);
-            ctx.fill();
+        case 'start':
+            online.predictor = SnakeNet.createPredictor(message);
+            online.wins = message.wins;
+            online.draws = message.draws;
+            game = online.predictor.game;
+            SnakeInput.takeInput(inputController); // Drop anything pressed before this round
+            pauseState = 'running';
+            messageBox.style.display = 'none';
+            showOnlineStatus(`Playing in room "${online.room}" as ${playerNames[message.you]}.`);
+            syncDisplay();
+            startAnimation();
             break;
-        case 'left':
-            ctx.beginPath(); // Top eye
-            ctx.arc(headCenterX - eyeSpacing, headCenterY - eyeSpacing, eyeSize, 0, Math.PI * 2);
-            ctx.fill(); ctx.stroke();
-            ctx.beginPath(); // Bottom eye
-            ctx.arc(headCenterX - eyeSpacing, headCenterY + eyeSpacing, eyeSize, 0, Math.PI * 2);
-            ctx.fill(); ctx.stroke();
-
-            ctx.fillStyle = 'black'; // Pupils
-            ctx.beginPath();
-            ctx.arc(headCenterX - eyeSpacing - eyeSize/2, headCenterY - eyeSpacing, pupilSize, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.beginPath();
-            ctx.arc(headCenterX - eyeSpacing - eyeSize/2, headCenterY + eyeSpacing, pupilSize, 0, Math.PI * 2);
-            ctx.fill();
+        case 'snapshot':
+            if (!online.predictor) break;
+            SnakeNet.applyServerSnapshot(online.predictor, message, online.latencyMs || 0);
+            syncDisplay();
             break;
-        case 'right':
-            ctx.beginPath(); // Top eye
-            ctx.arc(headCenterX + eyeSpacing, headCenterY - eyeSpacing, eyeSize, 0, Math.PI * 2);
-            ctx.fill(); ctx.stroke();
-            ctx.beginPath(); // Bottom eye
-            ctx.arc(headCenterX + eyeSpacing, headCenterY + eyeSpacing, eyeSize, 0, Math.PI * 2);
-            ctx.fill(); ctx.stroke();
-
-            ctx.fillStyle = 'black'; // Pupils
-            ctx.beginPath();
-            ctx.arc(headCenterX + eyeSpacing + eyeSize/2, headCenterY - eyeSpacing, pupilSize, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.beginPath();
-            ctx.arc(headCenterX + eyeSpacing + eyeSize/2, headCenterY + eyeSpacing, pupilSize, 0, Math.PI * 2);
-            ctx.fill();
+        case 'round-over':
+            online.wins = message.wins;
+            online.draws = message.draws;
+            syncDisplay();
+            SnakeEvents.emit(gameEvents, { type: 'game-over', winner: message.winner, scores: game.players.map(player => player.score) });
+            showOnlineRoundResult(message);
             break;
-            }
-        }
+        case 'opponent-left':
+            cancelAnimationFrame(animationFrameId);
+            online.predictor = null;
+            online.wins = [0, 0];
+            online.draws = 0;
+            messageBox.style.display = 'none';
+            break;
+        case 'pong':
+            online.latencyMs = SnakeNet.updateLatency(online.latencyMs, message.time, performance.now());
+            break;
+        case 'error':
+            leaveOnline(message.message, true);
+            startGame();
+            break;
+    }
+}
 
-        // Function to handle game over
-        function gameOver() {
-            isGameOver = true;
-            clearInterval(gameLogicInterval); // Stop the snake logical game loop
-            clearInterval(foodMoveInterval); // Stop the food logical game loop
-            cancelAnimationFrame(animationFrameId); // Stop the animation loop
-            messageText.textContent = `Game Over! Your score: ${score}`;
-            messageBox.style.display = 'flex'; // Show the message box (using flex for centering)
-        }
+// Default server address: the server this page came from, or a local one when the page is opened as a file
+function getDefaultServerAddress() {
+    if (location.protocol === 'http:' || location.protocol === 'https:') {
+        return `${location.protocol === 'https:' ? 'wss:' : 'ws:'}//${location.host}${SnakeNet.socketPath}`;
+    }
+    return `ws://localhost:${SnakeNet.defaultPort}${SnakeNet.socketPath}`;
+}
 
-        // Event listener for keyboard input
-        document.addEventListener('keydown', e => {
-            if (isGameOver) return; // Don't allow input if game is over
-
-            // Prevent immediate reverse direction
-            switch (e.key) {
-                case 'ArrowUp':
-                case 'w':
-                    if (direction !== 'down') direction = 'up';
-                    break;
-                case 'ArrowDown':
-                case 's':
-                    if (direction !== 'up') direction = 'down';
-                    break;
-                case 'ArrowLeft':
-                case 'a':
-                    if (direction !== 'right') direction = 'left';
-                    break;
-                case 'ArrowRight':
-                case 'd':
-                    if (direction !== 'left') direction = 'right';
-                    break;
-                case ' ': // Spacebar for sprint boost (now unlimited)
-                    gameSpeed = baseGameSpeed * sprintSpeedMultiplier; // Speed up
-                    
-                    // Clear existing interval and start a new one with increased speed
-                    clearInterval(gameLogicInterval);
-                    gameLogicInterval = setInterval(updateSnakeLogic, gameSpeed);
-
-                    // Set a timeout to revert speed after sprintDuration
-                    setTimeout(() => {
-                        gameSpeed = baseGameSpeed; // Revert to normal speed
-                        clearInterval(gameLogicInterval);
-                        gameLogicInterval = setInterval(updateSnakeLogic, gameSpeed);
-                    }, sprintDuration);
-                    break;
-            }
-        });
+// Start another game: a new run, the next round of the match, or a rematch once the match is decided
+function playAgain() {
+    if (match && getMatchWinner(match) !== null) {
+        match = createMatch(match.bestOf);
+    }
+    if (daily) daily.isCounted = false; // Only the day's first attempt counts, the rest are practice
+    startGame();
+}
+
+// Keyboard, on-screen D-pad and touch gestures all feed the same input layer
+inputController = SnakeInput.createInputController({
+    keyTarget: document,
+    canvas,
+    buttons: document.querySelectorAll('.control-button'),
+    isEnabled: () => !replayPlayer && !game.isGameOver && pauseState === 'running', // No input during replays, pauses or if game is over
+    isVersus: () => !online && game.players.length > 1, // WASD steers player one and the arrows player two; online, both steer your snake
+    keyBindings,
+    onStartButton: () => {
+        if (game.isGameOver && !replayPlayer && !online) {
+            playAgain();
+        } else {
+            togglePause();
+        }
+    }
+});
+
+// P or Escape pauses and resumes the game
+document.addEventListener('keydown', e => {
+    if (e.key !== 'p' && e.key !== 'P' && e.key !== 'Escape') return;
+    if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA')) return;
+    togglePause();
+});
+
+// While a key is being changed, the next key press is the new key and nothing else sees it
+window.addEventListener('keydown', e => {
+    if (!rebinding) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    finishRebinding(e.key);
+}, true);
+
+// Browsers only let a page make sound after a key press or tap, so the audio starts with the first one
+document.addEventListener('keydown', () => SnakeSound.unlock(audio));
+document.addEventListener('pointerdown', () => SnakeSound.unlock(audio));
+
+// Tapping the board resumes a paused game on touch screens
+canvas.addEventListener('pointerdown', resumeGame);
+
+// Pause automatically when the tab is hidden or the window loses focus
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) pauseGame();
+});
+window.addEventListener('blur', pauseGame);
+
+// Event listener for restart button
+restartButton.addEventListener('click', playAgain);
+
+// Event listeners for the campaign
+nextLevelButton.addEventListener('click', () => {
+    const nextLevel = SnakeLevels.getNextLevel(currentLevel.id);
+    levelSelect.value = nextLevel.id;
+    startLevel(nextLevel, null);
+});
+
+levelSelect.addEventListener('change', renderLevelDescription);
+
+playLevelButton.addEventListener('click', () => {
+    if (online) leaveOnline();
+    startLevel(SnakeLevels.getCampaignLevel(levelSelect.value), null); // null for the open arena
+});
+
+// Versus matches are played on the level picked for the campaign
+startMatchButton.addEventListener('click', () => {
+    if (online) leaveOnline();
+    startLevel(SnakeLevels.getCampaignLevel(levelSelect.value), createMatch(Number(bestOfSelect.value)));
+});
+
+// Event listeners for the daily challenge
+playDailyButton.addEventListener('click', () => {
+    if (online) leaveOnline();
+    const date = SnakeDaily.getDateKey();
+    daily = { date, isCounted: SnakeDaily.startAttempt(leaderboard.storage, date) };
+    match = null;
+    startGame();
+    renderDailyStatus();
+});
+
+compareResultButton.addEventListener('click', () => compareResultCode(resultCodeInput.value));
+
+checkReplayButton.addEventListener('click', () => checkReplayInput.click());
+checkReplayInput.addEventListener('change', () => {
+    const file = checkReplayInput.files[0];
+    checkReplayInput.value = ''; // Allow checking the same file again
+    if (!file) return;
+    file.text()
+        .then(text => checkResultReplay(resultCodeInput.value, text))
+        .catch(error => showCompareStatus(error.message, true));
+});
+
+copyResultButton.addEventListener('click', () => {
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(resultCodeText.textContent)
+            .then(() => { copyResultButton.textContent = 'Copied!'; })
+            .catch(() => {}); // The code stays on screen to copy by hand
+    }
+});
 
-        // Event listener for restart button
-        restartButton.addEventListener('click', initGame);
+// Event listener for online play
+connectButton.addEventListener('click', () => {
+    if (online) {
+        leaveOnline();
+        startGame(); // Back to a local game
+    } else {
+        connectOnline();
+    }
+});
+
+// Renaming updates the run that just ended and is remembered for the next ones
+playerNameInput.addEventListener('change', () => {
+    SnakeLeaderboard.setPlayerName(leaderboard, playerNameInput.value);
+    playerNameInput.value = SnakeLeaderboard.getPlayerName(leaderboard);
+    if (lastRunId) SnakeLeaderboard.renameRun(leaderboard, lastRunId, playerNameInput.value);
+    renderHighScores();
+});
+
+// Event listeners for replays
+watchReplayButton.addEventListener('click', () => startReplay(lastReplay));
+exportReplayButton.addEventListener('click', () => downloadReplay(lastReplay));
+replayExportButton.addEventListener('click', () => downloadReplay(replayPlayer.replay));
+replayExitButton.addEventListener('click', playAgain);
+
+replayPlayButton.addEventListener('click', () => {
+    if (SnakeReplay.isFinished(replayPlayer)) {
+        SnakeReplay.seek(replayPlayer, 0); // Watch again from the start
+        game = replayPlayer.game;
+        syncDisplay();
+        replayPlayer.paused = false;
+    } else {
+        replayPlayer.paused = !replayPlayer.paused;
+    }
+    replayPlayButton.textContent = replayPlayer.paused ? 'Play' : 'Pause';
+});
+
+replayScrubber.addEventListener('input', () => {
+    SnakeReplay.seek(replayPlayer, Number(replayScrubber.value));
+    game = replayPlayer.game;
+    syncDisplay();
+    replayPlayButton.textContent = SnakeReplay.isFinished(replayPlayer) ? 'Restart' : (replayPlayer.paused ? 'Play' : 'Pause');
+});
+
+replaySpeedSelect.addEventListener('change', () => {
+    replayPlayer.speed = Number(replaySpeedSelect.value);
+});
+
+importReplayButton.addEventListener('click', () => replayFileInput.click());
+replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = ''; // Allow importing the same file again
+    if (!file) return;
+    file.text()
+        .then(text => startReplay(SnakeReplay.parseReplay(text)))
+        .catch(error => alert(error.message));
+});
+
+themeSelect.addEventListener('change', () => applyTheme(themeSelect.value));
+// A new autopilot (or none) takes over with a fresh game; matches, the daily challenge, online play and replays go on
+autopilotSelect.addEventListener('change', () => {
+    if (!match && !daily && !online && !replayPlayer) startGame();
+});
+
+// Event listeners for the sound settings, which are saved as they change
+muteInput.addEventListener('change', () => {
+    SnakeSound.setMuted(audio, muteInput.checked);
+    SnakeSound.saveSettings(leaderboard.storage, audio);
+});
+
+volumeInput.addEventListener('input', () => {
+    SnakeSound.setVolume(audio, Number(volumeInput.value) / 100);
+    SnakeSound.saveSettings(leaderboard.storage, audio);
+});
+
+// Event listeners for the accessibility settings, which are saved as they change
+motionSelect.addEventListener('change', () => {
+    accessSettings.motion = motionSelect.value;
+    SnakeAccess.saveSettings(leaderboard.storage, accessSettings);
+    updateReducedMotion();
+});
+
+announcePreyInput.addEventListener('change', () => {
+    accessSettings.announcePrey = announcePreyInput.checked;
+    SnakeAccess.saveSettings(leaderboard.storage, accessSettings);
+});
+
+// The system's reduced motion setting can change while the page is open
+if (reducedMotionQuery && reducedMotionQuery.addEventListener) {
+    reducedMotionQuery.addEventListener('change', updateReducedMotion);
+}
 
-        // Initial setup: Start the game directly on window load
-        window.onload = initGame;
\ No newline at end of file
+resetKeysButton.addEventListener('click', () => {
+    keyBindings = SnakeInput.defaultKeyBindings;
+    rebinding = null;
+    SnakeInput.setKeyBindings(inputController, keyBindings);
+    SnakeInput.saveKeyBindings(leaderboard.storage, keyBindings);
+    keyBindingsStatus.textContent = 'Pick a key to change, then press the new one.';
+    renderKeyBindings();
+});
+
+// Event listeners for the settings panel
+presetSelect.addEventListener('change', () => {
+    if (presetSelect.value === 'custom') return; // Custom just means the values were edited
+    draftConfig = SnakeConfig.getPreset(presetSelect.value);
+    renderSettings();
+});
+
+wallModeSelect.addEventListener('change', () => {
+    draftConfig.wallMode = wallModeSelect.value;
+    checkDraftConfig();
+});
+
+speedCurveSelect.addEventListener('change', () => {
+    draftConfig.speedCurve = speedCurveSelect.value;
+    checkDraftConfig();
+});
+
+preyStrategySelect.addEventListener('change', () => {
+    const strategy = preyStrategySelect.value;
+    draftConfig.prey = { strategy, params: PreyAI.resolveParams(strategy) };
+    renderSettings();
+});
+
+applySettingsButton.addEventListener('click', () => {
+    if (!checkDraftConfig()) return;
+    gameConfig = SnakeConfig.createConfig(draftConfig);
+    history.replaceState(null, '', getShareUrl(gameConfig)); // Reloading the page keeps the settings
+    daily = null; // The daily challenge always has the default rules
+    startGame();
+});
+
+shareSettingsButton.addEventListener('click', () => {
+    if (!checkDraftConfig()) return;
+    const url = getShareUrl(draftConfig);
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(url)
+            .then(() => showSettingsStatus('Link copied to the clipboard.'))
+            .catch(() => showSettingsStatus(url));
+    } else {
+        showSettingsStatus(url); // No clipboard access (e.g. a file:// page), show the link to copy by hand
+    }
+});
+
+// Initial setup: Start the game directly on window load
+window.onload = () => {
+    playerNameInput.value = SnakeLeaderboard.getPlayerName(leaderboard);
+    serverAddressInput.value = getDefaultServerAddress();
+    renderHighScores();
+    renderDailyStatus();
+    renderThemeSelect();
+    renderAutopilotSelect();
+    applyTheme(theme.name);
+    muteInput.checked = audio.muted;
+    volumeInput.value = Math.round(audio.volume * 100);
+    renderAccessSettings();
+    renderKeyBindings();
+    renderPickupList();
+    renderLevelSelect();
+
+    // Settings shared through the page URL, e.g. ?preset=insane&foodSpeed=70
+    let configError = null;
+    try {
+        const overrides = SnakeConfig.fromQueryString(location.search);
+        if (overrides) gameConfig = SnakeConfig.createConfig(overrides);
+    } catch (error) {
+        configError = error.message; // Play with the defaults and say why
+    }
+    draftConfig = copyConfig(gameConfig);
+    renderSettings();
+    if (configError) {
+        showSettingsStatus(`${configError}. Using the default settings.`, true);
+        settingsPanel.open = true;
+    }
+    startGame();
+};
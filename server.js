@@ -0,0 +1,324 @@
+// Online multiplayer server for The Prey That Runs
+// Serves the game's files and runs versus rounds authoritatively: clients only send their input over a
+// WebSocket, the server steps SnakeEngine on its own clock and sends both players snapshots of the game
+// (see netplay.js for the messages). Two players who join the same room play round after round.
+// Usage: node server.js [--port 8080] [--host 127.0.0.1] [--config "preset=insane&foodSpeed=70"] [--level garden]
+// then open http://localhost:8080/ in two windows and press Connect under Online in both.
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const SnakeEngine = require('./engine.js');
+const SnakeConfig = require('./config.js');
+const SnakeLevels = require('./levels.js');
+const SnakeNet = require('./netplay.js');
+const WebSocket = require('./websocket.js');
+
+const rootDir = __dirname; // The game's files are served from here
+const loopMs = 10; // How often the server steps the running rounds
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+
+// Read the command line into server options, throwing an Error for anything it doesn't understand
+function parseArgs(args) {
+    const options = { port: SnakeNet.defaultPort, host: '127.0.0.1', config: SnakeConfig.createConfig(), level: null };
+    for (let i = 0; i < args.length; i += 2) {
+        const value = args[i + 1];
+        if (value === undefined) throw new Error(`Missing value for ${args[i]}`);
+        switch (args[i]) {
+            case '--port':
+                options.port = Number(value);
+                if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) throw new Error(`Invalid port: ${value}`);
+                break;
+            case '--host':
+                options.host = value;
+                break;
+            case '--config':
+                options.config = SnakeConfig.createConfig(SnakeConfig.fromQueryString(value) || {});
+                break;
+            case '--level':
+                options.level = SnakeLevels.getCampaignLevel(value);
+                if (!options.level) throw new Error(`Unknown level: ${value}`);
+                break;
+            default:
+                throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+    return options;
+}
+
+// Answer a plain HTTP request with one of the game's files
+function serveFile(req, res) {
+    let filePath;
+    try {
+        const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        filePath = path.join(rootDir, urlPath === '/' ? 'index.html' : urlPath);
+    } catch (e) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    const type = contentTypes[path.extname(filePath)];
+    if (!filePath.startsWith(rootDir + path.sep) || !type) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(data);
+    });
+}
+
+// Create a server with its rooms; nothing listens until server.listen is called
+// options: { config, level } the rounds are played with (see parseArgs)
+// Returns { httpServer, rooms, listen(port, host, callback), close() }
+function createServer(options) {
+    const rooms = new Map(); // Room name -> room
+    const httpServer = http.createServer(serveFile);
+    let loopTimer = null;
+
+    httpServer.on('upgrade', (req, socket) => {
+        let isSocketPath;
+        try {
+            isSocketPath = new URL(req.url, 'http://localhost').pathname === SnakeNet.socketPath;
+        } catch (e) {
+            isSocketPath = false; // Not a URL at all
+        }
+        if (!isSocketPath) {
+            socket.destroy();
+            return;
+        }
+        const connection = WebSocket.acceptUpgrade(req, socket);
+        if (connection) addClient(connection);
+    });
+
+    // A room seats two players: { name, clients: [client or null, ...], game, inputs, acks, wins, draws, ... }
+    function createRoom(name) {
+        return {
+            name,
+            clients: [null, null],
+            game: null, // Round being played, null between rounds
+            inputs: null, // Input received from each player since the last step
+            acks: null, // Sequence number of the last input received from each player
+            lastStepTime: 0,
+            lastSnapshotTime: 0,
+            nextRoundTimer: null,
+            wins: [0, 0],
+            draws: 0
+        };
+    }
+
+    function send(client, message) {
+        client.connection.send(JSON.stringify(message));
+    }
+
+    function broadcast(room, message) {
+        for (const client of room.clients) {
+            if (client) send(client, message);
+        }
+    }
+
+    function addClient(connection) {
+        const client = { connection, room: null, index: null };
+        connection.on('message', text => handleMessage(client, SnakeNet.parseMessage(text)));
+        connection.on('close', () => leaveRoom(client));
+    }
+
+    function handleMessage(client, message) {
+        if (!message) return; // Not ours, ignore it
+        switch (message.type) {
+            case 'join':
+                joinRoom(client, SnakeNet.normalizeRoom(message.room));
+                break;
+            case 'input':
+                receiveInput(client, message);
+                break;
+            case 'ping':
+                send(client, { type: 'pong', time: message.time });
+                break;
+        }
+    }
+
+    function joinRoom(client, name) {
+        if (client.room) return; // One room per connection
+        const room = rooms.get(name) || createRoom(name);
+        const index = room.clients.indexOf(null);
+        if (index === -1) {
+            send(client, { type: 'error', message: `Room "${name}" is full` });
+            return;
+        }
+        rooms.set(name, room);
+        room.clients[index] = client;
+        client.room = room;
+        client.index = index;
+
+        if (room.clients.every(other => other)) {
+            startRound(room);
+        } else {
+            send(client, { type: 'waiting', room: name });
+        }
+    }
+
+    // A player left: the round stops and the one still there waits for a new opponent
+    function leaveRoom(client) {
+        const room = client.room;
+        if (!room) return;
+        room.clients[client.index] = null;
+        client.room = null;
+        stopRound(room);
+        room.wins = [0, 0];
+        room.draws = 0;
+
+        if (room.clients.every(other => !other)) {
+            rooms.delete(room.name);
+            return;
+        }
+        broadcast(room, { type: 'opponent-left' });
+        broadcast(room, { type: 'waiting', room: room.name });
+    }
+
+    function receiveInput(client, message) {
+        const room = client.room;
+        const received = SnakeNet.readInput(message);
+        if (!room || !room.game || !received || received.seq <= room.acks[client.index]) return;
+        const input = room.inputs[client.index];
+        input.turns.push(...received.input.turns);
+        if (received.input.sprint !== undefined) input.sprint = received.input.sprint; // The latest press or release wins
+        room.acks[client.index] = received.seq;
+    }
+
+    function startRound(room) {
+        room.nextRoundTimer = null;
+        room.game = SnakeEngine.createGame({ config: options.config, level: options.level, players: room.clients.length });
+        room.inputs = room.clients.map(() => ({ turns: [] }));
+        room.acks = room.clients.map(() => 0);
+        room.lastStepTime = performance.now();
+        room.lastSnapshotTime = room.lastStepTime;
+
+        const game = room.game;
+        room.clients.forEach((client, index) => send(client, {
+            type: 'start',
+            you: index,
+            seed: game.seed,
+            config: SnakeEngine.getConfig(game),
+            level: game.level ? game.level.definition : null,
+            players: game.players.length,
+            wins: room.wins,
+            draws: room.draws
+        }));
+        sendSnapshots(room);
+        ensureLoop();
+    }
+
+    function stopRound(room) {
+        clearTimeout(room.nextRoundTimer);
+        room.nextRoundTimer = null;
+        room.game = null;
+    }
+
+    function sendSnapshots(room) {
+        const state = SnakeEngine.getSnapshot(room.game);
+        room.clients.forEach((client, index) => send(client, { type: 'snapshot', ack: room.acks[index], state }));
+    }
+
+    // Step the round on the server's clock, send snapshots on their cadence and score the round once it's over
+    function updateRoom(room, now) {
+        const game = room.game;
+        const inputs = room.inputs;
+        room.inputs = room.clients.map(() => ({ turns: [] }));
+        SnakeEngine.step(game, inputs, now - room.lastStepTime);
+        room.lastStepTime = now;
+
+        if (game.isGameOver) {
+            sendSnapshots(room); // The final positions
+            if (game.winner !== null) {
+                room.wins[game.winner]++;
+            } else {
+                room.draws++;
+            }
+            broadcast(room, { type: 'round-over', winner: game.winner, wins: room.wins, draws: room.draws, nextRoundMs: SnakeNet.roundBreakMs });
+            room.game = null;
+            room.nextRoundTimer = setTimeout(() => startRound(room), SnakeNet.roundBreakMs);
+        } else if (now - room.lastSnapshotTime >= SnakeNet.snapshotMs) {
+            room.lastSnapshotTime = now;
+            sendSnapshots(room);
+        }
+    }
+
+    // Run the game loop while any round is being played
+    function ensureLoop() {
+        if (loopTimer) return;
+        loopTimer = setInterval(() => {
+            const now = performance.now();
+            let playing = false;
+            for (const room of rooms.values()) {
+                if (!room.game) continue;
+                updateRoom(room, now);
+                playing = true;
+            }
+            if (!playing) {
+                clearInterval(loopTimer);
+                loopTimer = null;
+            }
+        }, loopMs);
+    }
+
+    return {
+        httpServer,
+        rooms,
+        listen: (port, host, callback) => httpServer.listen(port, host, callback),
+        close: callback => {
+            clearInterval(loopTimer);
+            loopTimer = null;
+            for (const room of rooms.values()) {
+                stopRound(room);
+                for (const client of room.clients) {
+                    if (client) client.connection.close();
+                }
+            }
+            httpServer.close(callback);
+        }
+    };
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const server = createServer(options);
+    server.httpServer.on('error', error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+    server.listen(options.port, options.host, () => {
+        const address = server.httpServer.address();
+        const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+        console.log(`The Prey That Runs: open http://${host}:${address.port}/ and press Connect under Online`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArgs,
+    createServer
+};
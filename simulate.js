@@ -0,0 +1,273 @@
+// Batch simulator for The Prey That Runs
+// Lets a bot (bot.js) play many headless games per config and reports how the prey held up: catch rate,
+// time to catch, how the games ended and the score distribution, as JSON or CSV. Games are seeded, so
+// the same command always gives the same numbers and any single game can be rerun from its seed.
+// Usage: node simulate.js [--games 1000] [--bot bfs] [--config "preset=insane&foodSpeed=70"] [--config ...]
+//                         [--level garden] [--seed 1] [--max-time 300000] [--format json|csv] [--output summary|games]
+// Each --config (same format as share links) is simulated separately and gets its own summary.
+'use strict';
+
+const SnakeEngine = require('./engine.js');
+const SnakeConfig = require('./config.js');
+const SnakeLevels = require('./levels.js');
+const SnakeBot = require('./bot.js');
+const PreySpecies = require('./prey-species.js');
+
+const scoreBuckets = 10; // Bars in the score histogram
+const formats = ['json', 'csv'];
+const outputs = ['summary', 'games'];
+
+// Read the command line into simulator options, throwing an Error for anything it doesn't understand
+function parseArgs(args) {
+    const options = { games: 100, bot: SnakeBot.defaultStrategy, configs: [], level: null, seed: 1, maxTimeMs: 300000, format: 'json', output: 'summary' };
+    for (let i = 0; i < args.length; i += 2) {
+        const value = args[i + 1];
+        if (value === undefined) throw new Error(`Missing value for ${args[i]}`);
+        switch (args[i]) {
+            case '--games':
+                options.games = parseCount(args[i], value, 1);
+                break;
+            case '--bot':
+                SnakeBot.getStrategy(value);
+                options.bot = value;
+                break;
+            case '--config':
+                options.configs.push(SnakeConfig.createConfig(SnakeConfig.fromQueryString(value) || {}));
+                break;
+            case '--level':
+                options.level = SnakeLevels.getCampaignLevel(value);
+                if (!options.level) throw new Error(`Unknown level: ${value}`);
+                break;
+            case '--seed':
+                options.seed = parseCount(args[i], value, 0);
+                break;
+            case '--max-time':
+                options.maxTimeMs = parseCount(args[i], value, SnakeEngine.tickMs);
+                break;
+            case '--format':
+                if (!formats.includes(value)) throw new Error(`Invalid format: ${value} (use ${formats.join(' or ')})`);
+                options.format = value;
+                break;
+            case '--output':
+                if (!outputs.includes(value)) throw new Error(`Invalid output: ${value} (use ${outputs.join(' or ')})`);
+                options.output = value;
+                break;
+            default:
+                throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+    if (options.configs.length === 0) options.configs.push(SnakeConfig.createConfig());
+    return options;
+}
+
+// Read a whole number of at least min from an option value
+function parseCount(name, value, min) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < min) throw new Error(`Invalid value for ${name}: ${value}`);
+    return count;
+}
+
+// Play one game with a bot until it ends or maxTimeMs of game time has passed
+// Returns what happened: { seed, score, preysCaught, decoysBitten, spawned, catchTimes, timeMs, end, sprintsUsed, longSprints }
+// where catchTimes lists how long each caught ball was on the board and end is a death cause, 'level-complete' or 'time-limit'
+function runGame({ seed, config, level = null, bot = SnakeBot.defaultStrategy, maxTimeMs = 300000 }) {
+    const state = SnakeEngine.createGame({ seed, config, level });
+    const snakeBot = SnakeBot.createBot(bot);
+    const spawnTimes = new Map(); // Ball id -> game time it appeared, for balls worth catching
+    const catchTimes = [];
+    let decoysBitten = 0;
+    let end = 'time-limit';
+    let spawned = 0;
+
+    const trackSpawn = (id, species) => {
+        if (PreySpecies.getSpecies(species).isDecoy) return;
+        spawnTimes.set(id, state.time);
+        spawned++;
+    };
+    for (const prey of state.prey) trackSpawn(prey.id, prey.species);
+
+    while (!state.isGameOver && state.time < maxTimeMs) {
+        for (const event of SnakeEngine.tick(state, SnakeBot.getInput(snakeBot, state))) {
+            switch (event.type) {
+                case 'spawned': // New balls, and the second shard of a split splitter
+                    trackSpawn(event.id, event.species);
+                    break;
+                case 'ate':
+                    if (spawnTimes.has(event.id)) {
+                        catchTimes.push(state.time - spawnTimes.get(event.id));
+                        spawnTimes.delete(event.id);
+                    } else {
+                        decoysBitten++;
+                    }
+                    break;
+                case 'died':
+                    end = event.cause;
+                    break;
+                case 'level-complete':
+                    end = 'level-complete';
+                    break;
+            }
+        }
+    }
+
+    const stats = SnakeEngine.getRunStats(state);
+    return {
+        seed,
+        score: state.players[0].score,
+        preysCaught: stats.preysCaught,
+        decoysBitten,
+        spawned,
+        catchTimes,
+        timeMs: state.time,
+        end,
+        sprintsUsed: stats.sprintsUsed,
+        longSprints: stats.longSprints
+    };
+}
+
+// Mean, median, 90th percentile, min and max of a list of numbers (all null for an empty list)
+function describe(values) {
+    if (values.length === 0) return { mean: null, median: null, p90: null, min: null, max: null };
+    const sorted = values.slice().sort((a, b) => a - b);
+    const percentile = fraction => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+    return {
+        mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        median: percentile(0.5),
+        p90: percentile(0.9),
+        min: sorted[0],
+        max: sorted[sorted.length - 1]
+    };
+}
+
+// Round to two decimals for the report
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Split scores into equal-width buckets: [{ from, to, count }], from inclusive and to exclusive
+function histogram(values, buckets) {
+    if (values.length === 0) return [];
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const width = Math.max(1, Math.ceil((max - min + 1) / buckets));
+    const bars = [];
+    for (let from = min; from <= max; from += width) {
+        bars.push({ from, to: from + width, count: 0 });
+    }
+    for (const value of values) {
+        bars[Math.floor((value - min) / width)].count++;
+    }
+    return bars;
+}
+
+// Sum up the games played with one config
+function summarize(games, { config, bot, level }) {
+    const catchTimes = games.flatMap(game => game.catchTimes);
+    const caught = catchTimes.length;
+    const spawned = games.reduce((sum, game) => sum + game.spawned, 0);
+    const totalMinutes = games.reduce((sum, game) => sum + game.timeMs, 0) / 60000;
+    const ends = {};
+    for (const game of games) {
+        ends[game.end] = (ends[game.end] || 0) + 1;
+    }
+
+    return {
+        config: SnakeConfig.toQueryString(config),
+        bot,
+        level: level ? level.id : null,
+        games: games.length,
+        catchRate: spawned > 0 ? round(caught / spawned) : null, // Share of the balls worth catching that were caught
+        catchesPerMinute: totalMinutes > 0 ? round(caught / totalMinutes) : null,
+        timeToCatch: describe(catchTimes), // Milliseconds each caught ball was on the board
+        survivalTime: describe(games.map(game => game.timeMs)),
+        score: Object.assign(describe(games.map(game => game.score)), { histogram: histogram(games.map(game => game.score), scoreBuckets) }),
+        ends, // How the games ended: death causes, 'level-complete' and 'time-limit'
+        decoysBitten: games.reduce((sum, game) => sum + game.decoysBitten, 0),
+        longSprintsPerGame: round(games.reduce((sum, game) => sum + game.longSprints, 0) / games.length)
+    };
+}
+
+// Run every config of the options; returns [{ summary, games }] in config order
+function simulate(options) {
+    return options.configs.map(config => {
+        const games = [];
+        for (let i = 0; i < options.games; i++) {
+            games.push(runGame({ seed: options.seed + i, config, level: options.level, bot: options.bot, maxTimeMs: options.maxTimeMs }));
+        }
+        return { summary: summarize(games, { config, bot: options.bot, level: options.level }), games };
+    });
+}
+
+// Quote a CSV field if it needs it
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Turn rows of named values into CSV text, with the given columns as the header
+function toCsv(columns, rows) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))].map(fields => fields.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Format the results as the options ask
+function formatResults(results, options) {
+    if (options.output === 'games') {
+        const rows = results.flatMap(result => result.games.map(game => Object.assign({ config: result.summary.config }, game, {
+            catchTimes: undefined,
+            meanTimeToCatch: describe(game.catchTimes).mean
+        })));
+        if (options.format === 'json') return JSON.stringify(rows, null, 2) + '\n';
+        return toCsv(['config', 'seed', 'score', 'preysCaught', 'decoysBitten', 'spawned', 'meanTimeToCatch', 'timeMs', 'end', 'sprintsUsed', 'longSprints'], rows);
+    }
+
+    const summaries = results.map(result => result.summary);
+    if (options.format === 'json') return JSON.stringify(summaries, null, 2) + '\n';
+
+    // One flat row per config, with a column for every way a game ended
+    const endColumns = [...new Set(summaries.flatMap(summary => Object.keys(summary.ends)))].sort().map(end => `end.${end}`);
+    const rows = summaries.map(summary => {
+        const row = {
+            config: summary.config,
+            bot: summary.bot,
+            level: summary.level,
+            games: summary.games,
+            catchRate: summary.catchRate,
+            catchesPerMinute: summary.catchesPerMinute,
+            decoysBitten: summary.decoysBitten,
+            longSprintsPerGame: summary.longSprintsPerGame
+        };
+        for (const name of ['timeToCatch', 'survivalTime', 'score']) {
+            for (const stat of ['mean', 'median', 'p90', 'min', 'max']) {
+                row[`${name}.${stat}`] = summary[name][stat];
+            }
+        }
+        for (const column of endColumns) {
+            row[column] = summary.ends[column.slice('end.'.length)] || 0;
+        }
+        return row;
+    });
+    return toCsv(Object.keys(rows[0]), rows);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    process.stdout.write(formatResults(simulate(options), options));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArgs,
+    runGame,
+    summarize,
+    simulate,
+    formatResults
+};
@@ -0,0 +1,253 @@
+// Sound for The Prey That Runs
+// Every sound is synthesised with WebAudio oscillators from the recipes below, so there is nothing to download.
+// Sounds follow the game's events (see events.js): a tick on every flee step, a whoosh for the long sprint,
+// a chime for a catch, a rumble when the walls close in, a rising and falling sweep for the sprint boost and
+// a long fall on death. A background loop plays along, one note every few snake moves, so it speeds up
+// as the snake does. Without WebAudio (Node, old browsers) everything here quietly does nothing.
+(function (root) {
+    'use strict';
+
+    const SnakeEvents = (typeof module !== 'undefined' && module.exports) ? require('./events.js') : root.SnakeEvents;
+    const PreySpecies = (typeof module !== 'undefined' && module.exports) ? require('./prey-species.js') : root.PreySpecies;
+    const SnakeStorage = (typeof module !== 'undefined' && module.exports) ? require('./storage.js') : root.SnakeStorage;
+
+    const storageKey = 'preyThatRuns.sound'; // Where mute and volume are saved
+    const defaultVolume = 0.6;
+    const attackSeconds = 0.005; // Fade-in of every tone, so it doesn't click
+    const lookaheadSeconds = 0.15; // How far ahead the background loop schedules its notes
+
+    // Every sound effect, as tones played together
+    // Each tone: wave (an OscillatorNode type), from and to (Hz, swept over the tone), durationMs, gain (0..1),
+    // delayMs (after the effect starts, default 0)
+    // minIntervalMs: the effect is skipped if it played less than this long ago (for events that come in bursts)
+    const effects = {
+        'flee-step': {
+            tones: [{ wave: 'triangle', from: 740, to: 560, durationMs: 35, gain: 0.05 }],
+            minIntervalMs: 90
+        },
+        'long-sprint': {
+            tones: [
+                { wave: 'sawtooth', from: 220, to: 1400, durationMs: 320, gain: 0.1 },
+                { wave: 'sine', from: 440, to: 2000, durationMs: 320, gain: 0.08, delayMs: 40 }
+            ]
+        },
+        catch: {
+            tones: [
+                { wave: 'sine', from: 880, to: 880, durationMs: 90, gain: 0.25 },
+                { wave: 'sine', from: 1320, to: 1320, durationMs: 160, gain: 0.22, delayMs: 70 }
+            ]
+        },
+        decoy: {
+            tones: [{ wave: 'square', from: 180, to: 110, durationMs: 220, gain: 0.12 }]
+        },
+        shrink: {
+            tones: [
+                { wave: 'sawtooth', from: 70, to: 45, durationMs: 260, gain: 0.18 },
+                { wave: 'square', from: 140, to: 90, durationMs: 180, gain: 0.05 }
+            ],
+            minIntervalMs: 120
+        },
+        'sprint-start': {
+            tones: [{ wave: 'triangle', from: 300, to: 720, durationMs: 120, gain: 0.12 }]
+        },
+        'sprint-stop': {
+            tones: [{ wave: 'triangle', from: 620, to: 260, durationMs: 120, gain: 0.1 }]
+        },
+        death: {
+            tones: [
+                { wave: 'sawtooth', from: 440, to: 55, durationMs: 700, gain: 0.2 },
+                { wave: 'square', from: 220, to: 40, durationMs: 800, gain: 0.08, delayMs: 60 }
+            ]
+        }
+    };
+
+    // Background loop: a short bass arpeggio, one note every movesPerNote snake moves
+    const music = {
+        rootHz: 110, // A2
+        pattern: [0, 7, 12, 7, 3, 7, 10, 7], // Semitones above the root
+        wave: 'square',
+        gain: 0.035,
+        noteLength: 0.6, // Share of the time between notes a note sounds
+        movesPerNote: 2
+    };
+
+    // Engine events (and the page's own) that make a sound, with the effect they play
+    const eventSounds = {
+        fled: 'flee-step',
+        'long-sprint': 'long-sprint',
+        ate: event => (PreySpecies.getSpecies(event.species).isDecoy ? 'decoy' : 'catch'), // A decoy costs nothing at a score of 0
+        shrank: 'shrink',
+        'sprint-start': 'sprint-start',
+        'sprint-stop': 'sprint-stop',
+        died: 'death'
+    };
+
+    // Name of the effect an event plays, or null for silent events
+    function soundForEvent(event) {
+        const sound = eventSounds[event.type];
+        if (!sound) return null;
+        return typeof sound === 'function' ? sound(event) : sound;
+    }
+
+    // The browser's AudioContext, or null where there is none
+    function createDefaultContext() {
+        const AudioContextClass = root.AudioContext || root.webkitAudioContext;
+        return AudioContextClass ? new AudioContextClass() : null;
+    }
+
+    // Sound output, silent until unlock() is called from a key press or tap (browsers only allow audio after one)
+    // options: { muted, volume (0..1), createContext (returns an AudioContext or null) }
+    function createAudio(options = {}) {
+        return {
+            createContext: options.createContext || createDefaultContext,
+            context: null,
+            master: null, // Gain node everything goes through: volume, or 0 while muted
+            muted: !!options.muted,
+            volume: typeof options.volume === 'number' ? clampVolume(options.volume) : defaultVolume,
+            lastPlayed: new Map(), // Effect -> context time it last played, for minIntervalMs
+            nextNoteTime: null, // Context time of the background loop's next note, null while it is stopped
+            noteIndex: 0 // Position in music.pattern
+        };
+    }
+
+    // A volume between 0 and 1 (the default for anything that isn't a number)
+    function clampVolume(volume) {
+        return Math.min(1, Math.max(0, Number.isFinite(volume) ? volume : defaultVolume));
+    }
+
+    // Start the audio output, or wake it up after the browser suspended it
+    function unlock(audio) {
+        if (!audio.context) {
+            try {
+                audio.context = audio.createContext();
+            } catch (e) {
+                audio.context = null; // Blocked or unsupported: stay silent
+            }
+            if (!audio.context) return;
+            audio.master = audio.context.createGain();
+            audio.master.connect(audio.context.destination);
+            applyVolume(audio);
+        }
+        if (audio.context.state === 'suspended') audio.context.resume();
+    }
+
+    // Set the master gain from the audio's volume and mute
+    function applyVolume(audio) {
+        if (audio.master) audio.master.gain.value = audio.muted ? 0 : audio.volume;
+    }
+
+    // Mute or unmute everything; muting also stops the background loop
+    function setMuted(audio, muted) {
+        audio.muted = !!muted;
+        applyVolume(audio);
+        if (audio.muted) audio.nextNoteTime = null;
+    }
+
+    // Change the volume of everything, 0..1
+    function setVolume(audio, volume) {
+        audio.volume = clampVolume(volume);
+        applyVolume(audio);
+    }
+
+    // Play one tone of a recipe, starting at a context time
+    function playTone(audio, tone, startTime) {
+        const context = audio.context;
+        const start = startTime + (tone.delayMs || 0) / 1000;
+        const end = start + tone.durationMs / 1000;
+
+        const oscillator = context.createOscillator();
+        oscillator.type = tone.wave;
+        oscillator.frequency.setValueAtTime(tone.from, start);
+        if (tone.to !== tone.from) oscillator.frequency.exponentialRampToValueAtTime(tone.to, end);
+
+        const envelope = context.createGain();
+        envelope.gain.setValueAtTime(0.0001, start);
+        envelope.gain.exponentialRampToValueAtTime(tone.gain, start + attackSeconds);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+        oscillator.connect(envelope);
+        envelope.connect(audio.master);
+        oscillator.start(start);
+        oscillator.stop(end + 0.02);
+    }
+
+    // Play an effect by name now (nothing while muted or before the audio is unlocked)
+    function play(audio, name) {
+        const effect = effects[name];
+        if (!effect) throw new Error(`Unknown sound: ${name}`);
+        if (!audio.context || audio.muted) return;
+
+        const now = audio.context.currentTime;
+        const last = audio.lastPlayed.get(name);
+        if (effect.minIntervalMs && last !== undefined && (now - last) * 1000 < effect.minIntervalMs) return;
+        audio.lastPlayed.set(name, now);
+        for (const tone of effect.tones) {
+            playTone(audio, tone, now);
+        }
+    }
+
+    // Keep the background loop going at the pace of a snake moving every gameSpeed milliseconds
+    // Call it every frame; null (paused, game over) stops the loop until it is called with a speed again
+    function updateMusic(audio, gameSpeed) {
+        if (!audio.context || audio.muted || gameSpeed === null) {
+            audio.nextNoteTime = null;
+            return;
+        }
+        const now = audio.context.currentTime;
+        const noteSeconds = gameSpeed * music.movesPerNote / 1000;
+        if (audio.nextNoteTime === null || audio.nextNoteTime < now) audio.nextNoteTime = now + 0.05; // (Re)start in time
+        while (audio.nextNoteTime < now + lookaheadSeconds) {
+            const hz = music.rootHz * Math.pow(2, music.pattern[audio.noteIndex] / 12);
+            playTone(audio, { wave: music.wave, from: hz, to: hz, durationMs: noteSeconds * music.noteLength * 1000, gain: music.gain }, audio.nextNoteTime);
+            audio.noteIndex = (audio.noteIndex + 1) % music.pattern.length;
+            audio.nextNoteTime += noteSeconds;
+        }
+    }
+
+    // Play the sounds of the events on a bus (see events.js), and stop the background loop when a game ends
+    // Returns a function that stops listening
+    function listen(bus, audio) {
+        const stopSounds = SnakeEvents.on(bus, SnakeEvents.anyType, event => {
+            const sound = soundForEvent(event);
+            if (sound) play(audio, sound);
+        });
+        const stopMusic = SnakeEvents.on(bus, 'game-over', () => updateMusic(audio, null));
+        return () => {
+            stopSounds();
+            stopMusic();
+        };
+    }
+
+    // Saved mute and volume: { muted, volume }, the defaults if nothing (readable) was saved
+    function loadSettings(storage) {
+        const saved = SnakeStorage.loadJson(storage, storageKey) || {};
+        return { muted: saved.muted === true, volume: typeof saved.volume === 'number' ? clampVolume(saved.volume) : defaultVolume };
+    }
+
+    // Remember an audio's mute and volume for the next visit
+    function saveSettings(storage, audio) {
+        SnakeStorage.saveJson(storage, storageKey, { muted: audio.muted, volume: audio.volume });
+    }
+
+    const SnakeSound = {
+        effects,
+        music,
+        eventSounds,
+        soundForEvent,
+        createAudio,
+        unlock,
+        setMuted,
+        setVolume,
+        play,
+        updateMusic,
+        listen,
+        loadSettings,
+        saveSettings
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeSound;
+    } else {
+        root.SnakeSound = SnakeSound;
+    }
+})(this);
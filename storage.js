@@ -0,0 +1,83 @@
+// Saved settings and progress for The Prey That Runs
+// Every module that remembers something between visits (the high-score table, daily attempts, theme, sound,
+// accessibility settings and key bindings) reads and writes it through here, with localStorage or anything
+// with its interface. Storage can be full, blocked or hold something unreadable: loading then gives null and
+// saving gives up quietly, so the game keeps working for the session either way.
+(function (root) {
+    'use strict';
+
+    const probeKey = 'preyThatRuns.probe'; // Written and removed to check localStorage can be used
+
+    // Storage with the localStorage interface that only lives as long as the page (or the test)
+    function createMemoryStorage() {
+        const items = new Map();
+        return {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => { items.set(key, String(value)); },
+            removeItem: key => { items.delete(key); }
+        };
+    }
+
+    // localStorage if the browser lets us use it (not Node, private browsing or file:// pages), memory otherwise
+    function getDefaultStorage() {
+        try {
+            const storage = root.localStorage;
+            storage.setItem(probeKey, '1');
+            storage.removeItem(probeKey);
+            return storage;
+        } catch (e) {
+            return createMemoryStorage();
+        }
+    }
+
+    // Text saved under key, or null if there is none or storage can't be read
+    function loadText(storage, key) {
+        try {
+            return storage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Save text under key; returns false if it couldn't be (storage full or blocked), so it only lasts for this session
+    function saveText(storage, key, text) {
+        try {
+            storage.setItem(key, text);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Value saved as JSON under key, or null if there is none or it can't be read
+    // Callers still check its shape: it may have been saved by an older version or edited by hand
+    function loadJson(storage, key) {
+        const text = loadText(storage, key);
+        if (text === null) return null;
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Save a value as JSON under key; returns false if it couldn't be
+    function saveJson(storage, key, value) {
+        return saveText(storage, key, JSON.stringify(value));
+    }
+
+    const SnakeStorage = {
+        createMemoryStorage,
+        getDefaultStorage,
+        loadText,
+        saveText,
+        loadJson,
+        saveJson
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeStorage;
+    } else {
+        root.SnakeStorage = SnakeStorage;
+    }
+})(this);
@@ -0,0 +1,37 @@
+// Tests for screen reader announcements
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEngine = require('../engine.js');
+const SnakeEvents = require('../events.js');
+const SnakeAccess = require('../access.js');
+
+// An announcer for a game that collects what it says
+function listenTo(state) {
+    const spoken = [];
+    const bus = SnakeEvents.createEventBus();
+    const announcer = SnakeAccess.createAnnouncer(text => spoken.push(text), {
+        getState: () => state,
+        playerNames: ['Player 1', 'Player 2'],
+        deathCauses: { wall: 'hit a wall' }
+    });
+    SnakeAccess.listen(bus, announcer);
+    return { bus, spoken };
+}
+
+test('biting a decoy is announced as a decoy even when it costs no points', () => {
+    const { bus, spoken } = listenTo(SnakeEngine.createGame({ seed: 1 }));
+    SnakeEvents.emit(bus, { type: 'ate', player: 0, species: 'decoy', points: -0, score: 0 });
+    SnakeEvents.emit(bus, { type: 'ate', player: 0, species: 'runner', points: 10, score: 10 });
+    assert.deepEqual(spoken, ['Bit a decoy, 0 points. Score 0', 'Caught a runner ball, 10 points. Score 10']);
+});
+
+test('where the prey is leaves out decoys', () => {
+    const state = SnakeEngine.createGame({ seed: 1 });
+    const head = state.players[0].snake[0];
+    const gridSize = state.config.gridSize;
+    state.prey = [
+        { id: 1, species: 'decoy', x: head.x + gridSize, y: head.y },
+        { id: 2, species: 'runner', x: head.x, y: head.y - gridSize * 3 }
+    ];
+    assert.equal(SnakeAccess.describePrey(state, 0), 'Runner 3 up');
+});
@@ -0,0 +1,61 @@
+// Tests for the shrinking arena: what a closing wall does to the snake and the prey it lands on
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEngine = require('../engine.js');
+
+// A game whose walls take their first step, one cell in from every side, on the next tick
+function gameAboutToShrink() {
+    const state = SnakeEngine.createGame({ seed: 1 });
+    const gridSize = state.config.gridSize;
+    const arena = state.arena;
+    state.shrink = {
+        target: { x: arena.x + gridSize, y: arena.y + gridSize, width: arena.width - gridSize * 2, height: arena.height - gridSize * 2 },
+        startTime: -state.config.shrinkWarningMs
+    };
+    state.lastShrinkStepTime = -state.config.shrinkStepMs;
+    return state;
+}
+
+// Put player one's snake on these cells, head first
+function placeSnake(state, cells) {
+    state.players[0].snake = cells.map(([x, y]) => ({ x, y, prevX: x, prevY: y }));
+}
+
+test('a wall closing on the head crushes the snake', () => {
+    const state = gameAboutToShrink();
+    placeSnake(state, [[0, 100], [20, 100], [40, 100]]);
+
+    const events = SnakeEngine.tick(state, null);
+
+    assert.equal(state.arena.x, 20);
+    assert.equal(state.players[0].isAlive, false);
+    assert.equal(state.players[0].deathCause, 'crushed');
+    assert.ok(events.some(event => event.type === 'died' && event.cause === 'crushed'));
+    assert.ok(state.isGameOver);
+});
+
+test('a wall closing on the body cuts off that segment and the tail behind it', () => {
+    const state = gameAboutToShrink();
+    placeSnake(state, [[60, 100], [40, 100], [20, 100], [0, 100]]);
+
+    const events = SnakeEngine.tick(state, null);
+
+    assert.ok(state.players[0].isAlive);
+    assert.deepEqual(state.players[0].snake.map(segment => [segment.x, segment.y]), [[60, 100], [40, 100], [20, 100]]);
+    assert.deepEqual(events.find(event => event.type === 'crushed'), { type: 'crushed', player: 0, lost: 1, length: 3 });
+    assert.equal(state.isGameOver, false);
+});
+
+test('prey caught by a closing wall is pushed in with it', () => {
+    const state = gameAboutToShrink();
+    placeSnake(state, [[200, 200], [180, 200]]);
+    const prey = state.prey[0];
+    prey.x = 0;
+    prey.y = 200;
+
+    const events = SnakeEngine.tick(state, null);
+
+    assert.ok(events.some(event => event.type === 'pushed' && event.id === prey.id && event.x === 20 && event.y === 200));
+    assert.ok(state.prey.includes(prey));
+    assert.ok(prey.x >= state.arena.x && prey.y >= state.arena.y);
+});
@@ -0,0 +1,38 @@
+// Tests for the snake bots, driven tick by tick as in the simulator and frame by frame as the page's autopilot drives them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEngine = require('../engine.js');
+const SnakeBot = require('../bot.js');
+
+const frameMs = 16; // About one animation frame
+
+// Play a game with a bot for up to maxTimeMs of game time; step(state, bot) advances it once
+function play(strategy, step, maxTimeMs = 60000) {
+    const state = SnakeEngine.createGame({ seed: 7 });
+    const bot = SnakeBot.createBot(strategy);
+    while (!state.isGameOver && state.time < maxTimeMs) step(state, bot);
+    return state;
+}
+
+for (const strategy of Object.keys(SnakeBot.strategies)) {
+    test(`the ${strategy} bot catches prey tick by tick and frame by frame`, () => {
+        const ticked = play(strategy, (state, bot) => SnakeEngine.tick(state, SnakeBot.getInput(bot, state)));
+        const framed = play(strategy, (state, bot) => SnakeEngine.step(state, SnakeBot.getInput(bot, state), frameMs));
+        assert.ok(ticked.players[0].stats.preysCaught > 0);
+        assert.ok(framed.players[0].stats.preysCaught > 0);
+    });
+}
+
+test('a bot only gives input after its snake has moved, and its turns are logged for replays', () => {
+    const state = SnakeEngine.createGame({ seed: 7 });
+    const bot = SnakeBot.createBot('bfs');
+    SnakeBot.getInput(bot, state);
+    assert.equal(SnakeBot.getInput(bot, state), null); // Nothing new to think about until the snake moves
+
+    while (state.inputLog.length === 0 && state.time < 10000) SnakeEngine.tick(state, SnakeBot.getInput(bot, state));
+    assert.ok(state.inputLog.length > 0);
+});
+
+test('unknown strategies are refused', () => {
+    assert.throws(() => SnakeBot.createBot('psychic'), /^Error: Unknown bot strategy: psychic$/);
+});
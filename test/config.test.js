@@ -0,0 +1,68 @@
+// Tests for the game config: validation, presets and the query string format of share links
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeConfig = require('../config.js');
+const { parseArgs } = require('../server.js');
+
+test('createConfig fills in the defaults', () => {
+    const config = SnakeConfig.createConfig({ foodSpeed: 70 });
+    assert.equal(config.foodSpeed, 70);
+    assert.equal(config.gridSize, SnakeConfig.defaultConfig.gridSize);
+    assert.deepEqual(config.prey, SnakeConfig.defaultConfig.prey);
+});
+
+test('createConfig throws one Error listing every invalid value', () => {
+    assert.throws(
+        () => SnakeConfig.createConfig({ gridSize: 50, arenaWidth: 420, foodSpeed: 'fast', maxPickups: 9 }),
+        {
+            message: 'Invalid config: Cell size (px) must be between 10 and 40; Arena width (px) must be a multiple of the cell size (50); ' +
+                'Shrink per side (px) must be a multiple of the cell size (50); Prey speed (ms/move) must be a number; ' +
+                'Items at once must be between 1 and 4'
+        }
+    );
+});
+
+test('values that don\'t fit together and unknown names are reported too', () => {
+    assert.deepEqual(SnakeConfig.validateConfig(Object.assign({}, SnakeConfig.defaultConfig, { baseGameSpeed: 100, minGameSpeed: 120 })),
+        ['Top speed must not be slower than the start speed']);
+    assert.deepEqual(SnakeConfig.validateConfig(Object.assign({}, SnakeConfig.defaultConfig, { wallMode: 'sticky' })), ['Unknown wall mode: sticky']);
+});
+
+test('a preset is a set of overrides on top of the defaults, prey parameters included', () => {
+    const easy = SnakeConfig.getPreset('easy');
+    assert.equal(easy.baseGameSpeed, 180);
+    assert.equal(easy.gridSize, SnakeConfig.defaultConfig.gridSize);
+    assert.equal(easy.prey.params.randomSprintChance, 0.02);
+    assert.equal(easy.prey.params.fleeDistance, SnakeConfig.defaultConfig.prey.params.fleeDistance);
+    assert.equal(SnakeConfig.findPreset(easy), 'easy');
+    assert.equal(SnakeConfig.findPreset(SnakeConfig.createConfig()), 'normal');
+    assert.equal(SnakeConfig.findPreset(SnakeConfig.createConfig({ foodSpeed: 75 })), null);
+    assert.throws(() => SnakeConfig.getPreset('nightmare'), /Unknown preset: nightmare/);
+});
+
+test('a config survives the round trip through a query string', () => {
+    const config = SnakeConfig.createConfig({
+        baseGameSpeed: 120,
+        wallMode: 'wrap',
+        speedCurve: 'assist',
+        prey: { strategy: 'lookahead', params: { fleeDistance: 80 } }
+    });
+    const query = SnakeConfig.toQueryString(config);
+    assert.match(query, /walls=wrap/);
+    assert.match(query, /prey=lookahead/);
+    assert.deepEqual(SnakeConfig.createConfig(SnakeConfig.fromQueryString(query)), config);
+    assert.equal(SnakeConfig.toQueryString(SnakeConfig.createConfig()), '');
+    assert.equal(SnakeConfig.fromQueryString(''), null);
+});
+
+test('a preset in a query string takes further overrides', () => {
+    const config = SnakeConfig.createConfig(SnakeConfig.fromQueryString('?preset=insane&foodSpeed=70'));
+    assert.equal(config.foodSpeed, 70);
+    assert.equal(config.baseGameSpeed, SnakeConfig.getPreset('insane').baseGameSpeed);
+});
+
+test('server.js --config reads the same query string format', () => {
+    const config = SnakeConfig.createConfig({ foodSpeed: 80, wallMode: 'soft' });
+    assert.deepEqual(parseArgs(['--config', SnakeConfig.toQueryString(config)]).config, config);
+    assert.throws(() => parseArgs(['--config', 'gridSize=15']), /Invalid config/);
+});
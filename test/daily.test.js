@@ -0,0 +1,66 @@
+// Tests for the daily challenge: result codes and the saved attempts
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeDaily = require('../daily.js');
+const SnakeEngine = require('../engine.js');
+const SnakeStorage = require('../storage.js');
+const SnakeReplay = require('../replay.js');
+
+const date = '2026-10-19';
+
+// A short daily run, finished as it would be after a game over
+function playDaily(day = date) {
+    const state = SnakeEngine.createGame(SnakeDaily.getGameOptions(day));
+    const turns = { 10: 'down', 40: 'left', 70: 'up' }; // Frame -> turn
+    for (let frame = 0; frame < 100 && !state.isGameOver; frame++) {
+        SnakeEngine.step(state, turns[frame] ? { turns: [turns[frame]] } : null, 16);
+    }
+    return state;
+}
+
+test('a result code reads back into the result it was made from', () => {
+    const result = SnakeDaily.createResult(date, playDaily());
+    assert.deepEqual(SnakeDaily.parseResultCode(SnakeDaily.createResultCode(result)), result);
+});
+
+test('a changed result code is rejected', () => {
+    const code = SnakeDaily.createResultCode(SnakeDaily.createResult(date, playDaily()));
+    const changed = code.replace(/^(PTR1\.\d{8}\.)(\d+)/, (match, head, score) => `${head}${Number(score) + 100}`);
+    assert.throws(() => SnakeDaily.parseResultCode(changed), /mistyped or changed/);
+});
+
+test('a saved code that no longer reads counts as no attempt', () => {
+    const storage = SnakeStorage.createMemoryStorage();
+    const code = SnakeDaily.createResultCode(SnakeDaily.createResult(date, playDaily()));
+    SnakeDaily.finishAttempt(storage, date, code);
+    assert.deepEqual(SnakeDaily.getAttempt(storage, date), { code });
+
+    SnakeDaily.finishAttempt(storage, date, code.replace(/^PTR1/, 'PTR0')); // Made by another version
+    assert.equal(SnakeDaily.getAttempt(storage, date), null);
+    SnakeDaily.finishAttempt(storage, date, 'garbage');
+    assert.equal(SnakeDaily.getAttempt(storage, date), null);
+
+    assert.ok(SnakeDaily.startAttempt(storage, date));
+    assert.deepEqual(SnakeDaily.getAttempt(storage, date), { code: null });
+});
+
+test('the replay of a run proves its result code', () => {
+    const state = playDaily();
+    const result = SnakeDaily.parseResultCode(SnakeDaily.createResultCode(SnakeDaily.createResult(date, state)));
+    const replay = SnakeReplay.parseReplay(SnakeReplay.serializeReplay(SnakeReplay.createReplay(state)));
+    assert.deepEqual(SnakeDaily.verifyReplay(result, replay), []);
+});
+
+test('a replay with edited moves does not prove the code', () => {
+    const state = playDaily();
+    const result = SnakeDaily.createResult(date, state);
+    const replay = SnakeReplay.createReplay(state);
+    replay.inputs[0][0] += 1; // Turn one tick later
+    assert.ok(SnakeDaily.verifyReplay(result, replay).includes('The replay has different moves'));
+});
+
+test('a replay of another day does not prove the code', () => {
+    const result = SnakeDaily.createResult(date, playDaily());
+    const replay = SnakeReplay.createReplay(playDaily('2026-10-20'));
+    assert.deepEqual(SnakeDaily.verifyReplay(result, replay), [`The replay isn't of the ${date} challenge`]);
+});
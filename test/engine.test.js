@@ -0,0 +1,82 @@
+// Tests for the headless engine: seeded determinism and the fixed-tick scheduler
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEngine = require('../engine.js');
+
+// Play a game through step() with the same turns at the same frames every time
+function playScripted(seed) {
+    const state = SnakeEngine.createGame({ seed });
+    const turns = { 20: 'down', 60: 'left', 100: 'up', 140: 'right' }; // Frame -> turn
+    for (let frame = 0; frame < 400 && !state.isGameOver; frame++) {
+        SnakeEngine.step(state, turns[frame] ? { turns: [turns[frame]] } : null, 16);
+    }
+    return state;
+}
+
+test('the random generator repeats its sequence for a seed and resumes from its state', () => {
+    const a = SnakeEngine.createRng(42);
+    const b = SnakeEngine.createRng(42);
+    const first = [a(), a(), a()];
+    assert.deepEqual([b(), b(), b()], first);
+
+    const resumed = SnakeEngine.createRng(a.getState());
+    assert.equal(resumed(), a());
+});
+
+test('games with the same seed and input play out the same way', () => {
+    const first = playScripted(7);
+    const second = playScripted(7);
+    assert.ok(first.tick > 0);
+    assert.deepEqual(SnakeEngine.getSnapshot(second), SnakeEngine.getSnapshot(first));
+    assert.deepEqual(second.inputLog, first.inputLog);
+});
+
+test('different seeds place the prey differently', () => {
+    const positions = seed => SnakeEngine.createGame({ seed }).prey.map(prey => [prey.x, prey.y]);
+    assert.notDeepEqual(positions(1), positions(2));
+});
+
+test('step runs whole ticks and carries the rest of the frame over', () => {
+    const state = SnakeEngine.createGame({ seed: 1 });
+    SnakeEngine.step(state, null, SnakeEngine.tickMs - 2);
+    assert.equal(state.tick, 0);
+    assert.equal(state.accumulator, SnakeEngine.tickMs - 2);
+
+    SnakeEngine.step(state, null, 4);
+    assert.equal(state.tick, 1);
+    assert.equal(state.accumulator, 2);
+    assert.equal(state.time, SnakeEngine.tickMs);
+});
+
+test('step catches up on at most 250 ms of a long frame', () => {
+    const state = SnakeEngine.createGame({ seed: 1 });
+    SnakeEngine.step(state, null, 5000);
+    assert.equal(state.tick, SnakeEngine.maxFrameTime / SnakeEngine.tickMs);
+});
+
+test('input given to step applies on the next tick and is logged for replays', () => {
+    const state = SnakeEngine.createGame({ seed: 1 });
+    SnakeEngine.step(state, { turns: ['down'] }, 1); // Not a whole tick yet: the turn waits
+    assert.equal(state.players[0].turnQueue.length, 0);
+
+    SnakeEngine.step(state, null, SnakeEngine.tickMs);
+    assert.deepEqual(state.players[0].turnQueue, ['down']);
+    assert.deepEqual(state.inputLog, [[0, 'down']]);
+});
+
+test('the snake moves one cell every gameSpeed milliseconds', () => {
+    const state = SnakeEngine.createGame({ seed: 1 });
+    const start = state.players[0].snake[0].x;
+    const gameSpeed = state.players[0].gameSpeed;
+    SnakeEngine.step(state, null, gameSpeed - SnakeEngine.tickMs);
+    assert.equal(state.players[0].snake[0].x, start);
+    SnakeEngine.step(state, null, SnakeEngine.tickMs);
+    assert.equal(state.players[0].snake[0].x, start + state.config.gridSize);
+});
+
+test('only turns the snake takes are logged', () => {
+    const state = SnakeEngine.createGame({ seed: 1 }); // Heading right
+    SnakeEngine.tick(state, { turns: ['left', 'sideways', 'constructor', 'up'] });
+    assert.deepEqual(state.players[0].turnQueue, ['up']);
+    assert.deepEqual(state.inputLog, [[0, 'up']]);
+});
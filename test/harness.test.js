@@ -0,0 +1,21 @@
+// Tests for the input timeline harness: turns pressed faster than the snake moves
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEngine = require('../engine.js');
+const { runTimeline } = require('../harness.js');
+
+test('up then left within one tick turns the snake twice instead of into itself', () => {
+    const state = SnakeEngine.createGame({ seed: 1 });
+    const start = Object.assign({}, state.players[0].snake[0]);
+    const gridSize = state.config.gridSize;
+    assert.equal(state.players[0].direction, 'right');
+
+    const { events, moves } = runTimeline({ state, timeline: [{ at: 7, turn: 'up' }, { at: 9, turn: 'left' }], durationMs: 600 });
+
+    assert.ok(state.players[0].isAlive);
+    assert.equal(events.filter(event => event.type === 'died').length, 0);
+    assert.deepEqual(moves.slice(0, 2).map(move => [move.direction, move.x, move.y]), [
+        ['up', start.x, start.y - gridSize],
+        ['left', start.x - gridSize, start.y - gridSize]
+    ]);
+});
@@ -0,0 +1,58 @@
+// Tests for the local high-score table
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeLeaderboard = require('../leaderboard.js');
+const SnakeStorage = require('../storage.js');
+
+// A finished run with a score and survival time
+function run(score, survivalTime = 60000, date = '2026-10-19T12:00:00.000Z') {
+    return { name: 'Tester', score, config: {}, stats: { survivalTime }, date };
+}
+
+test('the table keeps only the best maxEntries runs, best first', () => {
+    const board = SnakeLeaderboard.createLeaderboard(SnakeStorage.createMemoryStorage());
+    for (let score = 10; score <= 150; score += 10) {
+        SnakeLeaderboard.addRun(board, run(score));
+    }
+    assert.equal(board.entries.length, SnakeLeaderboard.maxEntries);
+    assert.deepEqual(board.entries.map(entry => entry.score), [150, 140, 130, 120, 110, 100, 90, 80, 70, 60]);
+    assert.equal(SnakeLeaderboard.getPersonalBest(board).score, 150);
+    assert.equal(SnakeLeaderboard.addRun(board, run(20)), null); // Too low to make the table
+    assert.equal(SnakeLeaderboard.addRun(board, run(125)).rank, 4);
+});
+
+test('on equal scores the quicker run ranks higher, then the earlier one', () => {
+    const board = SnakeLeaderboard.createLeaderboard(SnakeStorage.createMemoryStorage());
+    SnakeLeaderboard.addRun(board, run(50, 90000, '2026-10-19T12:00:00.000Z'));
+    SnakeLeaderboard.addRun(board, run(50, 30000, '2026-10-19T13:00:00.000Z'));
+    SnakeLeaderboard.addRun(board, run(50, 30000, '2026-10-19T11:00:00.000Z'));
+    assert.deepEqual(board.entries.map(entry => [entry.stats.survivalTime, entry.date.slice(11, 13)]), [[30000, '11'], [30000, '13'], [90000, '12']]);
+});
+
+test('the table is saved to its storage and read back, skipping anything unreadable', () => {
+    const storage = SnakeStorage.createMemoryStorage();
+    const board = SnakeLeaderboard.createLeaderboard(storage);
+    SnakeLeaderboard.addRun(board, run(40));
+    SnakeLeaderboard.addRun(board, run(70));
+    assert.deepEqual(SnakeLeaderboard.createLeaderboard(storage).entries.map(entry => entry.score), [70, 40]);
+
+    storage.setItem('preyThatRuns.leaderboard', '{ not json');
+    assert.deepEqual(SnakeLeaderboard.createLeaderboard(storage).entries, []);
+});
+
+test('without localStorage, as under Node, the table lives in memory', () => {
+    const board = SnakeLeaderboard.createLeaderboard();
+    assert.equal(board.entries.length, 0);
+    SnakeLeaderboard.addRun(board, run(30));
+    SnakeLeaderboard.setPlayerName(board, '  Ada  ');
+    assert.deepEqual(SnakeLeaderboard.createLeaderboard(board.storage).entries.map(entry => entry.score), [30]);
+    assert.equal(SnakeLeaderboard.getPlayerName(board), 'Ada');
+});
+
+test('a storage that refuses writes still keeps the table for the session', () => {
+    const storage = { getItem: () => null, setItem: () => { throw new Error('Quota exceeded'); }, removeItem() {} };
+    const board = SnakeLeaderboard.createLeaderboard(storage);
+    assert.equal(SnakeLeaderboard.addRun(board, run(30)).rank, 1);
+    SnakeLeaderboard.setPlayerName(board, 'Ada');
+    assert.equal(SnakeLeaderboard.getPlayerName(board), SnakeLeaderboard.defaultName);
+});
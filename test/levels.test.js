@@ -0,0 +1,23 @@
+// Tests for the campaign levels
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeConfig = require('../config.js');
+const SnakeEngine = require('../engine.js');
+const SnakeLevels = require('../levels.js');
+
+test('every campaign level starts with every cell size the settings allow', () => {
+    for (const gridSize of [10, 20, 30, 40]) {
+        const config = SnakeConfig.createConfig({ gridSize, arenaWidth: gridSize * 12, arenaHeight: gridSize * 12, shrinkAmount: gridSize, minArenaSize: gridSize * 3 });
+        for (const level of SnakeLevels.campaign) {
+            const state = SnakeEngine.createGame({ seed: 1, config, level });
+            assert.equal(state.config.minArenaSize % gridSize, 0, `${level.id} at ${gridSize} px`);
+        }
+    }
+});
+
+test('pixel sizes in a level round to whole cells', () => {
+    const level = SnakeLevels.getCampaignLevel('gauntlet');
+    const config = SnakeConfig.createConfig({ gridSize: 40, arenaWidth: 480, arenaHeight: 480, shrinkAmount: 40, minArenaSize: 120 });
+    assert.equal(level.config.minArenaSize, 100);
+    assert.equal(SnakeLevels.levelConfig(SnakeLevels.parseLevel(level), config).minArenaSize, 120);
+});
@@ -0,0 +1,14 @@
+// Tests for online messages
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEngine = require('../engine.js');
+const SnakeNet = require('../netplay.js');
+
+test('an input message keeps only real directions, no more than the engine queues', () => {
+    const received = SnakeNet.readInput({ seq: 3, turns: ['up', 'constructor', 42, 'left', 'down', 'right', 'up'], sprint: true });
+    assert.deepEqual(received, { seq: 3, input: { turns: ['up', 'left', 'down', 'right', 'up'].slice(0, SnakeEngine.maxQueuedTurns), sprint: true } });
+});
+
+test('an input message without a sequence number is rejected', () => {
+    assert.equal(SnakeNet.readInput({ turns: ['up'] }), null);
+});
@@ -0,0 +1,156 @@
+// Tests for pickups: when items appear and vanish, and what each one does
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeConfig = require('../config.js');
+const SnakeEngine = require('../engine.js');
+const SnakePickups = require('../pickups.js');
+
+// A game whose snake stays put until a test moves it, with the prey out of the way along the bottom row
+function createGame(overrides = {}) {
+    const state = SnakeEngine.createGame({ seed: 1, config: SnakeConfig.createConfig(overrides) });
+    state.players[0].lastUpdateTime = Infinity;
+    state.prey.forEach((prey, i) => {
+        prey.x = 100 + i * state.config.gridSize;
+        prey.y = state.config.arenaHeight - state.config.gridSize;
+    });
+    return state;
+}
+
+// Run ticks for a stretch of game time, collecting their events
+function runFor(state, ms) {
+    const events = [];
+    for (let ticks = ms / SnakeEngine.tickMs; ticks > 0 && !state.isGameOver; ticks--) {
+        events.push(...SnakeEngine.tick(state, null));
+    }
+    return events;
+}
+
+// Lay an item in front of the snake's head and move the snake onto it
+function collect(state, kind) {
+    const player = state.players[0];
+    const gridSize = state.config.gridSize;
+    state.pickups.push({ id: state.nextPickupId++, kind, x: player.snake[0].x + gridSize, y: player.snake[0].y, expiresAt: Infinity });
+    player.lastUpdateTime = -player.gameSpeed;
+    const events = SnakeEngine.tick(state, null);
+    player.lastUpdateTime = Infinity;
+    return events;
+}
+
+// Put the snake on these cells, head first, heading right
+function placeSnake(state, cells) {
+    state.players[0].snake = cells.map(([x, y]) => ({ x, y, prevX: x, prevY: y }));
+    state.players[0].direction = 'right';
+}
+
+test('an item appears every pickupIntervalMs and vanishes after pickupLifetimeMs', () => {
+    const state = createGame({ pickupIntervalMs: 1000, pickupLifetimeMs: 500 });
+    const early = runFor(state, 995);
+    assert.equal(early.filter(event => event.type === 'pickup-spawned').length, 0);
+
+    const spawned = runFor(state, 5).find(event => event.type === 'pickup-spawned');
+    assert.ok(spawned);
+    assert.equal(state.pickups.length, 1);
+    assert.equal(state.pickups[0].expiresAt, 1500);
+
+    const expired = runFor(state, 500).find(event => event.type === 'pickup-expired');
+    assert.equal(expired.id, spawned.id);
+    assert.equal(state.pickups.length, 0);
+});
+
+test('an interval of 0 turns pickups off', () => {
+    const state = createGame({ pickupIntervalMs: 0 });
+    const events = runFor(state, 20000);
+    assert.equal(events.filter(event => event.type === 'pickup-spawned').length, 0);
+});
+
+test('freeze holds every prey ball still until it ends', () => {
+    const state = createGame();
+    const events = collect(state, 'freeze');
+    const until = state.time + SnakePickups.getKind('freeze').durationMs;
+    assert.ok(events.some(event => event.type === 'pickup' && event.kind === 'freeze'));
+    assert.equal(state.frozenUntil, until);
+
+    // A ball right next to the snake would run, but can't
+    const prey = state.prey.find(ball => ball.species !== 'decoy');
+    prey.x = state.players[0].snake[0].x + state.config.gridSize * 2;
+    prey.y = state.players[0].snake[0].y;
+    const frozenAt = { x: prey.x, y: prey.y };
+    runFor(state, 1000);
+    assert.deepEqual({ x: prey.x, y: prey.y }, frozenAt);
+
+    const ended = runFor(state, until - state.time);
+    assert.ok(ended.some(event => event.type === 'effect-ended' && event.kind === 'freeze'));
+    assert.equal(state.frozenUntil, 0);
+});
+
+test('with a magnet, balls only run from a snake that comes much closer', () => {
+    for (const [hasMagnet, isChased] of [[false, true], [true, false]]) {
+        const state = createGame();
+        if (hasMagnet) collect(state, 'magnet');
+        const head = state.players[0].snake[0];
+        const prey = state.prey.find(ball => ball.species === 'runner');
+        prey.x = head.x + state.config.prey.params.fleeDistance; // Close enough to run, but not with a magnet
+        prey.y = head.y;
+        state.prey = [prey];
+        state.lastFoodUpdateTime = -state.config.foodSpeed;
+
+        SnakeEngine.tick(state, null);
+        assert.equal(prey.chaseStartTime !== null, isChased, hasMagnet ? 'magnet' : 'no magnet');
+    }
+});
+
+test('a shield takes the blow of one crash, then the next one kills', () => {
+    const state = createGame();
+    const gridSize = state.config.gridSize;
+    const wallX = state.config.arenaWidth - gridSize;
+    placeSnake(state, [[wallX - gridSize, 100], [wallX - gridSize * 2, 100]]);
+    collect(state, 'shield');
+    assert.ok(state.players[0].shieldUntil > state.time);
+
+    const player = state.players[0];
+    player.lastUpdateTime = -player.gameSpeed;
+    const blocked = SnakeEngine.tick(state, null);
+    assert.ok(blocked.some(event => event.type === 'shielded' && event.cause === 'wall'));
+    assert.ok(player.isAlive);
+    assert.equal(player.snake[0].x, wallX); // Stayed put
+    assert.equal(player.shieldUntil, 0);
+
+    player.lastUpdateTime = -player.gameSpeed;
+    SnakeEngine.tick(state, null);
+    assert.equal(player.deathCause, 'wall');
+});
+
+test('trim drops the last tail segments, but never below the shortest snake', () => {
+    const state = createGame();
+    placeSnake(state, [[200, 100], [180, 100], [160, 100], [140, 100], [120, 100], [100, 100]]);
+    const events = collect(state, 'trim');
+    assert.equal(state.players[0].snake.length, 6 - SnakePickups.trimSegments);
+    assert.ok(events.some(event => event.type === 'trimmed' && event.lost === SnakePickups.trimSegments));
+
+    collect(state, 'trim');
+    assert.equal(state.players[0].snake.length, SnakePickups.minSnakeLength);
+});
+
+test('grow pushes every wall back out by one cell', () => {
+    const state = createGame();
+    const gridSize = state.config.gridSize;
+    state.arena = { x: gridSize, y: gridSize, width: state.config.arenaWidth - gridSize * 2, height: state.config.arenaHeight - gridSize * 2 };
+    const events = collect(state, 'grow');
+    assert.deepEqual(state.arena, { x: 0, y: 0, width: state.config.arenaWidth, height: state.config.arenaHeight });
+    assert.ok(events.some(event => event.type === 'grew'));
+});
+
+test('active effects are listed soonest to end first', () => {
+    const state = createGame();
+    collect(state, 'magnet');
+    runFor(state, 1000);
+    collect(state, 'freeze');
+    const magnetMs = SnakePickups.getKind('magnet').durationMs;
+    const freezeMs = SnakePickups.getKind('freeze').durationMs;
+    assert.deepEqual(SnakeEngine.getActiveEffects(state), [
+        { kind: 'freeze', remainingMs: freezeMs },
+        { kind: 'magnet', remainingMs: magnetMs - 1000 - SnakeEngine.tickMs }
+    ]);
+    runFor(state, freezeMs);
+    assert.deepEqual(SnakeEngine.getActiveEffects(state).map(effect => effect.kind), ['magnet']);
+});
@@ -0,0 +1,32 @@
+// Tests for replay files and playback
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEngine = require('../engine.js');
+const SnakeReplay = require('../replay.js');
+
+// A recorded game with a few turns in it
+function recordGame() {
+    const state = SnakeEngine.createGame({ seed: 5 });
+    const turns = { 30: 'down', 90: 'left', 150: 'up' }; // Frame -> turn
+    for (let frame = 0; frame < 200 && !state.isGameOver; frame++) {
+        SnakeEngine.step(state, turns[frame] ? { turns: [turns[frame]] } : null, 16);
+    }
+    return state;
+}
+
+test('a replay file plays back into the game it recorded', () => {
+    const recorded = recordGame();
+    const replay = SnakeReplay.parseReplay(SnakeReplay.serializeReplay(SnakeReplay.createReplay(recorded)));
+    const player = SnakeReplay.createPlayer(replay);
+    SnakeReplay.seek(player, replay.length);
+    assert.deepEqual(player.game.players[0].snake, recorded.players[0].snake);
+    assert.equal(player.game.players[0].score, recorded.players[0].score);
+});
+
+test('playback catches up on at most maxFrameTime of a long frame, at any speed', () => {
+    const replay = SnakeReplay.createReplay(recordGame());
+    const player = SnakeReplay.createPlayer(replay);
+    player.speed = 4;
+    SnakeReplay.advance(player, 60000); // A minute in a background tab
+    assert.equal(player.game.tick, SnakeEngine.maxFrameTime * 4 / SnakeEngine.tickMs);
+});
@@ -0,0 +1,73 @@
+// Tests for scoring: what a catch is worth, and how the engine keeps a combo going
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEngine = require('../engine.js');
+const SnakeScoring = require('../scoring.js');
+
+// A plain catch: no bonuses, no combo, the whole board open and the snake at start speed
+const plainCatch = { basePoints: 10, isMidFlee: false, isAfterSprint: false, combo: 1, arenaShare: 1, speedShare: 0, goldenMultiplier: 1 };
+
+function score(changes) {
+    return SnakeScoring.scoreCatch(Object.assign({}, plainCatch, changes));
+}
+
+test('a plain catch is worth its species points', () => {
+    assert.deepEqual(score({}), { points: 10, parts: [{ part: 'catch', points: 10 }] });
+});
+
+test('catching a running ball or one just after a long sprint adds flat bonuses', () => {
+    assert.deepEqual(score({ isMidFlee: true, isAfterSprint: true }).parts, [
+        { part: 'catch', points: 10 },
+        { part: 'mid-flee', points: 5 },
+        { part: 'after-sprint', points: 10 }
+    ]);
+});
+
+test('a combo multiplies the points, up to maxCombo catches in a row', () => {
+    assert.equal(score({ combo: 2 }).points, 13); // 10 × 1.25, rounded
+    assert.equal(score({ combo: SnakeScoring.maxCombo }).points, 20); // 10 × 2
+    assert.equal(score({ combo: SnakeScoring.maxCombo + 5 }).points, 20);
+});
+
+test('a smaller arena and a faster snake multiply the points', () => {
+    assert.deepEqual(score({ arenaShare: 0.5 }).parts, [{ part: 'catch', points: 10 }, { part: 'arena', points: 3 }]); // 10 × 1.25, rounded
+    assert.deepEqual(score({ speedShare: 1 }).parts, [{ part: 'catch', points: 10 }, { part: 'speed', points: 5 }]);
+    assert.equal(score({ arenaShare: 0, speedShare: 1 }).points, 23); // 10 × 1.5 = 15, × 1.5 = 22.5 → 23
+});
+
+test('golden double points double everything else, and the parts add up to the points', () => {
+    const scored = score({ isMidFlee: true, combo: 3, goldenMultiplier: 2 });
+    assert.equal(scored.points, 46); // (10 + 5) × 1.5 = 23, × 2
+    assert.deepEqual(scored.parts[scored.parts.length - 1], { part: 'golden', points: 23 });
+    assert.equal(scored.parts.reduce((sum, part) => sum + part.points, 0), scored.points);
+});
+
+// A game with its prey out of the way, and a helper that lays a ball in front of the snake and moves onto it
+function createCatcher() {
+    const state = SnakeEngine.createGame({ seed: 1, config: { wallMode: 'wrap' } });
+    state.prey.forEach((prey, i) => {
+        prey.x = i * state.config.gridSize;
+        prey.y = state.config.arenaHeight - state.config.gridSize;
+    });
+    const player = state.players[0];
+    const catchAt = time => {
+        while (state.time + SnakeEngine.tickMs < time) SnakeEngine.tick(state, null);
+        const prey = state.prey.find(ball => ball.species !== 'decoy');
+        const next = { x: (player.snake[0].x + state.config.gridSize) % state.config.arenaWidth, y: player.snake[0].y };
+        Object.assign(prey, next, { prevX: next.x, prevY: next.y, lastFleeTime: null, lastLongSprintTime: null });
+        state.lastFoodUpdateTime = state.time; // It doesn't get to run
+        player.lastUpdateTime = -player.gameSpeed;
+        SnakeEngine.tick(state, null);
+        player.lastUpdateTime = Infinity;
+        return player.combo;
+    };
+    player.lastUpdateTime = Infinity;
+    return catchAt;
+}
+
+test('catches within comboWindowMs of each other build a combo, a later one starts over', () => {
+    const catchAt = createCatcher();
+    assert.equal(catchAt(100), 1);
+    assert.equal(catchAt(100 + SnakeScoring.comboWindowMs), 2);
+    assert.equal(catchAt(200 + SnakeScoring.comboWindowMs * 2), 1);
+});
@@ -0,0 +1,334 @@
+// Tests for the online server: its HTTP side, the WebSocket protocol and the rooms' round lifecycle
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const crypto = require('node:crypto');
+const { parseArgs, createServer } = require('../server.js');
+const WebSocket = require('../websocket.js');
+const SnakeNet = require('../netplay.js');
+
+const opcodes = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+// Start a server on a free port; resolves to { server, port }
+function startServer() {
+    const server = createServer(parseArgs([]));
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, port: server.httpServer.address().port })));
+}
+
+function stopServer(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+// Send raw request text and resolve with everything the server sends back before it closes the connection
+function sendRaw(port, text) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => socket.write(text));
+        let received = '';
+        socket.on('data', chunk => { received += chunk; });
+        socket.on('close', () => resolve(received));
+        socket.on('error', reject);
+    });
+}
+
+// Parse the (unmasked) server frame at the start of buffer: { opcode, payload, length }, or null if it isn't all there yet
+function decodeServerFrame(buffer) {
+    if (buffer.length < 2) return null;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    }
+    if (buffer.length < offset + payloadLength) return null;
+    return { opcode: buffer[0] & 0x0F, payload: buffer.subarray(offset, offset + payloadLength), length: offset + payloadLength };
+}
+
+const openSockets = new Set(); // Client sockets not closed yet, so a failed test doesn't leave its server waiting on them
+
+// Open a WebSocket to the server over a raw socket; resolves to a client once the response headers are in
+// client.head holds the headers and client.key the Sec-WebSocket-Key sent
+// client.frame(opcode, payload, { fin, masked }) builds one frame, client.write(...) sends it and client.sendJson(message) sends a text message
+// client.nextFrame() resolves with the next frame from the server, client.nextMessage(type) with its next message of a type
+// client.ended resolves when the connection is closed
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const key = crypto.randomBytes(16).toString('base64');
+        const socket = net.connect(port, '127.0.0.1', () => socket.write([
+            `GET ${SnakeNet.socketPath} HTTP/1.1`,
+            'Host: localhost',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Key: ${key}`,
+            'Sec-WebSocket-Version: 13',
+            '', ''
+        ].join('\r\n')));
+        openSockets.add(socket);
+        socket.on('close', () => openSockets.delete(socket));
+        let buffer = Buffer.alloc(0);
+        const frames = []; // Frames received but not yet taken
+        const waiting = []; // nextFrame calls still waiting for a frame
+
+        const client = {
+            socket,
+            key,
+            head: null,
+            frame(opcode, payload, { fin = true, masked = true } = {}) {
+                const mask = masked ? crypto.randomBytes(4) : Buffer.alloc(0);
+                let header;
+                if (payload.length < 126) {
+                    header = Buffer.from([0, payload.length]);
+                } else {
+                    header = Buffer.from([0, 126, 0, 0]);
+                    header.writeUInt16BE(payload.length, 2);
+                }
+                header[0] = (fin ? 0x80 : 0) | opcode;
+                if (masked) header[1] |= 0x80;
+                const body = masked ? payload.map((byte, i) => byte ^ mask[i % 4]) : payload;
+                return Buffer.concat([header, mask, body]);
+            },
+            write(opcode, payload, options) {
+                socket.write(client.frame(opcode, payload, options));
+            },
+            sendJson(message) {
+                client.write(opcodes.text, Buffer.from(JSON.stringify(message)));
+            },
+            nextFrame() {
+                if (frames.length > 0) return Promise.resolve(frames.shift());
+                return new Promise(resolveFrame => waiting.push(resolveFrame));
+            },
+            async nextMessage(type) {
+                for (;;) {
+                    const frame = await client.nextFrame();
+                    if (frame.opcode !== opcodes.text) continue;
+                    const message = JSON.parse(frame.payload.toString('utf8'));
+                    if (message.type === type) return message;
+                }
+            },
+            ended: new Promise(resolveEnded => socket.on('close', resolveEnded)),
+            end() {
+                socket.end();
+            }
+        };
+
+        socket.on('data', data => {
+            buffer = Buffer.concat([buffer, data]);
+            if (client.head === null) {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end === -1) return;
+                client.head = buffer.subarray(0, end).toString('utf8');
+                buffer = buffer.subarray(end + 4);
+                resolve(client);
+            }
+            let frame;
+            while ((frame = decodeServerFrame(buffer)) !== null) {
+                buffer = buffer.subarray(frame.length);
+                if (waiting.length > 0) {
+                    waiting.shift()(frame);
+                } else {
+                    frames.push(frame);
+                }
+            }
+        });
+        socket.on('error', reject);
+    });
+}
+
+// Run fn with a started server, always closing it (and any client left open) afterwards
+async function withServer(fn) {
+    const { server, port } = await startServer();
+    try {
+        await fn(server, port);
+    } finally {
+        for (const socket of openSockets) socket.destroy();
+        await stopServer(server);
+    }
+}
+
+test('an upgrade request for an unparsable URL is dropped without stopping the server', async () => {
+    await withServer(async (server, port) => {
+        const dropped = await sendRaw(port, 'GET //[ HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n');
+        assert.equal(dropped, '');
+
+        const page = await sendRaw(port, 'GET /missing.js HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+        assert.match(page, /^HTTP\/1\.1 404/);
+    });
+});
+
+test('the handshake answers 101 with the Sec-WebSocket-Accept the RFC derives from the key', async () => {
+    await withServer(async (server, port) => {
+        const client = await connect(port);
+        const accept = crypto.createHash('sha1').update(client.key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+        assert.match(client.head, /^HTTP\/1\.1 101 Switching Protocols\r\n/);
+        assert.ok(client.head.split('\r\n').includes(`Sec-WebSocket-Accept: ${accept}`));
+        client.end();
+        await client.ended;
+    });
+});
+
+test('a handshake without a key or with another version is refused with 400', async () => {
+    await withServer(async (server, port) => {
+        const upgrade = `GET ${SnakeNet.socketPath} HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n`;
+        const noKey = await sendRaw(port, `${upgrade}Sec-WebSocket-Version: 13\r\n\r\n`);
+        assert.match(noKey, /^HTTP\/1\.1 400/);
+        const oldVersion = await sendRaw(port, `${upgrade}Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}\r\nSec-WebSocket-Version: 8\r\n\r\n`);
+        assert.match(oldVersion, /^HTTP\/1\.1 400/);
+    });
+});
+
+test('masked text messages are read whole, fragmented or split across packets', async () => {
+    await withServer(async (server, port) => {
+        const client = await connect(port);
+        client.sendJson({ type: 'ping', time: 1 });
+        assert.deepEqual(await client.nextMessage('pong'), { type: 'pong', time: 1 });
+
+        // One message in three fragments, with a ping (a control frame) between them
+        const text = Buffer.from(JSON.stringify({ type: 'ping', time: 2 }));
+        client.write(opcodes.text, text.subarray(0, 5), { fin: false });
+        client.write(opcodes.continuation, text.subarray(5, 10), { fin: false });
+        client.write(opcodes.ping, Buffer.from('hi'));
+        client.write(opcodes.continuation, text.subarray(10));
+        const pong = await client.nextFrame();
+        assert.equal(pong.opcode, opcodes.pong);
+        assert.equal(pong.payload.toString(), 'hi');
+        assert.deepEqual(await client.nextMessage('pong'), { type: 'pong', time: 2 });
+
+        // A frame that arrives a byte at a time
+        const frame = client.frame(opcodes.text, Buffer.from(JSON.stringify({ type: 'ping', time: 3 })));
+        for (const byte of frame) {
+            await new Promise(resolve => client.socket.write(Buffer.from([byte]), resolve));
+        }
+        assert.deepEqual(await client.nextMessage('pong'), { type: 'pong', time: 3 });
+
+        client.end();
+        await client.ended;
+    });
+});
+
+test('a close frame is answered with a close frame and the connection ends', async () => {
+    await withServer(async (server, port) => {
+        const client = await connect(port);
+        client.write(opcodes.close, Buffer.from([0x03, 0xE8]));
+        const close = await client.nextFrame();
+        assert.equal(close.opcode, opcodes.close);
+        assert.equal(close.payload.readUInt16BE(0), 1000);
+        await client.ended;
+    });
+});
+
+// Send one bad frame and resolve with the close code the server answers with (it then ends the connection)
+async function closeCodeFor(port, send) {
+    const client = await connect(port);
+    send(client);
+    const close = await client.nextFrame();
+    assert.equal(close.opcode, opcodes.close);
+    await client.ended;
+    return close.payload.readUInt16BE(0);
+}
+
+test('protocol errors, binary data and oversized messages close the connection with their codes', async () => {
+    await withServer(async (server, port) => {
+        assert.equal(await closeCodeFor(port, client => client.write(opcodes.text, Buffer.from('{}'), { masked: false })), 1002);
+        assert.equal(await closeCodeFor(port, client => client.write(opcodes.continuation, Buffer.from('{}'))), 1002);
+        assert.equal(await closeCodeFor(port, client => client.write(opcodes.binary, Buffer.from([1, 2, 3]))), 1003);
+
+        // A frame that declares more than maxMessageBytes (64-bit length) is refused before its payload arrives
+        assert.equal(await closeCodeFor(port, client => {
+            const header = Buffer.alloc(10);
+            header[0] = 0x80 | opcodes.text;
+            header[1] = 0x80 | 127;
+            header.writeBigUInt64BE(BigInt(WebSocket.maxMessageBytes + 1), 2);
+            client.socket.write(header);
+        }), 1009);
+
+        // Fragments that only add up to too much
+        assert.equal(await closeCodeFor(port, client => {
+            const half = Buffer.alloc(WebSocket.maxMessageBytes / 2 + 1, 0x20);
+            client.write(opcodes.text, half, { fin: false });
+            client.write(opcodes.continuation, half);
+        }), 1009);
+    });
+});
+
+test('a room seats two players, starts a round for them and refuses a third', async () => {
+    await withServer(async (server, port) => {
+        const first = await connect(port);
+        first.sendJson({ type: 'join', room: ' lobby ' });
+        assert.deepEqual(await first.nextMessage('waiting'), { type: 'waiting', room: 'lobby' });
+
+        const second = await connect(port);
+        second.sendJson({ type: 'join', room: 'lobby' });
+        const starts = await Promise.all([first.nextMessage('start'), second.nextMessage('start')]);
+        assert.deepEqual(starts.map(start => start.you), [0, 1]);
+        assert.equal(starts[0].seed, starts[1].seed);
+        assert.deepEqual(starts[0].wins, [0, 0]);
+
+        const third = await connect(port);
+        third.sendJson({ type: 'join', room: 'lobby' });
+        assert.deepEqual(await third.nextMessage('error'), { type: 'error', message: 'Room "lobby" is full' });
+
+        for (const client of [first, second, third]) client.end();
+        await Promise.all([first.ended, second.ended, third.ended]);
+        assert.equal(server.rooms.size, 0);
+    });
+});
+
+test('when a player leaves, the other is told and waits for a new opponent', async () => {
+    await withServer(async (server, port) => {
+        const first = await connect(port);
+        const second = await connect(port);
+        first.sendJson({ type: 'join', room: 'duel' });
+        second.sendJson({ type: 'join', room: 'duel' });
+        await Promise.all([first.nextMessage('start'), second.nextMessage('start')]);
+
+        second.end();
+        await second.ended;
+        await first.nextMessage('opponent-left');
+        assert.deepEqual(await first.nextMessage('waiting'), { type: 'waiting', room: 'duel' });
+        const room = server.rooms.get('duel');
+        assert.equal(room.game, null);
+        assert.deepEqual(room.clients.map(Boolean), [true, false]);
+
+        // A newcomer takes the free seat and a fresh match starts
+        const third = await connect(port);
+        third.sendJson({ type: 'join', room: 'duel' });
+        const starts = await Promise.all([first.nextMessage('start'), third.nextMessage('start')]);
+        assert.deepEqual(starts.map(start => start.you), [0, 1]);
+
+        first.end();
+        third.end();
+        await Promise.all([first.ended, third.ended]);
+    });
+});
+
+test('a finished round is scored for both players and the next one starts after the break', async t => {
+    const roundBreakMs = SnakeNet.roundBreakMs;
+    SnakeNet.roundBreakMs = 50; // Don't wait the real break out
+    t.after(() => { SnakeNet.roundBreakMs = roundBreakMs; });
+
+    await withServer(async (server, port) => {
+        const first = await connect(port);
+        const second = await connect(port);
+        first.sendJson({ type: 'join', room: 'duel' });
+        second.sendJson({ type: 'join', room: 'duel' });
+        await Promise.all([first.nextMessage('start'), second.nextMessage('start')]);
+
+        // End the round as if player 1 had won it; the server's loop notices on its next step
+        const game = server.rooms.get('duel').game;
+        game.isGameOver = true;
+        game.winner = 1;
+        const overs = await Promise.all([first.nextMessage('round-over'), second.nextMessage('round-over')]);
+        for (const over of overs) {
+            assert.deepEqual(over, { type: 'round-over', winner: 1, wins: [0, 1], draws: 0, nextRoundMs: 50 });
+        }
+        assert.notEqual(server.rooms.get('duel').nextRoundTimer, null);
+
+        const nextStarts = await Promise.all([first.nextMessage('start'), second.nextMessage('start')]);
+        for (const start of nextStarts) assert.deepEqual(start.wins, [0, 1]);
+        assert.equal(nextStarts[0].seed, nextStarts[1].seed);
+
+        first.end();
+        second.end();
+        await Promise.all([first.ended, second.ended]);
+    });
+});
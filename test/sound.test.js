@@ -0,0 +1,68 @@
+// Tests for the event bus and the sounds it plays, with a stand-in for the browser's AudioContext
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEvents = require('../events.js');
+const SnakeSound = require('../sound.js');
+
+// Just enough of an AudioContext to play through; counts the oscillators started
+function createFakeContext() {
+    const param = () => ({ value: 0, setValueAtTime() {}, exponentialRampToValueAtTime() {} });
+    return {
+        currentTime: 0,
+        state: 'running',
+        destination: {},
+        oscillators: 0,
+        resume() {},
+        createGain: () => ({ gain: param(), connect() {} }),
+        createOscillator() {
+            this.oscillators++;
+            return { frequency: param(), connect() {}, start() {}, stop() {} };
+        }
+    };
+}
+
+test('the bus calls the handlers of an event type and of every event until they stop listening', () => {
+    const bus = SnakeEvents.createEventBus();
+    const seen = [];
+    const stopAll = SnakeEvents.on(bus, SnakeEvents.anyType, event => seen.push(`any:${event.type}`));
+    SnakeEvents.on(bus, 'ate', event => seen.push(`ate:${event.points}`));
+
+    SnakeEvents.emit(bus, { type: 'ate', points: 10 });
+    stopAll();
+    SnakeEvents.emit(bus, { type: 'died' });
+    assert.deepEqual(seen, ['ate:10', 'any:ate']);
+});
+
+test('biting a decoy sounds like a decoy even when it costs no points', () => {
+    assert.equal(SnakeSound.soundForEvent({ type: 'ate', species: 'decoy', points: -0 }), 'decoy');
+    assert.equal(SnakeSound.soundForEvent({ type: 'ate', species: 'runner', points: 10 }), 'catch');
+    assert.equal(SnakeSound.soundForEvent({ type: 'spawned' }), null);
+});
+
+test('events on the bus play their sounds once the audio is unlocked, each no faster than its minimum interval', () => {
+    const context = createFakeContext();
+    const audio = SnakeSound.createAudio({ createContext: () => context });
+    const bus = SnakeEvents.createEventBus();
+    SnakeSound.listen(bus, audio);
+
+    SnakeEvents.emit(bus, { type: 'fled' });
+    assert.equal(context.oscillators, 0); // Still locked
+
+    SnakeSound.unlock(audio);
+    SnakeEvents.emit(bus, { type: 'fled' });
+    SnakeEvents.emit(bus, { type: 'fled' });
+    assert.equal(context.oscillators, SnakeSound.effects['flee-step'].tones.length);
+
+    context.currentTime += SnakeSound.effects['flee-step'].minIntervalMs / 1000;
+    SnakeEvents.emit(bus, { type: 'fled' });
+    assert.equal(context.oscillators, SnakeSound.effects['flee-step'].tones.length * 2);
+});
+
+test('nothing plays without an AudioContext', () => {
+    const audio = SnakeSound.createAudio({ createContext: () => null });
+    SnakeSound.unlock(audio);
+    SnakeSound.play(audio, 'catch');
+    SnakeSound.updateMusic(audio, 150);
+    assert.equal(audio.context, null);
+    assert.equal(audio.nextNoteTime, null);
+});
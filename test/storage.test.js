@@ -0,0 +1,58 @@
+// Tests for saved settings and progress, and the modules that load and save through storage.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeStorage = require('../storage.js');
+const SnakeThemes = require('../themes.js');
+const SnakeSound = require('../sound.js');
+const SnakeAccess = require('../access.js');
+const SnakeInput = require('../input.js');
+const SnakeDaily = require('../daily.js');
+
+// Storage that throws on every call, like localStorage when it is blocked or full
+const blockedStorage = {
+    getItem: () => { throw new Error('Access denied'); },
+    setItem: () => { throw new Error('Quota exceeded'); },
+    removeItem: () => { throw new Error('Access denied'); }
+};
+
+test('text and JSON are saved and read back', () => {
+    const storage = SnakeStorage.createMemoryStorage();
+    assert.equal(SnakeStorage.saveText(storage, 'a', 'hello'), true);
+    assert.equal(SnakeStorage.loadText(storage, 'a'), 'hello');
+    assert.equal(SnakeStorage.saveJson(storage, 'b', { x: [1, 2] }), true);
+    assert.deepEqual(SnakeStorage.loadJson(storage, 'b'), { x: [1, 2] });
+});
+
+test('missing, corrupt or blocked storage loads as null and refused saves return false', () => {
+    const storage = SnakeStorage.createMemoryStorage();
+    assert.equal(SnakeStorage.loadText(storage, 'missing'), null);
+    assert.equal(SnakeStorage.loadJson(storage, 'missing'), null);
+    storage.setItem('corrupt', '{ not json');
+    assert.equal(SnakeStorage.loadJson(storage, 'corrupt'), null);
+
+    assert.equal(SnakeStorage.loadText(blockedStorage, 'a'), null);
+    assert.equal(SnakeStorage.loadJson(blockedStorage, 'a'), null);
+    assert.equal(SnakeStorage.saveText(blockedStorage, 'a', 'hello'), false);
+    assert.equal(SnakeStorage.saveJson(blockedStorage, 'a', {}), false);
+});
+
+test('without localStorage, as under Node, the default storage lives in memory', () => {
+    const storage = SnakeStorage.getDefaultStorage();
+    SnakeStorage.saveText(storage, 'a', 'hello');
+    assert.equal(SnakeStorage.loadText(storage, 'a'), 'hello');
+    assert.equal(SnakeStorage.loadText(SnakeStorage.getDefaultStorage(), 'a'), null); // A fresh one each time
+});
+
+test('every saved setting falls back to its default on blocked storage, and saving it does not throw', () => {
+    assert.equal(SnakeThemes.loadThemeName(blockedStorage), SnakeThemes.defaultTheme);
+    assert.deepEqual(SnakeSound.loadSettings(blockedStorage), SnakeSound.loadSettings(SnakeStorage.createMemoryStorage()));
+    assert.deepEqual(SnakeAccess.loadSettings(blockedStorage), SnakeAccess.loadSettings(SnakeStorage.createMemoryStorage()));
+    assert.deepEqual(SnakeInput.loadKeyBindings(blockedStorage), SnakeInput.defaultKeyBindings);
+    assert.equal(SnakeDaily.getAttempt(blockedStorage, '2026-10-19'), null);
+
+    SnakeThemes.saveThemeName(blockedStorage, SnakeThemes.defaultTheme);
+    SnakeSound.saveSettings(blockedStorage, { muted: true, volume: 0.5 });
+    SnakeAccess.saveSettings(blockedStorage, { motion: 'reduced', announcePrey: true });
+    SnakeInput.saveKeyBindings(blockedStorage, SnakeInput.defaultKeyBindings);
+    assert.equal(SnakeDaily.startAttempt(blockedStorage, '2026-10-19'), true); // Counted, but only remembered for this session
+});
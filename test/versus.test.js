@@ -0,0 +1,93 @@
+// Tests for versus rounds: what happens when two snakes meet, and who wins
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEngine = require('../engine.js');
+const SnakeLevels = require('../levels.js');
+
+// A two-player game with both snakes due to move on the next tick and the prey out of the way in the top row
+function createVersus(level = null) {
+    const state = SnakeEngine.createGame({ seed: 1, players: 2, level });
+    state.prey.forEach((prey, i) => {
+        prey.x = i * state.config.gridSize;
+        prey.y = 0;
+    });
+    state.lastFoodUpdateTime = state.config.foodSpeed; // The prey sit still for the next few ticks
+    for (const player of state.players) player.lastUpdateTime = -player.gameSpeed;
+    return state;
+}
+
+// Put a player's snake on these cells, head first, heading a direction
+function placeSnake(state, index, direction, cells) {
+    const player = state.players[index];
+    player.snake = cells.map(([x, y]) => ({ x, y, prevX: x, prevY: y }));
+    player.direction = direction;
+}
+
+test('two heads moving onto one cell kill both snakes of equal length, and the round is a draw', () => {
+    const state = createVersus();
+    placeSnake(state, 0, 'right', [[180, 200], [160, 200]]);
+    placeSnake(state, 1, 'left', [[220, 200], [240, 200]]);
+
+    const events = SnakeEngine.tick(state, null);
+
+    assert.deepEqual(state.players.map(player => player.deathCause), ['head-on', 'head-on']);
+    assert.ok(state.isGameOver);
+    assert.equal(state.winner, null);
+    assert.ok(events.some(event => event.type === 'round-over' && event.winner === null));
+});
+
+test('two heads moving onto one cell kill only the shorter snake, and the longer one wins', () => {
+    const state = createVersus();
+    placeSnake(state, 0, 'right', [[180, 200], [160, 200], [140, 200]]);
+    placeSnake(state, 1, 'left', [[220, 200], [240, 200]]);
+
+    SnakeEngine.tick(state, null);
+
+    assert.ok(state.players[0].isAlive);
+    assert.equal(state.players[1].deathCause, 'head-on');
+    assert.equal(state.winner, 0);
+});
+
+test('two heads swapping cells is head-on too', () => {
+    const state = createVersus();
+    placeSnake(state, 0, 'right', [[180, 200], [160, 200]]);
+    placeSnake(state, 1, 'left', [[200, 200], [220, 200], [240, 200]]);
+
+    SnakeEngine.tick(state, null);
+
+    assert.equal(state.players[0].deathCause, 'head-on');
+    assert.ok(state.players[1].isAlive);
+    assert.equal(state.winner, 1);
+});
+
+test('running into the body of the other snake kills only the runner', () => {
+    const state = createVersus();
+    placeSnake(state, 0, 'down', [[200, 180], [200, 160]]);
+    placeSnake(state, 1, 'left', [[180, 200], [200, 200], [220, 200], [240, 200]]);
+
+    SnakeEngine.tick(state, null);
+
+    assert.equal(state.players[0].deathCause, 'snake');
+    assert.ok(state.players[1].isAlive);
+    assert.equal(state.winner, 1);
+});
+
+test('the first player to reach the level target score wins the round', () => {
+    const level = SnakeLevels.getCampaignLevel('first');
+    const state = createVersus(level);
+    const gridSize = state.config.gridSize;
+    placeSnake(state, 0, 'right', [[60, 100], [40, 100]]);
+    placeSnake(state, 1, 'left', [[180, 180], [200, 180]]);
+    state.players[1].score = level.targetScore - 1;
+    const prey = state.prey.find(ball => ball.species !== 'decoy');
+    prey.x = 180 - gridSize;
+    prey.y = 180;
+
+    const events = SnakeEngine.tick(state, null);
+
+    assert.ok(state.players[1].score >= level.targetScore);
+    assert.ok(state.isGameOver);
+    assert.equal(state.winner, 1);
+    assert.ok(events.some(event => event.type === 'round-over' && event.winner === 1));
+    assert.ok(state.players.every(player => player.isAlive));
+});
@@ -0,0 +1,69 @@
+// Tests for the wall modes: wrap-around and soft walls
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeConfig = require('../config.js');
+const SnakeEngine = require('../engine.js');
+
+// A game in a wall mode with the snake on these cells (head first), due to move on the next tick,
+// and the prey out of the way along the bottom row
+function createGame(wallMode, direction, cells) {
+    const state = SnakeEngine.createGame({ seed: 1, config: SnakeConfig.createConfig({ wallMode }) });
+    const player = state.players[0];
+    player.snake = cells.map(([x, y]) => ({ x, y, prevX: x, prevY: y }));
+    player.direction = direction;
+    player.lastUpdateTime = -player.gameSpeed;
+    state.prey.forEach((prey, i) => {
+        prey.x = 100 + i * state.config.gridSize;
+        prey.y = state.config.arenaHeight - state.config.gridSize;
+    });
+    state.lastFoodUpdateTime = state.config.foodSpeed; // The prey sit still for the next few ticks
+    return state;
+}
+
+test('with wrap-around walls the snake leaves one edge and comes back on the opposite one', () => {
+    const state = createGame('wrap', 'right', [[380, 100], [360, 100]]);
+    SnakeEngine.tick(state, null);
+    assert.ok(state.players[0].isAlive);
+    assert.deepEqual(state.players[0].snake.map(segment => [segment.x, segment.y]), [[0, 100], [380, 100]]);
+
+    const up = createGame('wrap', 'up', [[200, 0], [200, 20]]);
+    SnakeEngine.tick(up, null);
+    assert.deepEqual([up.players[0].snake[0].x, up.players[0].snake[0].y], [200, 380]);
+});
+
+test('with wrap-around walls the prey measures how close the snake is the short way round', () => {
+    for (const [wallMode, isChased] of [['wrap', true], ['solid', false]]) {
+        const state = createGame(wallMode, 'left', [[0, 200], [20, 200]]);
+        state.players[0].lastUpdateTime = 0; // The snake stays put
+        const prey = state.prey[0];
+        prey.species = 'runner';
+        prey.x = 380; // One cell away across the left edge, the whole arena away inside it
+        prey.y = 200;
+        state.prey = [prey];
+        state.lastFoodUpdateTime = -state.config.foodSpeed;
+
+        SnakeEngine.tick(state, null);
+        assert.equal(prey.chaseStartTime !== null, isChased, wallMode);
+    }
+});
+
+test('a soft wall turns the snake along it towards the side with more room', () => {
+    const towardsBottom = createGame('soft', 'right', [[380, 100], [360, 100]]);
+    const events = SnakeEngine.tick(towardsBottom, null);
+    assert.ok(towardsBottom.players[0].isAlive);
+    assert.equal(towardsBottom.players[0].direction, 'down');
+    assert.deepEqual([towardsBottom.players[0].snake[0].x, towardsBottom.players[0].snake[0].y], [380, 120]);
+    assert.ok(events.some(event => event.type === 'bounced' && event.direction === 'down'));
+
+    const towardsTop = createGame('soft', 'right', [[380, 300], [360, 300]]);
+    SnakeEngine.tick(towardsTop, null);
+    assert.equal(towardsTop.players[0].direction, 'up');
+});
+
+test('a soft wall crashes the snake only when both ways along it are blocked', () => {
+    // In the top right corner with its own body below the head
+    const state = createGame('soft', 'right', [[380, 0], [380, 20], [360, 20], [340, 20]]);
+    SnakeEngine.tick(state, null);
+    assert.equal(state.players[0].isAlive, false);
+    assert.equal(state.players[0].deathCause, 'wall');
+});
@@ -0,0 +1,210 @@
+// Themes for The Prey That Runs
+// A theme is everything the renderer needs to know about how the game looks: the colours of the board,
+// walls and snakes, how a snake's body, head and eyes are drawn and what the prey balls look like.
+// The rules never depend on it, so any theme can be picked at any time; the choice is saved in the browser.
+(function (root) {
+    'use strict';
+
+    const PreySpecies = (typeof module !== 'undefined' && module.exports) ? require('./prey-species.js') : root.PreySpecies;
+    const SnakeStorage = (typeof module !== 'undefined' && module.exports) ? require('./storage.js') : root.SnakeStorage;
+
+    const storageKey = 'preyThatRuns.theme'; // Where the chosen theme is saved
+
+    // How the parts of a theme can be drawn
+    const snakeStyles = ['smooth', 'segmented', 'gradient']; // One thick path, a square per segment, or a path fading to the tail
+    const headStyles = ['round', 'square'];
+    const eyeStyles = ['round', 'dot', 'none']; // White eyes with pupils, pupils only, or no eyes
+    const preyShapes = ['circle', 'diamond', 'triangle', 'square', 'star', 'cross'];
+
+    // Every built-in theme, in the order the picker lists them
+    // board, wall, obstacle, spawnZone, shrinkWarning: colours of the board and the arena around it
+    // edges: line around the arena for wrap-around and soft walls; overlay, overlayText: the pause screen
+    // snakes: one { name, body, border, tail } per player (tail: last colour of a gradient body)
+    // snakeStyle, headStyle, eyes: { style, sclera, pupil, outline }: how snakes are drawn
+    // prey: look of each species, { color, borderColor, shape } (anything left out comes from prey-species.js,
+    //       and balls are circles unless a shape is given)
+    // negativePoints: colour of the popup of a decoy bite
+    const themes = {
+        classic: {
+            name: 'classic',
+            label: 'Classic',
+            description: 'Light board, red and blue snakes',
+            board: '#cee2f0',
+            wall: '#2c3e50',
+            obstacle: '#34495e',
+            spawnZone: 'rgba(39, 174, 96, 0.15)',
+            shrinkWarning: 'rgba(231, 76, 60, 0.35)',
+            edges: { wrap: '#ecf0f1', soft: '#f5b041' },
+            overlay: 'rgba(44, 62, 80, 0.6)',
+            overlayText: '#ffffff',
+            snakes: [
+                { name: 'red', body: '#e74c3c', border: '#c0392b', tail: '#f1948a' },
+                { name: 'blue', body: '#3498db', border: '#2980b9', tail: '#85c1e9' }
+            ],
+            snakeStyle: 'smooth',
+            headStyle: 'round',
+            eyes: { style: 'round', sclera: '#ffffff', pupil: '#000000', outline: '#000000' },
+            prey: {},
+            negativePoints: '#c0392b'
+        },
+        night: {
+            name: 'night',
+            label: 'Night',
+            description: 'Dark board, glowing snakes that fade to the tail',
+            board: '#17202a',
+            wall: '#0b0f14',
+            obstacle: '#4d5656',
+            spawnZone: 'rgba(46, 204, 113, 0.12)',
+            shrinkWarning: 'rgba(231, 76, 60, 0.45)',
+            edges: { wrap: '#5d6d7e', soft: '#f5b041' },
+            overlay: 'rgba(11, 15, 20, 0.7)',
+            overlayText: '#ffffff',
+            snakes: [
+                { name: 'green', body: '#2ecc71', border: '#1d8348', tail: '#0e6251' },
+                { name: 'pink', body: '#ff6fb5', border: '#b03a7a', tail: '#6c2148' }
+            ],
+            snakeStyle: 'gradient',
+            headStyle: 'round',
+            eyes: { style: 'round', sclera: '#fdfefe', pupil: '#17202a', outline: '#17202a' },
+            prey: {},
+            negativePoints: '#ff6b6b'
+        },
+        retro: {
+            name: 'retro',
+            label: 'Retro',
+            description: 'Four shades of green on a blocky handheld screen',
+            board: '#9bbc0f',
+            wall: '#0f380f',
+            obstacle: '#306230',
+            spawnZone: 'rgba(48, 98, 48, 0.2)',
+            shrinkWarning: 'rgba(15, 56, 15, 0.35)',
+            edges: { wrap: '#8bac0f', soft: '#306230' },
+            overlay: 'rgba(15, 56, 15, 0.7)',
+            overlayText: '#9bbc0f',
+            snakes: [
+                { name: 'dark', body: '#0f380f', border: '#0f380f', tail: '#306230' },
+                { name: 'light', body: '#306230', border: '#0f380f', tail: '#8bac0f' }
+            ],
+            snakeStyle: 'segmented',
+            headStyle: 'square',
+            eyes: { style: 'dot', sclera: '#9bbc0f', pupil: '#9bbc0f', outline: '#9bbc0f' },
+            // Every ball is the same ink, so the species go by shape
+            prey: {
+                runner: { color: '#306230', borderColor: '#0f380f', shape: 'circle' },
+                timid: { color: '#306230', borderColor: '#0f380f', shape: 'diamond' },
+                golden: { color: '#8bac0f', borderColor: '#0f380f', shape: 'star' },
+                splitter: { color: '#306230', borderColor: '#0f380f', shape: 'square' },
+                shard: { color: '#306230', borderColor: '#0f380f', shape: 'square' },
+                decoy: { color: '#8bac0f', borderColor: '#306230', shape: 'cross' }
+            },
+            negativePoints: '#0f380f'
+        },
+        colorblind: {
+            name: 'colorblind',
+            label: 'Colour-blind safe',
+            description: 'Colours told apart with any colour vision, and a shape for every species',
+            board: '#e5ecf1',
+            wall: '#2c3e50',
+            obstacle: '#5d6d7e',
+            spawnZone: 'rgba(0, 114, 178, 0.12)',
+            shrinkWarning: 'rgba(213, 94, 0, 0.35)',
+            edges: { wrap: '#ffffff', soft: '#e69f00' },
+            overlay: 'rgba(44, 62, 80, 0.6)',
+            overlayText: '#ffffff',
+            // Okabe-Ito colours
+            snakes: [
+                { name: 'blue', body: '#0072b2', border: '#004b75', tail: '#56b4e9' },
+                { name: 'orange', body: '#e69f00', border: '#a06e00', tail: '#f5cf7a' }
+            ],
+            snakeStyle: 'smooth',
+            headStyle: 'round',
+            eyes: { style: 'round', sclera: '#ffffff', pupil: '#000000', outline: '#000000' },
+            prey: {
+                runner: { color: '#d55e00', borderColor: '#8f3f00', shape: 'circle' },
+                timid: { color: '#cc79a7', borderColor: '#8e4f72', shape: 'diamond' },
+                golden: { color: '#f0e442', borderColor: '#9a9000', shape: 'star' },
+                splitter: { color: '#009e73', borderColor: '#00664a', shape: 'square' },
+                shard: { color: '#009e73', borderColor: '#00664a', shape: 'triangle' },
+                decoy: { color: '#999999', borderColor: '#595959', shape: 'cross' }
+            },
+            negativePoints: '#d55e00'
+        },
+        contrast: {
+            name: 'contrast',
+            label: 'High contrast',
+            description: 'Bright colours and white outlines on black',
+            board: '#000000',
+            wall: '#ffffff',
+            obstacle: '#a6a6a6',
+            spawnZone: 'rgba(255, 255, 255, 0.15)',
+            shrinkWarning: 'rgba(255, 0, 0, 0.6)',
+            edges: { wrap: '#00ffff', soft: '#ff8000' },
+            overlay: 'rgba(0, 0, 0, 0.8)',
+            overlayText: '#ffffff',
+            snakes: [
+                { name: 'green', body: '#00ff00', border: '#ffffff', tail: '#008000' },
+                { name: 'cyan', body: '#00ffff', border: '#ffffff', tail: '#008080' }
+            ],
+            snakeStyle: 'segmented',
+            headStyle: 'square',
+            eyes: { style: 'round', sclera: '#ffffff', pupil: '#000000', outline: '#000000' },
+            prey: {
+                runner: { color: '#ff00ff', borderColor: '#ffffff', shape: 'circle' },
+                timid: { color: '#ff8000', borderColor: '#ffffff', shape: 'diamond' },
+                golden: { color: '#ffff00', borderColor: '#ffffff', shape: 'star' },
+                splitter: { color: '#ff0000', borderColor: '#ffffff', shape: 'square' },
+                shard: { color: '#ff0000', borderColor: '#ffffff', shape: 'triangle' },
+                decoy: { color: '#808080', borderColor: '#ffffff', shape: 'cross' }
+            },
+            negativePoints: '#ff0000'
+        }
+    };
+
+    const defaultTheme = 'classic';
+
+    // Look up a theme by name, throwing for unknown names
+    function getTheme(name) {
+        if (!Object.prototype.hasOwnProperty.call(themes, name)) {
+            throw new Error(`Unknown theme: ${name}`);
+        }
+        return themes[name];
+    }
+
+    // How a ball of a species looks in a theme: { color, borderColor, shape, size }
+    function getPreyLook(theme, speciesName) {
+        const species = PreySpecies.getSpecies(speciesName);
+        return Object.assign({ color: species.color, borderColor: species.borderColor, shape: 'circle', size: species.size || 1 },
+            theme.prey[speciesName]);
+    }
+
+    // Name of the theme saved in storage (localStorage or anything with its interface), or the default
+    function loadThemeName(storage) {
+        const name = SnakeStorage.loadText(storage, storageKey);
+        return Object.prototype.hasOwnProperty.call(themes, name) ? name : defaultTheme;
+    }
+
+    // Remember the chosen theme for the next visit
+    function saveThemeName(storage, name) {
+        getTheme(name);
+        SnakeStorage.saveText(storage, storageKey, name);
+    }
+
+    const SnakeThemes = {
+        themes,
+        defaultTheme,
+        snakeStyles,
+        headStyles,
+        eyeStyles,
+        preyShapes,
+        getTheme,
+        getPreyLook,
+        loadThemeName,
+        saveThemeName
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SnakeThemes;
+    } else {
+        root.SnakeThemes = SnakeThemes;
+    }
+})(this);
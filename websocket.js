@@ -0,0 +1,182 @@
+// Minimal WebSocket server side (RFC 6455) for The Prey That Runs, built on Node's http and crypto only
+// Handles the opening handshake, masked client frames (whole or fragmented), text messages, ping/pong and close.
+// The game only sends small JSON text messages, so binary and oversized messages close the connection.
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const handshakeGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // Fixed by the RFC, mixed into Sec-WebSocket-Accept
+const maxMessageBytes = 64 * 1024; // Largest message accepted from a client
+const opcodes = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+const closeCodes = { normal: 1000, protocolError: 1002, unsupportedData: 1003, tooBig: 1009 };
+
+// Complete the handshake of an HTTP upgrade request (from the http server's 'upgrade' event)
+// Returns a connection, or null if the request wasn't a valid WebSocket handshake (the socket is then answered and closed)
+// A connection emits 'message' (text) and 'close', and has send(text) and close(code)
+function acceptUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + handshakeGuid).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true); // Inputs and snapshots are small and should go out at once
+    return createConnection(socket);
+}
+
+// Wrap an upgraded socket in a connection
+function createConnection(socket) {
+    const connection = new EventEmitter();
+    connection.isOpen = true;
+    let buffer = Buffer.alloc(0); // Bytes received but not yet parsed into frames
+    let fragments = null; // Payloads of a fragmented message so far, with its opcode: { opcode, parts, size }
+
+    connection.send = text => {
+        if (connection.isOpen) socket.write(encodeFrame(opcodes.text, Buffer.from(text, 'utf8')));
+    };
+
+    connection.close = (code = closeCodes.normal) => {
+        if (!connection.isOpen) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        socket.end(encodeFrame(opcodes.close, payload));
+        finish();
+    };
+
+    function finish() {
+        if (!connection.isOpen) return;
+        connection.isOpen = false;
+        connection.emit('close');
+    }
+
+    function handleFrame(frame) {
+        switch (frame.opcode) {
+            case opcodes.ping:
+                socket.write(encodeFrame(opcodes.pong, frame.payload));
+                return;
+            case opcodes.pong:
+                return;
+            case opcodes.close:
+                connection.close(closeCodes.normal);
+                return;
+            case opcodes.text:
+            case opcodes.binary:
+                if (fragments) throw protocolError(closeCodes.protocolError); // A new message inside a fragmented one
+                fragments = { opcode: frame.opcode, parts: [], size: 0 };
+                break;
+            case opcodes.continuation:
+                if (!fragments) throw protocolError(closeCodes.protocolError);
+                break;
+            default:
+                throw protocolError(closeCodes.protocolError);
+        }
+
+        fragments.parts.push(frame.payload);
+        fragments.size += frame.payload.length;
+        if (fragments.size > maxMessageBytes) throw protocolError(closeCodes.tooBig);
+        if (!frame.fin) return;
+
+        const message = fragments;
+        fragments = null;
+        if (message.opcode !== opcodes.text) throw protocolError(closeCodes.unsupportedData);
+        connection.emit('message', Buffer.concat(message.parts).toString('utf8'));
+    }
+
+    socket.on('data', data => {
+        buffer = Buffer.concat([buffer, data]);
+        try {
+            let frame;
+            while (connection.isOpen && (frame = decodeFrame(buffer)) !== null) {
+                buffer = buffer.subarray(frame.length);
+                handleFrame(frame);
+            }
+        } catch (error) {
+            if (error.closeCode === undefined) throw error;
+            connection.close(error.closeCode);
+        }
+    });
+    socket.on('end', () => { // The client hung up without a close frame
+        socket.end();
+        finish();
+    });
+    socket.on('close', finish);
+    socket.on('error', () => socket.destroy()); // 'close' follows
+
+    return connection;
+}
+
+// Error for a client that broke the protocol; the connection is closed with closeCode
+function protocolError(closeCode) {
+    const error = new Error(`WebSocket protocol error ${closeCode}`);
+    error.closeCode = closeCode;
+    return error;
+}
+
+// Parse the frame at the start of buffer
+// Returns { fin, opcode, payload (unmasked), length (bytes the frame took) }, or null if it hasn't fully arrived yet
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const isMasked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (!isMasked) throw protocolError(closeCodes.protocolError); // Clients must mask every frame
+    if (payloadLength === 126) {
+        if (buffer.length < offset + 2) return null;
+        payloadLength = buffer.readUInt16BE(offset);
+        offset += 2;
+    } else if (payloadLength === 127) {
+        if (buffer.length < offset + 8) return null;
+        const longLength = buffer.readBigUInt64BE(offset);
+        if (longLength > BigInt(maxMessageBytes)) throw protocolError(closeCodes.tooBig);
+        payloadLength = Number(longLength);
+        offset += 8;
+    }
+    if (payloadLength > maxMessageBytes) throw protocolError(closeCodes.tooBig);
+    if (buffer.length < offset + 4 + payloadLength) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    offset += 4;
+    const payload = Buffer.alloc(payloadLength);
+    for (let i = 0; i < payloadLength; i++) {
+        payload[i] = buffer[offset + i] ^ mask[i % 4];
+    }
+    return { fin, opcode, payload, length: offset + payloadLength };
+}
+
+// Build an unmasked, unfragmented frame (servers never mask)
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+module.exports = {
+    maxMessageBytes,
+    acceptUpgrade,
+    decodeFrame,
+    encodeFrame
+};